@@ -1,4 +1,13 @@
 // Configuración para el sistema de tareas avanzado
+//
+// Las categorías, prioridades y estados predefinidos son el punto de partida: cada
+// usuario puede agregar los suyos, editarlos, reordenarlos y archivarlos. Este módulo
+// guarda esa configuración (localmente o en Firestore) y es el registro que consultan
+// los formularios, los filtros y las etiquetas de las tareas.
+
+import { LocalStore } from '../modules/localStore.js';
+import { fetchFirestoreUserSettings, saveFirestoreUserSettings } from '../modules/firebase.js';
+import { uid } from '../utils/helpers.js';
 
 /**
  * Categorías predefinidas para las tareas
@@ -16,7 +25,7 @@ export const TASK_CATEGORIES = [
 ];
 
 /**
- * Prioridades disponibles para las tareas
+ * Prioridades predefinidas para las tareas (de menor a mayor)
  */
 export const TASK_PRIORITIES = [
   { id: 'low', name: 'Baja', color: 'bg-gray-400', icon: '🔽' },
@@ -26,21 +35,242 @@ export const TASK_PRIORITIES = [
 ];
 
 /**
- * Estados disponibles para las tareas
+ * Estados predefinidos para las tareas.
+ * done indica si el estado cierra la tarea: el campo done de la tarea se deriva de su estado.
  */
 export const TASK_STATUSES = [
-  { id: 'pending', name: 'Pendiente', color: 'bg-gray-400', icon: '⏳' },
-  { id: 'completed', name: 'Completada', color: 'bg-green-500', icon: '✅' },
-  { id: 'cancelled', name: 'Cancelada', color: 'bg-red-400', icon: '❌' }
+  { id: 'pending', name: 'Pendiente', color: 'bg-gray-400', icon: '⏳', done: false },
+  { id: 'in_progress', name: 'En progreso', color: 'bg-blue-500', icon: '🔄', done: false },
+  { id: 'blocked', name: 'Bloqueada', color: 'bg-orange-500', icon: '⛔', done: false },
+  { id: 'completed', name: 'Completada', color: 'bg-green-500', icon: '✅', done: true },
+  { id: 'cancelled', name: 'Cancelada', color: 'bg-red-400', icon: '❌', done: true }
 ];
 
+/**
+ * Transiciones permitidas entre los estados predefinidos.
+ * Los estados que crea el usuario se pueden alcanzar desde cualquier estado y llevar a cualquiera.
+ */
+export const STATUS_TRANSITIONS = {
+  pending: ['in_progress', 'blocked', 'completed', 'cancelled'],
+  in_progress: ['pending', 'blocked', 'completed', 'cancelled'],
+  blocked: ['pending', 'in_progress', 'cancelled'],
+  completed: ['pending', 'in_progress'],
+  cancelled: ['pending']
+};
+
+/**
+ * Estado que toma una tarea al completarla o al reabrirla
+ */
+export const COMPLETED_STATUS = 'completed';
+export const REOPENED_STATUS = 'pending';
+
+/**
+ * Listas configurables: valores predefinidos y valor que se usa cuando falta o no se conoce
+ * (el valor por defecto no se puede archivar)
+ */
+export const CONFIG_KINDS = {
+  categories: { name: 'Categorías', singular: 'la categoría', newName: 'Nueva categoría', defaults: TASK_CATEGORIES, fallback: 'other' },
+  priorities: { name: 'Prioridades', singular: 'la prioridad', newName: 'Nueva prioridad', defaults: TASK_PRIORITIES, fallback: 'medium' },
+  statuses: { name: 'Estados', singular: 'el estado', newName: 'Nuevo estado', defaults: TASK_STATUSES, fallback: 'pending' }
+};
+
+/**
+ * Colores disponibles para categorías, prioridades y estados
+ */
+export const CONFIG_COLORS = [
+  { id: 'bg-gray-400', name: 'Gris claro' },
+  { id: 'bg-gray-500', name: 'Gris' },
+  { id: 'bg-red-400', name: 'Rojo claro' },
+  { id: 'bg-red-500', name: 'Rojo' },
+  { id: 'bg-red-600', name: 'Rojo oscuro' },
+  { id: 'bg-orange-500', name: 'Naranja' },
+  { id: 'bg-yellow-400', name: 'Amarillo claro' },
+  { id: 'bg-yellow-500', name: 'Amarillo' },
+  { id: 'bg-green-500', name: 'Verde' },
+  { id: 'bg-blue-500', name: 'Azul' },
+  { id: 'bg-indigo-500', name: 'Índigo' },
+  { id: 'bg-purple-500', name: 'Violeta' },
+  { id: 'bg-pink-500', name: 'Rosa' }
+];
+
+/**
+ * Largo máximo del nombre de una opción
+ */
+export const MAX_CONFIG_NAME_LENGTH = 30;
+
+/**
+ * Almacenamiento local de la configuración (usuarios invitados)
+ */
+const localTaskConfig = new LocalStore('agenda_base_task_config');
+
+/**
+ * Opciones del usuario actual, en orden: { categories: [...], priorities: [...], statuses: [...] }
+ */
+let registry = buildRegistry({});
+let configUser = null;
+
+/**
+ * Callbacks para cambios en la configuración
+ */
+const configChangeCallbacks = [];
+
+/**
+ * Registra un callback para cambios en las categorías, prioridades o estados
+ * @param {Function} callback - Función a ejecutar cuando cambie la configuración
+ */
+export function onTaskConfigChange(callback) {
+  configChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en la configuración
+ */
+function notifyTaskConfigChange() {
+  configChangeCallbacks.forEach(callback => callback());
+}
+
+/**
+ * Verifica que el tipo de lista exista
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ */
+function assertKind(kind) {
+  if (!CONFIG_KINDS[kind]) {
+    throw new Error('Tipo de configuración no válido');
+  }
+}
+
+/**
+ * Normaliza una opción guardada o escrita por el usuario
+ * @param {Object} entry - Opción ({ id, name, icon, color, archived })
+ * @returns {Object|null} Opción válida o null si no tiene ID o nombre
+ */
+function normalizeConfigEntry(entry) {
+  const name = String(entry?.name ?? '').trim().slice(0, MAX_CONFIG_NAME_LENGTH);
+  if (!entry?.id || !name) return null;
+
+  return {
+    id: String(entry.id),
+    name,
+    icon: normalizeConfigIcon(entry.icon),
+    color: CONFIG_COLORS.some(color => color.id === entry.color) ? entry.color : 'bg-gray-500',
+    archived: !!entry.archived,
+    ...('done' in entry ? { done: !!entry.done } : {})
+  };
+}
+
+/**
+ * Normaliza el icono de una opción (un emoji o unos pocos caracteres)
+ * @param {string} icon - Icono escrito
+ * @returns {string} Icono válido
+ */
+function normalizeConfigIcon(icon) {
+  const value = [...String(icon ?? '').trim()].slice(0, 8).join('');
+  return value || '📌';
+}
+
+/**
+ * Arma el registro a partir de las listas guardadas.
+ * Las opciones predefinidas que falten se agregan al final para que nunca desaparezcan.
+ * @param {Object} saved - { categories, priorities, statuses } guardados por el usuario
+ * @returns {Object} Registro completo
+ */
+function buildRegistry(saved) {
+  return Object.fromEntries(Object.entries(CONFIG_KINDS).map(([kind, { defaults }]) => {
+    const entries = (Array.isArray(saved[kind]) ? saved[kind] : [])
+      .map(normalizeConfigEntry)
+      .filter(Boolean)
+      .filter((entry, index, list) => list.findIndex(e => e.id === entry.id) === index)
+      .map(entry => withBuiltInFlags(kind, entry));
+    const missing = defaults
+      .filter(option => !entries.some(entry => entry.id === option.id))
+      .map(option => ({ ...option, archived: false }));
+
+    return [kind, [...entries, ...missing]];
+  }));
+}
+
+/**
+ * Completa las propiedades fijas de una opción: los estados predefinidos siempre
+ * conservan su done (la máquina de estados depende de él) y los del usuario tienen uno
+ * @param {string} kind - Lista de la opción
+ * @param {Object} entry - Opción normalizada
+ * @returns {Object} Opción completa
+ */
+function withBuiltInFlags(kind, entry) {
+  if (kind !== 'statuses') return entry;
+
+  const builtIn = TASK_STATUSES.find(status => status.id === entry.id);
+  return { ...entry, done: builtIn ? builtIn.done : !!entry.done };
+}
+
+/**
+ * Indica si una opción es una de las predefinidas
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {string} id - ID de la opción
+ * @returns {boolean} true si es predefinida
+ */
+export function isBuiltInOption(kind, id) {
+  assertKind(kind);
+  return CONFIG_KINDS[kind].defaults.some(option => option.id === id);
+}
+
+/**
+ * Obtiene las opciones de una lista
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {Object} options - { includeArchived: true para incluir las archivadas,
+ *   include: IDs archivados que se quieren mostrar igual (p. ej. el valor actual de una tarea) }
+ * @returns {Array} Opciones ({ id, name, icon, color, archived }) en el orden elegido
+ */
+export function getConfigOptions(kind, { includeArchived = false, include = [] } = {}) {
+  assertKind(kind);
+  return registry[kind].filter(entry => includeArchived || !entry.archived || include.includes(entry.id));
+}
+
+/**
+ * Obtiene las categorías del usuario
+ * @param {Object} options - Ver getConfigOptions
+ * @returns {Array} Categorías
+ */
+export function getCategories(options) {
+  return getConfigOptions('categories', options);
+}
+
+/**
+ * Obtiene las prioridades del usuario (de menor a mayor)
+ * @param {Object} options - Ver getConfigOptions
+ * @returns {Array} Prioridades
+ */
+export function getPriorities(options) {
+  return getConfigOptions('priorities', options);
+}
+
+/**
+ * Obtiene los estados del usuario
+ * @param {Object} options - Ver getConfigOptions
+ * @returns {Array} Estados
+ */
+export function getStatuses(options) {
+  return getConfigOptions('statuses', options);
+}
+
+/**
+ * Busca una opción por ID (también las archivadas, para que las tareas que la usan se sigan viendo)
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {string} id - ID de la opción
+ * @returns {Object} Opción encontrada o la opción por defecto de la lista
+ */
+function findConfigOption(kind, id) {
+  const entries = registry[kind];
+  return entries.find(entry => entry.id === id) || entries.find(entry => entry.id === CONFIG_KINDS[kind].fallback);
+}
+
 /**
  * Obtiene una categoría por ID
  * @param {string} categoryId - ID de la categoría
  * @returns {Object|null} Categoría encontrada
  */
 export function getCategoryById(categoryId) {
-  return TASK_CATEGORIES.find(cat => cat.id === categoryId) || TASK_CATEGORIES.find(cat => cat.id === 'other');
+  return findConfigOption('categories', categoryId);
 }
 
 /**
@@ -49,7 +279,7 @@ export function getCategoryById(categoryId) {
  * @returns {Object|null} Prioridad encontrada
  */
 export function getPriorityById(priorityId) {
-  return TASK_PRIORITIES.find(pri => pri.id === priorityId) || TASK_PRIORITIES.find(pri => pri.id === 'medium');
+  return findConfigOption('priorities', priorityId);
 }
 
 /**
@@ -58,7 +288,54 @@ export function getPriorityById(priorityId) {
  * @returns {Object|null} Estado encontrado
  */
 export function getStatusById(statusId) {
-  return TASK_STATUSES.find(status => status.id === statusId) || TASK_STATUSES.find(status => status.id === 'pending');
+  return findConfigOption('statuses', statusId);
+}
+
+/**
+ * Indica si un estado cierra la tarea (la tarea queda como hecha)
+ * @param {string} statusId - ID del estado
+ * @returns {boolean} true si la tarea en ese estado está hecha
+ */
+export function isDoneStatus(statusId) {
+  return !!getStatusById(statusId).done;
+}
+
+/**
+ * Indica si una tarea puede pasar de un estado a otro.
+ * No se puede pasar a un estado archivado; entre estados predefinidos rige STATUS_TRANSITIONS.
+ * @param {string} fromId - Estado actual
+ * @param {string} toId - Estado nuevo
+ * @returns {boolean} true si la transición está permitida
+ */
+export function canTransitionStatus(fromId, toId) {
+  const from = getStatusById(fromId);
+  const to = registry.statuses.find(status => status.id === toId);
+
+  if (!to) return false;
+  if (from.id === to.id) return true;
+  if (to.archived) return false;
+  if (!STATUS_TRANSITIONS[from.id] || !STATUS_TRANSITIONS[to.id]) return true;
+
+  return STATUS_TRANSITIONS[from.id].includes(to.id);
+}
+
+/**
+ * Obtiene los estados a los que puede pasar una tarea (incluido el actual)
+ * @param {string} fromId - Estado actual
+ * @returns {Array} Estados en el orden del usuario
+ */
+export function getNextStatuses(fromId) {
+  const currentId = getStatusById(fromId).id;
+  return getStatuses({ include: [currentId] }).filter(status => canTransitionStatus(currentId, status.id));
+}
+
+/**
+ * Obtiene el orden de una prioridad (mayor número = más importante)
+ * @param {string} priorityId - ID de la prioridad
+ * @returns {number} Posición de la prioridad en la lista del usuario
+ */
+export function getPriorityRank(priorityId) {
+  return registry.priorities.indexOf(getPriorityById(priorityId));
 }
 
 /**
@@ -80,3 +357,178 @@ export function getCategoryIcon(categoryId) {
   const category = getCategoryById(categoryId);
   return category ? category.icon : '📌';
 }
+
+/**
+ * Carga la configuración de tareas del usuario
+ * @param {Object} user - Usuario actual
+ * @returns {Promise<void>}
+ */
+export async function loadTaskConfig(user) {
+  configUser = user;
+  registry = buildRegistry({});
+
+  if (!user) {
+    notifyTaskConfigChange();
+    return;
+  }
+
+  try {
+    if (user.mode === 'firebase') {
+      const settings = await fetchFirestoreUserSettings(user.id);
+      if (configUser !== user) return;
+      registry = buildRegistry(settings || {});
+    } else {
+      const saved = {};
+      localTaskConfig.load(user.id).forEach(({ kind, ...entry }) => {
+        (saved[kind] = saved[kind] || []).push(entry);
+      });
+      registry = buildRegistry(saved);
+    }
+  } catch (error) {
+    console.error('Error al cargar la configuración de tareas:', error);
+  }
+
+  notifyTaskConfigChange();
+}
+
+/**
+ * Guarda una lista de la configuración del usuario actual
+ * @param {string} kind - Lista modificada
+ * @returns {Promise<void>}
+ */
+async function saveTaskConfig(kind) {
+  const user = configUser;
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    await saveFirestoreUserSettings(user.id, { [kind]: registry[kind] });
+  } else {
+    localTaskConfig.save(user.id, Object.entries(registry).flatMap(([listKind, entries]) =>
+      entries.map(entry => ({ kind: listKind, ...entry }))
+    ));
+  }
+}
+
+/**
+ * Reemplaza una lista del registro, avisa a la interfaz y la guarda.
+ * Si no se puede guardar, vuelve a las opciones anteriores.
+ * @param {string} kind - Lista modificada
+ * @param {Array} entries - Opciones nuevas
+ * @returns {Promise<void>}
+ */
+async function commitConfigChange(kind, entries) {
+  const previous = registry[kind];
+  registry = { ...registry, [kind]: entries };
+  notifyTaskConfigChange();
+
+  try {
+    await saveTaskConfig(kind);
+  } catch (error) {
+    // Solo si no hubo otro cambio mientras se guardaba
+    if (registry[kind] === entries) {
+      registry = { ...registry, [kind]: previous };
+      notifyTaskConfigChange();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Obtiene una opción existente o lanza un error
+ * @param {string} kind - Lista
+ * @param {string} id - ID de la opción
+ * @returns {Object} Opción
+ */
+function getExistingOption(kind, id) {
+  assertKind(kind);
+  const entry = registry[kind].find(option => option.id === id);
+  if (!entry) {
+    throw new Error(`No existe ${CONFIG_KINDS[kind].singular}`);
+  }
+  return entry;
+}
+
+/**
+ * Crea una opción nueva al final de una lista
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {Object} data - { name, icon, color, done (solo estados) }
+ * @returns {Promise<Object>} Opción creada
+ */
+export async function createConfigOption(kind, data) {
+  assertKind(kind);
+
+  const entry = normalizeConfigEntry({ ...data, id: uid(), archived: false });
+  if (!entry) {
+    throw new Error(`Escribí un nombre para ${CONFIG_KINDS[kind].singular}`);
+  }
+
+  await commitConfigChange(kind, [...registry[kind], withBuiltInFlags(kind, entry)]);
+  return entry;
+}
+
+/**
+ * Cambia el nombre, el icono o el color de una opción
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {string} id - ID de la opción
+ * @param {Object} changes - { name, icon, color, done (solo estados creados por el usuario) }
+ * @returns {Promise<void>}
+ */
+export async function updateConfigOption(kind, id, changes) {
+  const current = getExistingOption(kind, id);
+
+  if (changes.color !== undefined && !CONFIG_COLORS.some(color => color.id === changes.color)) {
+    throw new Error('Color no válido');
+  }
+
+  if (changes.done !== undefined && (kind !== 'statuses' || isBuiltInOption(kind, id))) {
+    throw new Error('Solo los estados propios pueden cambiar si cierran la tarea');
+  }
+
+  const entry = normalizeConfigEntry({ ...current, ...changes, id, archived: current.archived });
+  if (!entry) {
+    throw new Error(`Escribí un nombre para ${CONFIG_KINDS[kind].singular}`);
+  }
+
+  await commitConfigChange(kind, registry[kind].map(option => option.id === id ? withBuiltInFlags(kind, entry) : option));
+}
+
+/**
+ * Mueve una opción un lugar hacia arriba o hacia abajo
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {string} id - ID de la opción
+ * @param {number} offset - -1 para subir, 1 para bajar
+ * @returns {Promise<void>}
+ */
+export async function moveConfigOption(kind, id, offset) {
+  getExistingOption(kind, id);
+
+  const entries = [...registry[kind]];
+  const index = entries.findIndex(option => option.id === id);
+  const target = index + offset;
+  if (target < 0 || target >= entries.length) return;
+
+  [entries[index], entries[target]] = [entries[target], entries[index]];
+  await commitConfigChange(kind, entries);
+}
+
+/**
+ * Archiva o restaura una opción.
+ * Una opción archivada deja de ofrecerse al crear o editar tareas, pero las tareas que la usan la conservan.
+ * @param {string} kind - 'categories', 'priorities' o 'statuses'
+ * @param {string} id - ID de la opción
+ * @param {boolean} archived - true para archivar, false para restaurar
+ * @returns {Promise<void>}
+ */
+export async function setConfigOptionArchived(kind, id, archived) {
+  getExistingOption(kind, id);
+
+  if (archived && id === CONFIG_KINDS[kind].fallback) {
+    throw new Error(`No se puede archivar ${CONFIG_KINDS[kind].singular} por defecto`);
+  }
+
+  await commitConfigChange(kind, registry[kind].map(option =>
+    option.id === id ? { ...option, archived: !!archived } : option
+  ));
+}
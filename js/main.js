@@ -2,8 +2,8 @@
 
 import { tryInitFirebase } from './modules/firebase.js';
 import { 
-  setCurrentUser, 
   onAuthStateChanged, 
+  initAuthObserver,
   handleGoogleSignIn, 
   handleSignOut, 
   enterAsGuest 
@@ -12,7 +12,24 @@ import {
   loadTasks, 
   addTask, 
   toggleTask, 
+  updateTask,
   removeTask, 
+  restoreTasks,
+  purgeTasks,
+  setTrashRetentionDays,
+  undo,
+  redo,
+  onHistoryChange,
+  addSubtask,
+  toggleSubtask,
+  moveSubtask,
+  removeSubtask,
+  getTasks,
+  searchTasks,
+  getSearchableTasks,
+  renameTag,
+  mergeTags,
+  reconcileTaskStatuses,
   onTasksChange 
 } from './modules/tasks.js';
 import { 
@@ -26,12 +43,18 @@ import {
   renderTasks, 
   showLogin, 
   showApp, 
+  showLoading,
   clearTaskInput,
   getTaskInputValue,
+  getTaskDescription,
+  getTaskTags,
   clearTaskDueDate,
   getTaskDueDate,
   getTaskCategory,
   getTaskPriority,
+  getTaskProject,
+  getTaskRecurrence,
+  renderProjectOptions,
   clearTaskForm,
   setLoadingState,
   updatePageTitle,
@@ -39,10 +62,67 @@ import {
   renderUsers,
   renderPriorityTasks,
   setupUserSearch,
-  setupSettingsModal
+  setupSettingsModal,
+  closeTaskEditor,
+  setTaskEditorSaving,
+  refreshTaskEditor,
+  renderTaskComments,
+  renderTaskActivity,
+  renderHistoryButtons,
+  renderFilterToolbar,
+  renderAssigneePickers,
+  getTaskAssignees,
+  openGlobalSearch,
+  closeGlobalSearch,
+  isGlobalSearchOpen,
+  getGlobalSearchQuery,
+  renderGlobalSearchResults,
+  revealTask,
+  renderTagSettings,
+  renderTaskConfigSelects,
+  renderTaskConfigSettings,
+  renderLayoutToolbar
 } from './modules/ui.js';
-import { initNavigation } from './modules/navigation.js';
-import { $ } from './utils/helpers.js';
+import { 
+  onCommentsChange, 
+  addComment, 
+  editComment, 
+  removeComment,
+  getCommentsForSearch,
+  clearSearchCommentsCache
+} from './modules/comments.js';
+import { onActivityChange } from './modules/activity.js';
+import { onFiltersChange, getFilters, setFilters, toggleFilterValue, resetFilters } from './modules/taskFilters.js';
+import { onLayoutChange, setLayout } from './modules/taskLayout.js';
+import {
+  loadTagColors,
+  onTagColorsChange,
+  setTagColor,
+  moveTagColors,
+  extractHashtags
+} from './modules/tags.js';
+import {
+  loadTaskConfig,
+  onTaskConfigChange,
+  createConfigOption,
+  updateConfigOption,
+  moveConfigOption,
+  setConfigOptionArchived
+} from './config/taskConfig.js';
+import { 
+  initNavigation, 
+  getCurrentProject, 
+  getAllProjects,
+  switchToProject,
+  getTaskLocation,
+  canEditTask
+} from './modules/navigation.js';
+import { $, toast } from './utils/helpers.js';
+
+/**
+ * Cantidad máxima de resultados que muestra la búsqueda global
+ */
+const MAX_SEARCH_RESULTS = 20;
 
 /**
  * Clase principal de la aplicación
@@ -50,6 +130,7 @@ import { $ } from './utils/helpers.js';
 class AgendaApp {
   constructor() {
     this.isInitialized = false;
+    this.searchComments = {};
   }
 
   /**
@@ -119,10 +200,49 @@ class AgendaApp {
     });
 
     // Eventos personalizados
-    window.addEventListener('user-logout', this.handleUserLogout.bind(this));
+    window.addEventListener('user-logout', this.handleSignOutRequest.bind(this));
     window.addEventListener('task-toggle', (e) => this.handleTaskToggle(e.detail.taskId));
     window.addEventListener('task-delete', (e) => this.handleTaskDelete(e.detail.taskId));
+    window.addEventListener('task-restore', (e) => this.handleTaskRestore(e.detail.taskIds));
+    window.addEventListener('task-purge', (e) => this.handleTaskPurge(e.detail.taskIds));
+    window.addEventListener('trash-retention-change', (e) => this.handleTrashRetentionChange(e.detail.days));
+    window.addEventListener('history-action', (e) => this.handleHistoryAction(e.detail.action));
+    window.addEventListener('filter-action', (e) => this.handleFilterAction(e.detail));
+    window.addEventListener('tag-action', (e) => this.handleTagAction(e.detail));
+    window.addEventListener('task-config-action', (e) => this.handleTaskConfigAction(e.detail));
+    window.addEventListener('layout-action', (e) => setLayout(e.detail.updates));
+    window.addEventListener('board-move', (e) => this.handleBoardMove(e.detail.taskId, e.detail.updates));
+    window.addEventListener('calendar-move', (e) => this.handleCalendarMove(e.detail.taskId, e.detail.dueDate));
+    
+    // Deshacer / rehacer con el teclado (fuera de los campos de texto, que tienen su propio deshacer)
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      if ($('#view-app')?.classList.contains('hidden')) return;
+      
+      e.preventDefault();
+      this.handleHistoryAction(e.shiftKey ? 'redo' : 'undo');
+    });
+    
+    // Búsqueda global con Ctrl+K / Cmd+K (también desde los campos de texto)
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+      if ($('#view-app')?.classList.contains('hidden')) return;
+      
+      e.preventDefault();
+      this.handleGlobalSearchOpen();
+    });
+    window.addEventListener('global-search-open', () => this.handleGlobalSearchOpen());
+    window.addEventListener('global-search', (e) => this.handleGlobalSearch(e.detail.query));
+    window.addEventListener('global-search-select', (e) => this.handleGlobalSearchSelect(e.detail.taskId));
+    window.addEventListener('task-update', (e) => this.handleTaskUpdate(e.detail.taskId, e.detail.updates));
+    window.addEventListener('subtask-action', (e) => this.handleSubtaskAction(e.detail));
+    window.addEventListener('comment-action', (e) => this.handleCommentAction(e.detail));
     window.addEventListener('project-changed', (e) => this.handleProjectChange(e.detail));
+    window.addEventListener('projects-updated', (e) => {
+      renderProjectOptions(e.detail.projects, e.detail.currentProject);
+      this.renderTaskViews();
+    });
     
     // El modal de configuración se configurará después de renderizar el usuario
   }
@@ -142,14 +262,61 @@ class AgendaApp {
 
     // Listener de cambios en las tareas
     onTasksChange((tasks) => {
-      renderTasks(tasks);
-      renderPriorityTasks(tasks);
-      this.updateTaskCount(tasks.length);
+      this.renderTaskViews(tasks);
+      refreshTaskEditor();
+      
+      // Las etiquetas en uso cambian con las tareas
+      renderFilterToolbar(getFilters());
+      renderTagSettings();
+    });
+    
+    // Listener de cambios en los colores de las etiquetas
+    onTagColorsChange(() => {
+      renderFilterToolbar(getFilters());
+      renderTagSettings();
+      this.renderTaskViews();
+    });
+    
+    // Listener de cambios en las categorías, prioridades y estados del usuario
+    onTaskConfigChange(() => {
+      renderTaskConfigSelects();
+      renderTaskConfigSettings();
+      renderFilterToolbar(getFilters());
+      this.renderTaskViews();
+    });
+
+    // Listener de cambios en los comentarios de la tarea abierta
+    onCommentsChange((comments) => {
+      renderTaskComments(comments);
+    });
+
+    // Listener de cambios en los filtros de la lista de tareas
+    onFiltersChange((filters) => {
+      renderFilterToolbar(filters);
+      this.renderTaskViews();
+    });
+
+    // Listener de cambios de vista (lista, tablero o calendario)
+    onLayoutChange((layout) => {
+      renderLayoutToolbar(layout);
+      this.renderTaskViews();
+    });
+
+    // Listener de cambios en el historial de deshacer/rehacer
+    onHistoryChange((state) => {
+      renderHistoryButtons(state);
+    });
+
+    // Listener de cambios en el historial de la tarea abierta
+    onActivityChange((entries) => {
+      renderTaskActivity(entries);
     });
 
     // Listener de cambios en usuarios
     onUsersChange((users) => {
       renderUsers(users);
+      renderAssigneePickers(users);
+      this.renderTaskViews();
     });
 
     // Configurar búsqueda de usuarios
@@ -161,15 +328,16 @@ class AgendaApp {
 
   /**
    * Inicializa la autenticación
+   * Restaura la sesión anterior (Firebase o invitado) antes de mostrar el login
    */
   async initAuth() {
-    // Si Firebase está disponible, configurar el listener de estado
-    // Si no, mostrar la vista de login
-    if (window.Firebase) {
-      // Firebase manejará el estado de autenticación
-      console.log('🔐 Esperando estado de autenticación de Firebase...');
-    } else {
-      // Sin Firebase, mostrar login
+    showLoading();
+    console.log('🔐 Esperando estado de autenticación...');
+    
+    const user = await initAuthObserver();
+    
+    // Con usuario, handleUserLogin ya mostró la aplicación
+    if (!user) {
       showLogin();
     }
   }
@@ -212,9 +380,12 @@ class AgendaApp {
       renderNavUser();
       showApp();
       updatePageTitle(user.displayName);
+      renderProjectOptions(getAllProjects(), getCurrentProject());
       
-      // Cargar tareas del usuario
+      // Cargar tareas del usuario, los colores de sus etiquetas y sus categorías, prioridades y estados
       this.loadUserTasks();
+      loadTagColors(user);
+      loadTaskConfig(user);
       
       // Cargar usuarios del sistema
       this.loadSystemUsers();
@@ -232,14 +403,23 @@ class AgendaApp {
   }
 
   /**
-   * Maneja el cierre de sesión del usuario
+   * Maneja el pedido de cierre de sesión desde la interfaz
    */
-  async handleUserLogout() {
+  async handleSignOutRequest() {
     try {
       console.log('👋 Cerrando sesión...');
-      
       await handleSignOut();
-      
+    } catch (error) {
+      console.error('Error al cerrar sesión:', error);
+      this.showError('Error al cerrar sesión');
+    }
+  }
+
+  /**
+   * Maneja el cierre de sesión del usuario (el estado de autenticación ya es null)
+   */
+  handleUserLogout() {
+    try {
       // Actualizar UI
       renderNavUser();
       showLogin();
@@ -271,10 +451,16 @@ class AgendaApp {
    */
   async handleAddTask() {
     try {
-      const title = getTaskInputValue();
+      // Las etiquetas escritas como #etiqueta en el título se suman a las del selector
+      const { text: title, tags: titleTags } = extractHashtags(getTaskInputValue());
+      const tags = [...new Set([...getTaskTags(), ...titleTags])];
       const dueDate = getTaskDueDate();
       const category = getTaskCategory();
       const priority = getTaskPriority();
+      const projectId = getTaskProject();
+      const recurrence = getTaskRecurrence();
+      const assigneeIds = getTaskAssignees();
+      const description = getTaskDescription();
       
       if (!title || title.trim().length === 0) {
         this.showInputError('El título de la tarea no puede estar vacío');
@@ -282,7 +468,7 @@ class AgendaApp {
       }
 
       setLoadingState(true);
-      await addTask(title.trim(), dueDate, category, priority);
+      await addTask(title.trim(), dueDate, category, priority, projectId, { recurrence, assigneeIds, description, tags });
       clearTaskInput();
       clearTaskDueDate();
       clearTaskForm();
@@ -305,6 +491,95 @@ class AgendaApp {
     } catch (error) {
       console.error('Error al cambiar estado de tarea:', error);
       this.showError('Error al cambiar el estado de la tarea');
+      
+      // La casilla quedó marcada (o desmarcada) aunque la tarea no cambió
+      this.renderTaskViews();
+    }
+  }
+
+  /**
+   * Maneja la edición de una tarea
+   * @param {string} taskId - ID de la tarea
+   * @param {Object} updates - Campos a actualizar
+   */
+  async handleTaskUpdate(taskId, updates) {
+    try {
+      setTaskEditorSaving(true);
+      await updateTask(taskId, updates);
+      closeTaskEditor();
+    } catch (error) {
+      console.error('Error al actualizar tarea:', error);
+      this.showError('Error al actualizar la tarea');
+    } finally {
+      setTaskEditorSaving(false);
+    }
+  }
+
+  /**
+   * Maneja el movimiento de una tarjeta del tablero (cambio de columna y/o de posición)
+   * @param {string} taskId - ID de la tarea
+   * @param {Object} updates - Campo de la columna de destino y nueva posición
+   */
+  async handleBoardMove(taskId, updates) {
+    try {
+      await updateTask(taskId, updates);
+    } catch (error) {
+      console.error('Error al mover tarea en el tablero:', error);
+      this.showError('Error al mover la tarea');
+    }
+  }
+
+  /**
+   * Maneja el cambio de día de una tarea en el calendario
+   * @param {string} taskId - ID de la tarea
+   * @param {number} dueDate - Nuevo vencimiento (día de destino)
+   */
+  async handleCalendarMove(taskId, dueDate) {
+    try {
+      await updateTask(taskId, { dueDate });
+    } catch (error) {
+      console.error('Error al reprogramar tarea:', error);
+      this.showError('Error al cambiar la fecha de la tarea');
+    }
+  }
+
+  /**
+   * Maneja las acciones sobre subtareas del diálogo de edición
+   * @param {Object} detail - { taskId, action, subtaskId, title, offset }
+   */
+  async handleSubtaskAction({ taskId, action, subtaskId, title, offset }) {
+    try {
+      if (action === 'add') {
+        await addSubtask(taskId, title);
+      } else if (action === 'toggle') {
+        await toggleSubtask(taskId, subtaskId);
+      } else if (action === 'move') {
+        await moveSubtask(taskId, subtaskId, offset);
+      } else if (action === 'remove') {
+        await removeSubtask(taskId, subtaskId);
+      }
+    } catch (error) {
+      console.error('Error al actualizar subtareas:', error);
+      this.showError('Error al actualizar las subtareas');
+    }
+  }
+
+  /**
+   * Maneja las acciones sobre comentarios del diálogo de edición
+   * @param {Object} detail - { taskId, action, commentId, text }
+   */
+  async handleCommentAction({ taskId, action, commentId, text }) {
+    try {
+      if (action === 'add') {
+        await addComment(taskId, text);
+      } else if (action === 'edit') {
+        await editComment(taskId, commentId, text);
+      } else if (action === 'remove') {
+        await removeComment(taskId, commentId);
+      }
+    } catch (error) {
+      console.error('Error al actualizar comentarios:', error);
+      this.showError('Error al actualizar los comentarios');
     }
   }
 
@@ -321,19 +596,215 @@ class AgendaApp {
     }
   }
 
+  /**
+   * Maneja la restauración de tareas de la papelera
+   * @param {Array<string>} taskIds - IDs de las tareas
+   */
+  async handleTaskRestore(taskIds) {
+    try {
+      await restoreTasks(taskIds);
+    } catch (error) {
+      console.error('Error al restaurar tareas:', error);
+      this.showError('Error al restaurar las tareas');
+    }
+  }
+
+  /**
+   * Maneja la eliminación definitiva de tareas de la papelera
+   * @param {Array<string>} taskIds - IDs de las tareas
+   */
+  async handleTaskPurge(taskIds) {
+    try {
+      await purgeTasks(taskIds);
+    } catch (error) {
+      console.error('Error al vaciar la papelera:', error);
+      this.showError('Error al eliminar las tareas');
+    }
+  }
+
+  /**
+   * Maneja las acciones de la barra de filtros
+   * @param {Object} detail - { action: 'set'|'toggle'|'reset', updates, field, value }
+   */
+  handleFilterAction({ action, updates, field, value }) {
+    switch (action) {
+      case 'set':
+        setFilters(updates);
+        break;
+      case 'toggle':
+        toggleFilterValue(field, value);
+        break;
+      case 'reset':
+        resetFilters();
+        break;
+      default:
+        console.warn('Acción de filtros desconocida:', action);
+    }
+  }
+
+  /**
+   * Deshace o rehace la última operación sobre tareas
+   * @param {string} action - 'undo' o 'redo'
+   */
+  async handleHistoryAction(action) {
+    try {
+      const command = action === 'redo' ? await redo() : await undo();
+      
+      if (!command) {
+        toast(action === 'redo' ? 'No hay cambios para rehacer' : 'No hay cambios para deshacer');
+      }
+    } catch (error) {
+      console.error('Error al deshacer/rehacer:', error);
+      this.showError('Error al deshacer o rehacer el cambio');
+    }
+  }
+
+  /**
+   * Abre la búsqueda global y carga en segundo plano los comentarios donde buscar
+   */
+  async handleGlobalSearchOpen() {
+    openGlobalSearch();
+    this.handleGlobalSearch(getGlobalSearchQuery());
+    
+    try {
+      this.searchComments = await getCommentsForSearch(getSearchableTasks());
+      
+      // Volver a buscar incluyendo los comentarios recién cargados
+      if (isGlobalSearchOpen()) {
+        this.handleGlobalSearch(getGlobalSearchQuery());
+      }
+    } catch (error) {
+      console.error('Error al cargar comentarios para la búsqueda:', error);
+    }
+  }
+
+  /**
+   * Busca tareas en todas las listas y muestra los resultados
+   * @param {string} query - Texto buscado
+   */
+  handleGlobalSearch(query) {
+    const results = searchTasks(query, { comments: this.searchComments });
+    renderGlobalSearchResults(results.slice(0, MAX_SEARCH_RESULTS), query);
+  }
+
+  /**
+   * Salta a la lista de una tarea elegida en la búsqueda global
+   * @param {string} taskId - ID de la tarea
+   */
+  handleGlobalSearchSelect(taskId) {
+    const task = getSearchableTasks().find(t => t.id === taskId);
+    if (!task) return;
+    
+    closeGlobalSearch();
+    switchToProject(getTaskLocation(task).projectId);
+    
+    if (!revealTask(taskId)) {
+      toast('La tarea está oculta por los filtros activos');
+    }
+  }
+
+  /**
+   * Maneja las acciones sobre etiquetas del modal de configuración
+   * @param {Object} detail - { action: 'rename'|'merge'|'color', tags, target, color }
+   */
+  async handleTagAction({ action, tags, target, color }) {
+    try {
+      if (action === 'color') {
+        await setTagColor(tags[0], color);
+        return;
+      }
+      
+      const count = action === 'merge'
+        ? await mergeTags(tags, target, canEditTask)
+        : await renameTag(tags[0], target, canEditTask);
+      
+      if (count > 0) {
+        await moveTagColors(tags.filter(tag => tag !== target), target);
+      }
+      
+      // Mantener el filtro activo apuntando a la etiqueta final
+      const activeTags = getFilters().tags;
+      if (activeTags.some(tag => tags.includes(tag))) {
+        setFilters({ tags: [...new Set(activeTags.map(tag => tags.includes(tag) ? target : tag))] });
+      }
+    } catch (error) {
+      console.error('Error al modificar etiquetas:', error);
+      this.showError('Error al modificar las etiquetas');
+    }
+  }
+
+  /**
+   * Maneja los cambios en las categorías, prioridades y estados del usuario
+   * @param {Object} detail - { action: 'create'|'update'|'move'|'archive', kind, id, changes, offset, archived }
+   */
+  async handleTaskConfigAction({ action, kind, id, changes, offset, archived }) {
+    try {
+      switch (action) {
+        case 'create':
+          await createConfigOption(kind, changes);
+          break;
+        case 'update':
+          await updateConfigOption(kind, id, changes);
+          
+          // Las tareas en un estado que ahora cierra (o ya no) cambian su done
+          if (changes.done !== undefined) {
+            reconcileTaskStatuses();
+          }
+          break;
+        case 'move':
+          await moveConfigOption(kind, id, offset);
+          break;
+        case 'archive':
+          await setConfigOptionArchived(kind, id, archived);
+          break;
+      }
+    } catch (error) {
+      console.error('Error al modificar la configuración de tareas:', error);
+      toast(error.message);
+      renderTaskConfigSettings();
+    }
+  }
+
+  /**
+   * Maneja el cambio de los días que se conservan las tareas en la papelera
+   * @param {string|number} days - Cantidad de días
+   */
+  handleTrashRetentionChange(days) {
+    try {
+      setTrashRetentionDays(days);
+    } catch (error) {
+      console.error('Error al configurar la papelera:', error);
+      toast(error.message);
+    }
+  }
+
   /**
    * Maneja el cambio de proyecto
    */
   handleProjectChange(projectData) {
     try {
       console.log('🔄 Cambiando a proyecto:', projectData.project.name);
-      // Aquí se pueden agregar acciones adicionales cuando cambie el proyecto
-      // Por ejemplo, filtrar tareas por proyecto, cambiar el título de la página, etc.
+      
+      // Las nuevas tareas se crean por defecto en el proyecto activo
+      renderProjectOptions(getAllProjects(), projectData.projectId);
+      
+      // Mostrar solo las tareas del proyecto activo
+      this.renderTaskViews();
     } catch (error) {
       console.error('Error al cambiar proyecto:', error);
     }
   }
 
+  /**
+   * Renderiza las vistas de tareas filtradas por el proyecto activo
+   * @param {Array} tasks - Lista de tareas (por defecto todas las del usuario)
+   */
+  renderTaskViews(tasks = getTasks()) {
+    const visibleCount = renderTasks(tasks);
+    renderPriorityTasks(tasks);
+    this.updateTaskCount(visibleCount);
+  }
+
   /**
    * Actualiza el contador de tareas en la UI
    * @param {number} count - Cantidad de tareas
@@ -363,6 +834,11 @@ class AgendaApp {
    */
   clearUserData() {
     // Los módulos individuales manejan la limpieza de datos
+    closeGlobalSearch();
+    clearSearchCommentsCache();
+    this.searchComments = {};
+    loadTagColors(null);
+    loadTaskConfig(null);
     console.log('🧹 Datos del usuario limpiados');
   }
 
@@ -0,0 +1,239 @@
+// Módulo para el historial de actividad de las tareas
+//
+// Cada cambio hecho desde tasks.js agrega una entrada con quién lo hizo,
+// qué hizo, qué campos cambiaron y cuándo. En modo Firebase las entradas
+// pasan por la cola de sincronización para respetar el orden con la tarea.
+
+import { LocalStore } from './localStore.js';
+import { subscribeFirestoreActivity } from './firebase.js';
+import { enqueueOperation, flushPendingOperations } from './syncQueue.js';
+import { getCurrentUserId, getCurrentUserMode, getCurrentUserDisplayName } from './auth.js';
+import { getCurrentUserProfile } from './users.js';
+import { toast, uid } from '../utils/helpers.js';
+
+/**
+ * Acciones registradas en el historial
+ */
+export const ACTIVITY_ACTIONS = {
+  created: 'creó la tarea',
+  updated: 'modificó la tarea',
+  completed: 'completó la tarea',
+  reopened: 'reabrió la tarea',
+  deleted: 'movió la tarea a la papelera',
+  restored: 'restauró la tarea'
+};
+
+/**
+ * Campos que no se registran como cambios (se derivan de otros datos o solo ordenan el tablero)
+ */
+const IGNORED_FIELDS = ['updatedAt', 'commentCount', 'boardOrder'];
+
+/**
+ * Almacenamiento local del historial (usuarios invitados)
+ */
+const localActivity = new LocalStore('agenda_base_activity');
+
+/**
+ * Historial de la tarea abierta
+ */
+let entries = [];
+let activeTaskId = null;
+
+/**
+ * Cancelación de la suscripción en tiempo real a Firestore
+ */
+let unsubscribeActivity = null;
+
+/**
+ * Callbacks para cambios en el historial
+ */
+const activityChangeCallbacks = [];
+
+/**
+ * Registra un callback para cambios en el historial de la tarea abierta
+ * @param {Function} callback - Recibe la lista de entradas y el ID de la tarea
+ */
+export function onActivityChange(callback) {
+  activityChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en el historial
+ */
+function notifyActivityChange() {
+  activityChangeCallbacks.forEach(callback => callback([...entries], activeTaskId));
+}
+
+/**
+ * Resume el valor de un campo para guardarlo en el historial
+ * (las subtareas se guardan como "completadas/total")
+ * @param {string} field - Nombre del campo
+ * @param {*} value - Valor del campo
+ * @returns {*} Valor a guardar
+ */
+function summarizeValue(field, value) {
+  if (field === 'subtasks') {
+    const subtasks = value || [];
+    return `${subtasks.filter(st => st.done).length}/${subtasks.length}`;
+  }
+
+  return value ?? null;
+}
+
+/**
+ * Calcula los cambios entre una tarea y los campos actualizados
+ * @param {Object} task - Tarea antes del cambio
+ * @param {Object} updates - Campos actualizados
+ * @returns {Array} Cambios [{ field, from, to }]
+ */
+export function diffTaskFields(task, updates) {
+  return Object.keys(updates)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      from: summarizeValue(field, task?.[field]),
+      to: summarizeValue(field, updates[field])
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+/**
+ * Determina la acción de una actualización según los campos que cambiaron
+ * @param {Array} changes - Cambios [{ field, from, to }]
+ * @returns {string} 'deleted', 'restored', 'completed', 'reopened' o 'updated'
+ */
+function getUpdateAction(changes) {
+  const trashChange = changes.find(change => change.field === 'deletedAt');
+  if (trashChange) {
+    return trashChange.to ? 'deleted' : 'restored';
+  }
+
+  const doneChange = changes.find(change => change.field === 'done');
+  const onlyDone = changes.every(change => ['done', 'status', 'recurrence'].includes(change.field));
+
+  if (doneChange && onlyDone) {
+    return doneChange.to ? 'completed' : 'reopened';
+  }
+
+  return 'updated';
+}
+
+/**
+ * Registra una entrada en el historial de una tarea
+ * @param {string} userId - ID del usuario que hizo el cambio
+ * @param {string} mode - 'guest' o 'firebase'
+ * @param {string} taskId - ID de la tarea
+ * @param {string} action - 'created' o 'updated' (las actualizaciones se clasifican solas)
+ * @param {Array} changes - Cambios [{ field, from, to }]
+ * @returns {Object|null} Entrada registrada o null si no hubo cambios
+ */
+export function recordActivity(userId, mode, taskId, action, changes = []) {
+  if (action === 'updated' && changes.length === 0) return null;
+
+  const profile = getCurrentUserProfile();
+  const entry = {
+    id: uid(),
+    taskId,
+    actorId: userId,
+    actorName: profile?.displayName || getCurrentUserDisplayName(),
+    action: action === 'updated' ? getUpdateAction(changes) : action,
+    changes,
+    createdAt: Date.now()
+  };
+
+  try {
+    if (mode === 'guest') {
+      localActivity.save(userId, [entry, ...localActivity.load(userId)]);
+
+      if (activeTaskId === taskId) {
+        entries = [entry, ...entries];
+        notifyActivityChange();
+      }
+    } else if (mode === 'firebase') {
+      enqueueOperation(userId, { type: 'activity', taskId, payload: entry });
+      flushPendingOperations(userId);
+    }
+  } catch (error) {
+    // El historial nunca debe impedir el cambio en la tarea
+    console.error('Error al registrar actividad:', error);
+  }
+
+  return entry;
+}
+
+/**
+ * Elimina el historial local de una tarea borrada
+ * @param {string} userId - ID del usuario
+ * @param {string} taskId - ID de la tarea
+ */
+export function removeLocalTaskActivity(userId, taskId) {
+  localActivity.save(userId, localActivity.load(userId).filter(entry => entry.taskId !== taskId));
+}
+
+/**
+ * Carga el historial de una tarea y, en modo Firebase, queda suscripto
+ * a sus cambios hasta llamar a stopActivitySync()
+ * @param {string} taskId - ID de la tarea
+ */
+export function watchActivity(taskId) {
+  stopActivitySync();
+
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  if (!userId || !mode || !taskId) return;
+
+  activeTaskId = taskId;
+
+  if (mode === 'guest') {
+    entries = localActivity.load(userId).filter(entry => entry.taskId === taskId);
+    notifyActivityChange();
+    return;
+  }
+
+  try {
+    unsubscribeActivity = subscribeFirestoreActivity(taskId, (list) => {
+      if (activeTaskId !== taskId) return;
+      entries = list;
+      notifyActivityChange();
+    }, () => {
+      toast('No se pudo cargar el historial de la tarea');
+    });
+  } catch (error) {
+    console.error('Error al cargar el historial:', error);
+    toast('No se pudo cargar el historial de la tarea');
+  }
+}
+
+/**
+ * Cancela la sincronización del historial y limpia la lista en memoria
+ */
+export function stopActivitySync() {
+  if (unsubscribeActivity) {
+    unsubscribeActivity();
+    unsubscribeActivity = null;
+  }
+
+  activeTaskId = null;
+  entries = [];
+}
+
+/**
+ * Obtiene las personas que aparecen en un historial
+ * @param {Array} list - Entradas del historial
+ * @returns {Array} [{ id, name }] sin repetidos
+ */
+export function getActivityActors(list) {
+  const actors = new Map();
+  list.forEach(entry => actors.set(entry.actorId, entry.actorName || 'Usuario'));
+  return [...actors].map(([id, name]) => ({ id, name }));
+}
+
+/**
+ * Filtra un historial por la persona que hizo los cambios
+ * @param {Array} list - Entradas del historial
+ * @param {string} actorId - ID del usuario (vacío para no filtrar)
+ * @returns {Array} Entradas filtradas
+ */
+export function filterActivityByActor(list, actorId) {
+  return actorId ? list.filter(entry => entry.actorId === actorId) : list;
+}
@@ -2,7 +2,25 @@
 
 import { getFirebase } from './firebase.js';
 import { toast } from '../utils/helpers.js';
-import { createOrUpdateUser, setCurrentUserProfile } from './users.js';
+import { createOrUpdateUser, setCurrentUserProfile, stopUsersSync } from './users.js';
+import { stopTasksSync } from './tasks.js';
+import { findGuestIds, offerGuestImport } from './guestImport.js';
+
+/**
+ * Clave de LocalStorage con el ID de invitado estable de este navegador
+ */
+const GUEST_ID_KEY = 'agenda_base_guest_id';
+
+/**
+ * Clave de LocalStorage que recuerda la última sesión de invitado
+ */
+const GUEST_SESSION_KEY = 'agenda_base_guest_session';
+
+/**
+ * true mientras se inicia o cierra sesión manualmente; el observador de
+ * Firebase ignora los eventos que esas mismas acciones provocan
+ */
+let isAuthTransition = false;
 
 /**
  * Estado del usuario autenticado
@@ -44,6 +62,89 @@ export function onAuthStateChanged(callback) {
   }
 }
 
+/**
+ * Construye el usuario de la aplicación a partir de un usuario de Firebase Auth
+ * @param {Object} firebaseUser - Usuario de Firebase Auth
+ * @returns {Object} Usuario de la aplicación
+ */
+function buildFirebaseUser(firebaseUser) {
+  return {
+    id: firebaseUser.uid,
+    displayName: firebaseUser.displayName || 'Usuario',
+    email: firebaseUser.email,
+    photoURL: firebaseUser.photoURL,
+    mode: 'firebase'
+  };
+}
+
+/**
+ * Crea/actualiza el perfil del usuario de Firebase y lo establece como usuario actual
+ * @param {Object} user - Usuario de la aplicación (modo 'firebase')
+ * @returns {Promise<void>}
+ */
+async function startFirebaseSession(user) {
+  // Crear/actualizar perfil del usuario en la base de datos
+  const userProfile = await createOrUpdateUser({
+    uid: user.id,
+    displayName: user.displayName,
+    email: user.email,
+    photoURL: user.photoURL
+  });
+  
+  // Una cuenta de Google reemplaza la sesión de invitado recordada
+  localStorage.removeItem(GUEST_SESSION_KEY);
+  
+  // Establecer perfil y usuario actual
+  setCurrentUserProfile(userProfile);
+  setCurrentUser(user);
+}
+
+/**
+ * Restaura la sesión al cargar la página.
+ * Conecta el observador de Firebase Auth con setCurrentUser y, si no hay
+ * cuenta de Google, retoma la última sesión de invitado.
+ * @returns {Promise<Object|null>} Se resuelve con el usuario restaurado (o null)
+ * cuando se conoce el estado de autenticación
+ */
+export function initAuthObserver() {
+  const Firebase = getFirebase();
+  
+  if (!Firebase) {
+    return Promise.resolve(restoreGuestSession());
+  }
+  
+  return new Promise((resolve) => {
+    let isFirstEvent = true;
+    
+    Firebase.helpers.onAuthStateChanged(Firebase.auth, async (firebaseUser) => {
+      // Los cambios provocados por handleGoogleSignIn/handleSignOut ya se manejan allí
+      if (isAuthTransition && !isFirstEvent) return;
+      
+      try {
+        if (firebaseUser) {
+          if (currentUser?.id !== firebaseUser.uid) {
+            await startFirebaseSession(buildFirebaseUser(firebaseUser));
+          }
+        } else if (currentUser?.mode === 'firebase') {
+          // La sesión se cerró desde otra pestaña o expiró
+          stopTasksSync();
+          stopUsersSync();
+          setCurrentUser(null);
+        } else if (isFirstEvent) {
+          restoreGuestSession();
+        }
+      } catch (error) {
+        console.error('Error al restaurar la sesión:', error);
+      }
+      
+      if (isFirstEvent) {
+        isFirstEvent = false;
+        resolve(currentUser);
+      }
+    });
+  });
+}
+
 /**
  * Inicia sesión con Google usando Firebase
  * @returns {Promise<Object>} Usuario autenticado
@@ -58,28 +159,16 @@ export async function handleGoogleSignIn() {
 
   const { signInWithPopup } = Firebase.helpers;
   
+  isAuthTransition = true;
+  
   try {
     const result = await signInWithPopup(Firebase.auth, Firebase.providers.google);
+    const user = buildFirebaseUser(result.user);
     
-    // Crear/actualizar perfil del usuario en la base de datos
-    const userProfile = await createOrUpdateUser({
-      uid: result.user.uid,
-      displayName: result.user.displayName || 'Usuario',
-      email: result.user.email,
-      photoURL: result.user.photoURL
-    });
-    
-    const user = {
-      id: result.user.uid,
-      displayName: result.user.displayName || 'Usuario',
-      email: result.user.email,
-      photoURL: result.user.photoURL,
-      mode: 'firebase'
-    };
+    // Ofrecer importar las tareas de invitado antes de cargar las de la cuenta
+    await offerGuestImport(user);
     
-    // Establecer usuario actual y perfil
-    setCurrentUser(user);
-    setCurrentUserProfile(userProfile);
+    await startFirebaseSession(user);
     
     toast(`¡Bienvenido, ${user.displayName}!`);
     return user;
@@ -95,6 +184,8 @@ export async function handleGoogleSignIn() {
     }
     
     throw error;
+  } finally {
+    isAuthTransition = false;
   }
 }
 
@@ -103,40 +194,93 @@ export async function handleGoogleSignIn() {
  * @returns {Promise<void>}
  */
 export async function handleSignOut() {
-  if (currentUser?.mode === 'firebase') {
-    const Firebase = getFirebase();
-    if (Firebase) {
-      try {
-        await Firebase.helpers.signOut(Firebase.auth);
-      } catch (error) {
-        console.error('Error al cerrar sesión de Firebase:', error);
+  isAuthTransition = true;
+  
+  try {
+    if (currentUser?.mode === 'firebase') {
+      const Firebase = getFirebase();
+      if (Firebase) {
+        try {
+          await Firebase.helpers.signOut(Firebase.auth);
+        } catch (error) {
+          console.error('Error al cerrar sesión de Firebase:', error);
+        }
       }
     }
+    
+    // Olvidar la sesión de invitado (los datos del invitado se conservan)
+    localStorage.removeItem(GUEST_SESSION_KEY);
+    
+    // Cancelar las suscripciones en tiempo real
+    stopTasksSync();
+    stopUsersSync();
+    
+    // Reset del usuario
+    setCurrentUser(null);
+    toast('Sesión cerrada');
+  } finally {
+    isAuthTransition = false;
+  }
+}
+
+/**
+ * Obtiene el ID de invitado de este navegador, creándolo la primera vez.
+ * Si hay datos de un invitado anterior, se reutiliza el más reciente.
+ * @returns {string} ID de invitado
+ */
+export function getGuestId() {
+  let guestId = localStorage.getItem(GUEST_ID_KEY);
+  
+  if (!guestId) {
+    const [latestGuestId] = findGuestIds().sort((a, b) => 
+      Number(b.replace('guest_', '')) - Number(a.replace('guest_', ''))
+    );
+    guestId = latestGuestId || 'guest_' + Date.now();
+    localStorage.setItem(GUEST_ID_KEY, guestId);
   }
   
-  // Reset del usuario
-  setCurrentUser(null);
-  toast('Sesión cerrada');
+  return guestId;
 }
 
 /**
- * Entra como usuario invitado
+ * Crea el usuario invitado de este navegador
  * @returns {Object} Usuario invitado
  */
-export function enterAsGuest() {
-  const guestUser = {
-    id: 'guest_' + Date.now(),
+function buildGuestUser() {
+  return {
+    id: getGuestId(),
     displayName: 'Invitado',
     email: null,
     photoURL: null,
     mode: 'guest'
   };
+}
+
+/**
+ * Entra como usuario invitado
+ * @returns {Object} Usuario invitado
+ */
+export function enterAsGuest() {
+  const guestUser = buildGuestUser();
   
+  localStorage.setItem(GUEST_SESSION_KEY, guestUser.id);
   setCurrentUser(guestUser);
   toast('Entraste como invitado (datos se guardan en este navegador).');
   return guestUser;
 }
 
+/**
+ * Retoma la sesión de invitado si el usuario no la cerró
+ * @returns {Object|null} Usuario invitado restaurado o null
+ */
+function restoreGuestSession() {
+  if (!localStorage.getItem(GUEST_SESSION_KEY)) return null;
+  
+  const guestUser = buildGuestUser();
+  setCurrentUser(guestUser);
+  return guestUser;
+}
+
 /**
  * Verifica si el usuario actual es invitado
  * @returns {boolean} true si es usuario invitado
@@ -0,0 +1,342 @@
+// Módulo para los comentarios de las tareas
+
+import { LocalStore } from './localStore.js';
+import {
+  subscribeFirestoreComments,
+  fetchFirestoreComments,
+  addFirestoreComment,
+  updateFirestoreComment,
+  removeFirestoreComment
+} from './firebase.js';
+import { getCurrentUserId, getCurrentUserMode, getCurrentUserDisplayName, getCurrentUserPhotoURL } from './auth.js';
+import { getCurrentUserProfile } from './users.js';
+import { setTaskCommentCount } from './tasks.js';
+import { waitForTaskSync } from './syncQueue.js';
+import { toast, uid } from '../utils/helpers.js';
+
+/**
+ * Almacenamiento local de comentarios (usuarios invitados).
+ * Guarda una lista por usuario con los comentarios de todas sus tareas.
+ */
+const localComments = new LocalStore('agenda_base_comments');
+
+/**
+ * Comentarios de la tarea abierta
+ */
+let comments = [];
+let activeTaskId = null;
+
+/**
+ * Cancelación de la suscripción en tiempo real a Firestore
+ */
+let unsubscribeComments = null;
+
+/**
+ * Comentarios ya descargados para la búsqueda (modo Firebase), por ID de tarea.
+ * Cada entrada guarda el contador con el que se descargó para saber si cambió.
+ */
+const searchCommentsCache = new Map();
+
+/**
+ * Callbacks para cambios en los comentarios
+ */
+const commentsChangeCallbacks = [];
+
+/**
+ * Registra un callback para cambios en los comentarios de la tarea abierta
+ * @param {Function} callback - Recibe la lista de comentarios y el ID de la tarea
+ */
+export function onCommentsChange(callback) {
+  commentsChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en los comentarios
+ */
+function notifyCommentsChange() {
+  commentsChangeCallbacks.forEach(callback => callback([...comments], activeTaskId));
+}
+
+/**
+ * Obtiene los comentarios de la tarea abierta
+ * @returns {Array} Lista de comentarios (del más viejo al más nuevo)
+ */
+export function getComments() {
+  return [...comments];
+}
+
+/**
+ * Carga los comentarios de una tarea y, en modo Firebase, queda suscripto
+ * a sus cambios hasta llamar a stopCommentsSync()
+ * @param {string} taskId - ID de la tarea
+ */
+export function watchComments(taskId) {
+  stopCommentsSync();
+
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  if (!userId || !mode || !taskId) return;
+
+  activeTaskId = taskId;
+
+  if (mode === 'guest') {
+    comments = listLocalComments(userId, taskId);
+    notifyCommentsChange();
+    return;
+  }
+
+  try {
+    unsubscribeComments = subscribeFirestoreComments(taskId, (list) => {
+      if (activeTaskId !== taskId) return;
+      comments = list;
+      searchCommentsCache.set(taskId, { commentCount: list.length, texts: list.map(c => c.text) });
+      notifyCommentsChange();
+    }, () => {
+      toast('No se pudieron cargar los comentarios');
+    });
+  } catch (error) {
+    console.error('Error al cargar comentarios:', error);
+    toast('No se pudieron cargar los comentarios');
+  }
+}
+
+/**
+ * Cancela la sincronización de comentarios y limpia la lista en memoria
+ */
+export function stopCommentsSync() {
+  if (unsubscribeComments) {
+    unsubscribeComments();
+    unsubscribeComments = null;
+  }
+
+  activeTaskId = null;
+  comments = [];
+}
+
+/**
+ * Obtiene los comentarios locales de una tarea
+ * @param {string} userId - ID del usuario
+ * @param {string} taskId - ID de la tarea
+ * @returns {Array} Comentarios ordenados por fecha
+ */
+function listLocalComments(userId, taskId) {
+  return localComments.load(userId)
+    .filter(c => c.taskId === taskId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Guarda los comentarios locales y actualiza el contador de la tarea
+ * @param {string} userId - ID del usuario
+ * @param {string} taskId - ID de la tarea
+ * @param {Array} allComments - Todos los comentarios del usuario
+ */
+function saveLocalComments(userId, taskId, allComments) {
+  localComments.save(userId, allComments);
+
+  const list = listLocalComments(userId, taskId);
+  setTaskCommentCount(taskId, list.length);
+
+  if (activeTaskId === taskId) {
+    comments = list;
+    notifyCommentsChange();
+  }
+}
+
+/**
+ * Elimina los comentarios locales de una tarea borrada
+ * @param {string} userId - ID del usuario
+ * @param {string} taskId - ID de la tarea
+ */
+export function removeLocalTaskComments(userId, taskId) {
+  localComments.save(userId, localComments.load(userId).filter(c => c.taskId !== taskId));
+}
+
+/**
+ * Indica si un comentario fue escrito por el usuario actual
+ * @param {Object} comment - Comentario
+ * @returns {boolean} true si es propio
+ */
+export function isOwnComment(comment) {
+  return comment.authorId === getCurrentUserId();
+}
+
+/**
+ * Valida el texto de un comentario
+ * @param {string} text - Texto del comentario
+ * @returns {string} Texto sin espacios sobrantes
+ */
+function validateCommentText(text) {
+  if (!text || text.trim().length === 0) {
+    throw new Error('El comentario no puede estar vacío');
+  }
+
+  if (text.trim().length > 2000) {
+    throw new Error('El comentario no puede superar los 2000 caracteres');
+  }
+
+  return text.trim();
+}
+
+/**
+ * Agrega un comentario a una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {string} text - Texto del comentario
+ * @returns {Promise<Object>} Comentario creado
+ */
+export async function addComment(taskId, text) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const profile = getCurrentUserProfile();
+  const now = Date.now();
+  const comment = {
+    id: uid(),
+    taskId,
+    text: validateCommentText(text),
+    authorId: userId,
+    authorName: profile?.displayName || getCurrentUserDisplayName(),
+    authorPhotoURL: profile?.photoURL || getCurrentUserPhotoURL(),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Una tarea creada sin conexión todavía no existe en Firestore: primero se sincroniza
+  if (mode === 'firebase' && !(await waitForTaskSync(userId, taskId))) {
+    toast('La tarea todavía no se sincronizó; vas a poder comentarla cuando vuelva la conexión');
+    throw new Error('La tarea todavía no existe en Firestore');
+  }
+
+  try {
+    if (mode === 'guest') {
+      saveLocalComments(userId, taskId, [...localComments.load(userId), comment]);
+    } else if (mode === 'firebase') {
+      await addFirestoreComment(taskId, comment);
+    }
+
+    return comment;
+  } catch (error) {
+    console.error('Error al agregar comentario:', error);
+    toast('Error al agregar el comentario');
+    throw error;
+  }
+}
+
+/**
+ * Edita el texto de un comentario propio
+ * @param {string} taskId - ID de la tarea
+ * @param {string} commentId - ID del comentario
+ * @param {string} text - Nuevo texto
+ * @returns {Promise<void>}
+ */
+export async function editComment(taskId, commentId, text) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const comment = comments.find(c => c.id === commentId);
+  if (comment && !isOwnComment(comment)) {
+    throw new Error('Solo podés editar tus propios comentarios');
+  }
+
+  const updates = { text: validateCommentText(text), updatedAt: Date.now() };
+
+  try {
+    if (mode === 'guest') {
+      saveLocalComments(userId, taskId, localComments.load(userId).map(c =>
+        c.id === commentId ? { ...c, ...updates } : c
+      ));
+    } else if (mode === 'firebase') {
+      await updateFirestoreComment(taskId, commentId, updates);
+    }
+  } catch (error) {
+    console.error('Error al editar comentario:', error);
+    toast('Error al editar el comentario');
+    throw error;
+  }
+}
+
+/**
+ * Elimina un comentario propio
+ * @param {string} taskId - ID de la tarea
+ * @param {string} commentId - ID del comentario
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeComment(taskId, commentId) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const comment = comments.find(c => c.id === commentId);
+  if (comment && !isOwnComment(comment)) {
+    throw new Error('Solo podés eliminar tus propios comentarios');
+  }
+
+  try {
+    if (mode === 'guest') {
+      saveLocalComments(userId, taskId, localComments.load(userId).filter(c => c.id !== commentId));
+    } else if (mode === 'firebase') {
+      await removeFirestoreComment(taskId, commentId);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error al eliminar comentario:', error);
+    toast('Error al eliminar el comentario');
+    throw error;
+  }
+}
+
+/**
+ * Obtiene el texto de los comentarios de varias tareas para la búsqueda global.
+ * En modo Firebase solo descarga las tareas con comentarios nuevos desde la última vez.
+ * @param {Array} taskList - Tareas donde se va a buscar
+ * @returns {Promise<Object>} Mapa { taskId: [textos] }
+ */
+export async function getCommentsForSearch(taskList) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  if (!userId || !mode) return {};
+
+  if (mode === 'guest') {
+    return localComments.load(userId).reduce((byTask, comment) => {
+      (byTask[comment.taskId] ||= []).push(comment.text);
+      return byTask;
+    }, {});
+  }
+
+  const staleTasks = taskList.filter(task =>
+    task.commentCount > 0 && searchCommentsCache.get(task.id)?.commentCount !== task.commentCount
+  );
+
+  await Promise.all(staleTasks.map(async (task) => {
+    try {
+      const list = await fetchFirestoreComments(task.id);
+      searchCommentsCache.set(task.id, { commentCount: task.commentCount, texts: list.map(c => c.text) });
+    } catch (error) {
+      // Una tarea sin acceso a sus comentarios no impide buscar en el resto
+      console.warn('No se pudieron cargar los comentarios para la búsqueda:', task.id, error);
+    }
+  }));
+
+  return Object.fromEntries(taskList
+    .filter(task => task.commentCount > 0 && searchCommentsCache.has(task.id))
+    .map(task => [task.id, searchCommentsCache.get(task.id).texts]));
+}
+
+/**
+ * Descarta los comentarios guardados para la búsqueda (por ejemplo, al cerrar sesión)
+ */
+export function clearSearchCommentsCache() {
+  searchCommentsCache.clear();
+}
@@ -14,6 +14,11 @@ export const FIREBASE_CONFIG = {
 
 let Firebase = null; // { app, auth, db, providers }
 
+/**
+ * Cantidad máxima de escrituras por lote de Firestore
+ */
+const MAX_BATCH_WRITES = 500;
+
 /**
  * Intenta inicializar Firebase
  * @returns {Object|null} Instancia de Firebase o null si falla
@@ -31,7 +36,7 @@ export async function tryInitFirebase() {
     const [
       { initializeApp },
       { getAuth, GoogleAuthProvider, signInWithPopup, onAuthStateChanged, signOut },
-      { getFirestore, collection, query, where, orderBy, addDoc, updateDoc, deleteDoc, doc, getDocs, setDoc }
+      { getFirestore, collection, query, where, orderBy, addDoc, updateDoc, deleteDoc, doc, getDoc, getDocs, setDoc, onSnapshot, writeBatch, increment }
     ] = await Promise.all([
       import('https://www.gstatic.com/firebasejs/10.12.0/firebase-app.js'),
       import('https://www.gstatic.com/firebasejs/10.12.0/firebase-auth.js'),
@@ -56,8 +61,12 @@ export async function tryInitFirebase() {
         updateDoc,
         deleteDoc,
         doc,
+        getDoc,
         getDocs,
         setDoc,
+        onSnapshot,
+        writeBatch,
+        increment,
         signInWithPopup,
         onAuthStateChanged,
         signOut
@@ -80,6 +89,15 @@ export function getFirebase() {
   return Firebase;
 }
 
+/**
+ * Reemplaza la instancia de Firebase (por ejemplo, con un objeto `helpers`
+ * simulado o conectado al emulador para pruebas)
+ * @param {Object|null} instance - Instancia { app, auth, db, providers, helpers }
+ */
+export function setFirebase(instance) {
+  Firebase = instance;
+}
+
 /**
  * Obtiene las tareas de Firestore para un usuario
  * @param {string} userId - ID del usuario
@@ -107,6 +125,120 @@ export async function fetchFirestoreTasks(userId) {
   }
 }
 
+/**
+ * Se suscribe en tiempo real a las tareas de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {Function} onChange - Recibe la lista completa de tareas en cada cambio
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreTasks(userId, onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, where, orderBy, onSnapshot } = Firebase.helpers;
+  
+  const q = query(
+    collection(Firebase.db, 'tasks'),
+    where('ownerId', '==', userId),
+    orderBy('createdAt', 'desc')
+  );
+  
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de tareas de Firestore:', error);
+      onError(error);
+    }
+  );
+}
+
+/**
+ * Se suscribe en tiempo real a las tareas asignadas a un usuario
+ * (incluye las creadas por otros usuarios)
+ * @param {string} userId - ID del usuario asignado
+ * @param {Function} onChange - Recibe la lista completa de tareas en cada cambio
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreAssignedTasks(userId, onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, where, orderBy, onSnapshot } = Firebase.helpers;
+  
+  const q = query(
+    collection(Firebase.db, 'tasks'),
+    where('assigneeIds', 'array-contains', userId),
+    orderBy('createdAt', 'desc')
+  );
+  
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de tareas asignadas de Firestore:', error);
+      onError(error);
+    }
+  );
+}
+
+/**
+ * Se suscribe en tiempo real a las tareas de una lista compartida
+ * (incluye las creadas por todos sus miembros)
+ * @param {string} projectId - ID del proyecto
+ * @param {Function} onChange - Recibe la lista completa de tareas en cada cambio
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreProjectTasks(projectId, onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, where, onSnapshot } = Firebase.helpers;
+  
+  const q = query(
+    collection(Firebase.db, 'tasks'),
+    where('projectId', '==', projectId)
+  );
+  
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de tareas de la lista compartida:', error);
+      onError(error);
+    }
+  );
+}
+
+/**
+ * Se suscribe en tiempo real a la colección de usuarios
+ * @param {Function} onChange - Recibe la lista completa de usuarios en cada cambio
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreUsers(onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, onSnapshot } = Firebase.helpers;
+  
+  return onSnapshot(
+    collection(Firebase.db, 'users'),
+    (snap) => onChange(snap.docs.map(d => ({ uid: d.id, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de usuarios de Firestore:', error);
+      onError(error);
+    }
+  );
+}
+
 /**
  * Agrega una nueva tarea en Firestore
  * @param {string} userId - ID del usuario
@@ -114,9 +246,11 @@ export async function fetchFirestoreTasks(userId) {
  * @param {string|null} dueDate - Fecha de vencimiento (opcional)
  * @param {string} category - Categoría de la tarea (opcional)
  * @param {string} priority - Prioridad de la tarea (opcional)
+ * @param {string} projectId - ID del proyecto/lista (opcional)
+ * @param {Object} details - Campos adicionales de la tarea, p. ej. recurrence (opcional)
  * @returns {Promise<Object>} Tarea creada
  */
-export async function addFirestoreTask(userId, title, dueDate = null, category = 'other', priority = 'medium') {
+export async function addFirestoreTask(userId, title, dueDate = null, category = 'other', priority = 'medium', projectId = 'inbox', details = {}) {
   if (!Firebase) {
     throw new Error('Firebase no está inicializado');
   }
@@ -124,34 +258,73 @@ export async function addFirestoreTask(userId, title, dueDate = null, category =
   const { collection, addDoc } = Firebase.helpers;
   
   try {
-    const docRef = await addDoc(collection(Firebase.db, 'tasks'), {
+    const now = Date.now();
+    const data = {
+      ...details,
+      tags: details.tags || [],
       ownerId: userId,
       title,
       done: false,
-      createdAt: Date.now(),
+      createdAt: now,
+      updatedAt: now,
       dueDate: dueDate ? new Date(dueDate).getTime() : null,
       category,
       priority,
-      status: 'pending'
-    });
-
-    return {
-      id: docRef.id,
-      ownerId: userId,
-      title,
-      done: false,
-      createdAt: Date.now(),
-      dueDate: dueDate ? new Date(dueDate).getTime() : null,
-      category,
-      priority,
-      status: 'pending'
+      status: 'pending',
+      projectId
     };
+    const docRef = await addDoc(collection(Firebase.db, 'tasks'), data);
+
+    return { id: docRef.id, ...data };
   } catch (error) {
     console.error('Error al agregar tarea en Firestore:', error);
     throw error;
   }
 }
 
+/**
+ * Obtiene una tarea de Firestore por ID
+ * @param {string} id - ID de la tarea
+ * @returns {Promise<Object|null>} Tarea o null si no existe
+ */
+export async function getFirestoreTask(id) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, getDoc } = Firebase.helpers;
+  
+  try {
+    const snap = await getDoc(doc(Firebase.db, 'tasks', id));
+    return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+  } catch (error) {
+    console.error('Error al obtener tarea de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea o reemplaza una tarea en Firestore usando un ID generado en el cliente
+ * @param {Object} task - Tarea completa (incluye id y ownerId)
+ * @returns {Promise<Object>} Tarea guardada
+ */
+export async function setFirestoreTask(task) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, setDoc } = Firebase.helpers;
+  const { id, ...data } = task;
+  
+  try {
+    await setDoc(doc(Firebase.db, 'tasks', id), data);
+    return task;
+  } catch (error) {
+    console.error('Error al guardar tarea en Firestore:', error);
+    throw error;
+  }
+}
+
 /**
  * Cambia el estado de una tarea en Firestore
  * @param {string} userId - ID del usuario
@@ -171,11 +344,10 @@ export async function toggleFirestoreTask(userId, id) {
     if (!current) return null;
 
     const { updateDoc, doc } = Firebase.helpers;
-    await updateDoc(doc(Firebase.db, 'tasks', id), {
-      done: !current.done
-    });
+    const updates = { done: !current.done, updatedAt: Date.now() };
+    await updateDoc(doc(Firebase.db, 'tasks', id), updates);
 
-    return { ...current, done: !current.done };
+    return { ...current, ...updates };
   } catch (error) {
     console.error('Error al cambiar estado de tarea en Firestore:', error);
     throw error;
@@ -193,10 +365,23 @@ export async function removeFirestoreTask(userId, id) {
     throw new Error('Firebase no está inicializado');
   }
 
-  const { deleteDoc, doc } = Firebase.helpers;
+  const { collection, getDocs, writeBatch, doc } = Firebase.helpers;
   
   try {
-    await deleteDoc(doc(Firebase.db, 'tasks', id));
+    // Borrar también los comentarios y el historial (las subcolecciones no se borran solas)
+    const [commentsSnap, activitySnap] = await Promise.all([
+      getDocs(collection(Firebase.db, 'tasks', id, 'comments')),
+      getDocs(collection(Firebase.db, 'tasks', id, 'activity'))
+    ]);
+    const refs = [...commentsSnap.docs.map(d => d.ref), ...activitySnap.docs.map(d => d.ref), doc(Firebase.db, 'tasks', id)];
+    
+    // Un lote admite hasta 500 escrituras; la tarea va al final para que las reglas
+    // de las subcolecciones la encuentren mientras se borran
+    for (let start = 0; start < refs.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(Firebase.db);
+      refs.slice(start, start + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
     return true;
   } catch (error) {
     console.error('Error al eliminar tarea de Firestore:', error);
@@ -222,10 +407,374 @@ export async function updateFirestoreTask(userId, id, updates) {
     await updateDoc(doc(Firebase.db, 'tasks', id), updates);
     
     // Obtener la tarea actualizada
-    const list = await fetchFirestoreTasks(userId);
-    return list.find(t => t.id === id) || null;
+    return await getFirestoreTask(id);
   } catch (error) {
     console.error('Error al actualizar tarea en Firestore:', error);
     throw error;
   }
 }
+
+/**
+ * Obtiene los proyectos de Firestore de un usuario: los propios y
+ * las listas compartidas en las que es miembro
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array>} Lista de proyectos
+ */
+export async function fetchFirestoreProjects(userId) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, where, getDocs } = Firebase.helpers;
+  
+  try {
+    const projectsRef = collection(Firebase.db, 'projects');
+    const [ownedSnap, memberSnap] = await Promise.all([
+      getDocs(query(projectsRef, where('ownerId', '==', userId))),
+      getDocs(query(projectsRef, where('memberIds', 'array-contains', userId)))
+    ]);
+    
+    // Los proyectos propios compartidos aparecen en las dos consultas
+    const byId = {};
+    [...ownedSnap.docs, ...memberSnap.docs].forEach(d => {
+      byId[d.id] = { id: d.id, ...d.data() };
+    });
+    return Object.values(byId);
+  } catch (error) {
+    console.error('Error al obtener proyectos de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea o actualiza un proyecto en Firestore
+ * @param {string} userId - ID del usuario (creador si el proyecto es nuevo)
+ * @param {Object} project - Proyecto a guardar (usa project.id como ID del documento)
+ * @returns {Promise<Object>} Proyecto guardado
+ */
+export async function saveFirestoreProject(userId, project) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, setDoc } = Firebase.helpers;
+  
+  try {
+    const data = { ...project, ownerId: project.ownerId || userId };
+    // Se reemplaza el documento completo para que quitar un miembro borre su rol
+    await setDoc(doc(Firebase.db, 'projects', project.id), data);
+    return data;
+  } catch (error) {
+    console.error('Error al guardar proyecto en Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un proyecto de Firestore
+ * @param {string} userId - ID del usuario
+ * @param {string} id - ID del proyecto
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeFirestoreProject(userId, id) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { deleteDoc, doc } = Firebase.helpers;
+  
+  try {
+    await deleteDoc(doc(Firebase.db, 'projects', id));
+    return true;
+  } catch (error) {
+    console.error('Error al eliminar proyecto de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene las vistas guardadas de Firestore de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array>} Lista de vistas guardadas
+ */
+export async function fetchFirestoreSmartViews(userId) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, where, getDocs } = Firebase.helpers;
+  
+  try {
+    const q = query(collection(Firebase.db, 'smartViews'), where('ownerId', '==', userId));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  } catch (error) {
+    console.error('Error al obtener vistas guardadas de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea o actualiza una vista guardada en Firestore
+ * @param {string} userId - ID del usuario
+ * @param {Object} view - Vista a guardar (usa view.id como ID del documento)
+ * @returns {Promise<Object>} Vista guardada
+ */
+export async function saveFirestoreSmartView(userId, view) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, setDoc } = Firebase.helpers;
+  
+  try {
+    const data = { ...view, ownerId: userId };
+    await setDoc(doc(Firebase.db, 'smartViews', view.id), data);
+    return data;
+  } catch (error) {
+    console.error('Error al guardar vista en Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una vista guardada de Firestore
+ * @param {string} userId - ID del usuario
+ * @param {string} id - ID de la vista
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeFirestoreSmartView(userId, id) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { deleteDoc, doc } = Firebase.helpers;
+  
+  try {
+    await deleteDoc(doc(Firebase.db, 'smartViews', id));
+    return true;
+  } catch (error) {
+    console.error('Error al eliminar vista de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene la configuración personal de un usuario (por ejemplo, colores de etiquetas)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object|null>} Configuración o null si todavía no tiene
+ */
+export async function fetchFirestoreUserSettings(userId) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, getDoc } = Firebase.helpers;
+  
+  try {
+    const snap = await getDoc(doc(Firebase.db, 'userSettings', userId));
+    return snap.exists() ? snap.data() : null;
+  } catch (error) {
+    console.error('Error al obtener configuración de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda campos de la configuración personal de un usuario.
+ * Cada campo indicado se reemplaza completo; el resto se conserva.
+ * @param {string} userId - ID del usuario
+ * @param {Object} settings - Campos a guardar
+ * @returns {Promise<void>}
+ */
+export async function saveFirestoreUserSettings(userId, settings) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, setDoc } = Firebase.helpers;
+  
+  try {
+    const data = { ...settings, ownerId: userId };
+    await setDoc(doc(Firebase.db, 'userSettings', userId), data, { mergeFields: Object.keys(data) });
+  } catch (error) {
+    console.error('Error al guardar configuración en Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Se suscribe en tiempo real a los comentarios de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {Function} onChange - Recibe la lista de comentarios (del más viejo al más nuevo)
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreComments(taskId, onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, orderBy, onSnapshot } = Firebase.helpers;
+  
+  const q = query(
+    collection(Firebase.db, 'tasks', taskId, 'comments'),
+    orderBy('createdAt', 'asc')
+  );
+  
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, taskId, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de comentarios de Firestore:', error);
+      onError(error);
+    }
+  );
+}
+
+/**
+ * Obtiene una vez los comentarios de una tarea (sin suscripción)
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<Array>} Lista de comentarios (del más viejo al más nuevo)
+ */
+export async function fetchFirestoreComments(taskId) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, orderBy, getDocs } = Firebase.helpers;
+  
+  try {
+    const q = query(collection(Firebase.db, 'tasks', taskId, 'comments'), orderBy('createdAt', 'asc'));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, taskId, ...d.data() }));
+  } catch (error) {
+    console.error('Error al obtener comentarios de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Agrega un comentario a una tarea y actualiza su contador
+ * @param {string} taskId - ID de la tarea
+ * @param {Object} comment - Comentario con ID generado en el cliente
+ * @returns {Promise<Object>} Comentario guardado
+ */
+export async function addFirestoreComment(taskId, comment) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, writeBatch, increment } = Firebase.helpers;
+  const { id, ...data } = comment;
+  
+  try {
+    const batch = writeBatch(Firebase.db);
+    batch.set(doc(Firebase.db, 'tasks', taskId, 'comments', id), data);
+    batch.update(doc(Firebase.db, 'tasks', taskId), { commentCount: increment(1) });
+    await batch.commit();
+    return comment;
+  } catch (error) {
+    console.error('Error al agregar comentario en Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Actualiza un comentario existente
+ * @param {string} taskId - ID de la tarea
+ * @param {string} commentId - ID del comentario
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Promise<void>}
+ */
+export async function updateFirestoreComment(taskId, commentId, updates) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, updateDoc } = Firebase.helpers;
+  
+  try {
+    await updateDoc(doc(Firebase.db, 'tasks', taskId, 'comments', commentId), updates);
+  } catch (error) {
+    console.error('Error al actualizar comentario en Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un comentario de una tarea y actualiza su contador
+ * @param {string} taskId - ID de la tarea
+ * @param {string} commentId - ID del comentario
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeFirestoreComment(taskId, commentId) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, writeBatch, increment } = Firebase.helpers;
+  
+  try {
+    const batch = writeBatch(Firebase.db);
+    batch.delete(doc(Firebase.db, 'tasks', taskId, 'comments', commentId));
+    batch.update(doc(Firebase.db, 'tasks', taskId), { commentCount: increment(-1) });
+    await batch.commit();
+    return true;
+  } catch (error) {
+    console.error('Error al eliminar comentario de Firestore:', error);
+    throw error;
+  }
+}
+
+/**
+ * Se suscribe en tiempo real al historial de actividad de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {Function} onChange - Recibe la lista de entradas (de la más nueva a la más vieja)
+ * @param {Function} onError - Recibe el error si la suscripción falla (opcional)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeFirestoreActivity(taskId, onChange, onError = () => {}) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { collection, query, orderBy, onSnapshot } = Firebase.helpers;
+  
+  const q = query(
+    collection(Firebase.db, 'tasks', taskId, 'activity'),
+    orderBy('createdAt', 'desc')
+  );
+  
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, taskId, ...d.data() }))),
+    (error) => {
+      console.error('Error en la suscripción de actividad de Firestore:', error);
+      onError(error);
+    }
+  );
+}
+
+/**
+ * Guarda una entrada del historial de actividad de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {Object} entry - Entrada con ID generado en el cliente
+ * @returns {Promise<Object>} Entrada guardada
+ */
+export async function addFirestoreActivity(taskId, entry) {
+  if (!Firebase) {
+    throw new Error('Firebase no está inicializado');
+  }
+
+  const { doc, setDoc } = Firebase.helpers;
+  const { id, ...data } = entry;
+  
+  try {
+    await setDoc(doc(Firebase.db, 'tasks', taskId, 'activity', id), data);
+    return entry;
+  } catch (error) {
+    console.error('Error al guardar actividad en Firestore:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+// Módulo para importar los datos de invitado a una cuenta de Google
+
+import { LocalStore } from './localStore.js';
+import { fetchFirestoreTasks, addFirestoreTask, updateFirestoreTask } from './firebase.js';
+import { fetchProjects, saveProject } from './projects.js';
+import { toast } from '../utils/helpers.js';
+
+/**
+ * Almacenamientos locales usados en modo invitado
+ */
+const localTasks = new LocalStore('agenda_base_tasks');
+const localProjects = new LocalStore('agenda_base_projects');
+
+/**
+ * Prefijo de la marca que indica que una cuenta ya resolvió la importación
+ */
+const IMPORT_FLAG_KEY = 'agenda_base_guest_import';
+
+/**
+ * Obtiene los IDs de invitado con datos guardados en este navegador
+ * (incluye los IDs aleatorios de versiones anteriores)
+ * @returns {Array<string>} IDs de invitado
+ */
+export function findGuestIds() {
+  const ids = new Set([
+    ...localTasks.listUserIds('guest_'),
+    ...localProjects.listUserIds('guest_')
+  ]);
+  return [...ids];
+}
+
+/**
+ * Reúne las tareas y proyectos de todos los invitados de este navegador
+ * @returns {{ tasks: Array, projects: Array }} Datos de invitado
+ */
+function collectGuestData() {
+  const guestIds = findGuestIds();
+
+  return {
+    tasks: guestIds.flatMap(guestId => localTasks.load(guestId)),
+    projects: guestIds.flatMap(guestId => localProjects.load(guestId))
+  };
+}
+
+/**
+ * Clave de deduplicación de una tarea (mismo título y vencimiento)
+ * @param {Object} task - Tarea
+ * @returns {string} Clave
+ */
+function taskKey(task) {
+  return `${task.title.trim().toLowerCase()}|${task.dueDate || ''}`;
+}
+
+/**
+ * Ofrece importar a Firestore los datos de invitado guardados en este navegador.
+ * Solo pregunta la primera vez que la cuenta inicia sesión en este navegador.
+ * @param {Object} user - Usuario de Firebase recién autenticado ({ id, mode, ... })
+ * @returns {Promise<number>} Cantidad de tareas importadas
+ */
+export async function offerGuestImport(user) {
+  const flagKey = `${IMPORT_FLAG_KEY}:${user.id}`;
+  if (localStorage.getItem(flagKey)) return 0;
+
+  const guestData = collectGuestData();
+  if (guestData.tasks.length === 0 && guestData.projects.length === 0) return 0;
+
+  const accepted = confirm(
+    `Encontramos ${guestData.tasks.length} tareas y ${guestData.projects.length} listas ` +
+    'guardadas como invitado en este navegador. ¿Querés importarlas a tu cuenta?'
+  );
+
+  if (!accepted) {
+    localStorage.setItem(flagKey, 'declined');
+    return 0;
+  }
+
+  try {
+    const imported = await importGuestData(user, guestData);
+    localStorage.setItem(flagKey, 'imported');
+    toast(`Se importaron ${imported} tareas de invitado`);
+    return imported;
+  } catch (error) {
+    console.error('Error al importar datos de invitado:', error);
+    toast('No se pudieron importar los datos de invitado');
+    return 0;
+  }
+}
+
+/**
+ * Copia los proyectos y tareas de invitado a Firestore, sin duplicados,
+ * y borra la copia local al terminar
+ * @param {Object} user - Usuario de Firebase
+ * @param {{ tasks: Array, projects: Array }} guestData - Datos de invitado
+ * @returns {Promise<number>} Cantidad de tareas importadas
+ */
+async function importGuestData(user, guestData) {
+  // Proyectos: reutilizar los que ya existen con el mismo nombre
+  const existingProjects = await fetchProjects(user);
+  const projectIdMap = {};
+
+  for (const project of guestData.projects) {
+    const match = existingProjects.find(p => p.name.trim().toLowerCase() === project.name.trim().toLowerCase());
+
+    if (match) {
+      projectIdMap[project.id] = match.id;
+    } else {
+      await saveProject(user, project);
+      existingProjects.push(project);
+      projectIdMap[project.id] = project.id;
+    }
+  }
+
+  // Tareas: omitir las que ya están en la cuenta (o repetidas entre invitados)
+  const existingTasks = await fetchFirestoreTasks(user.id);
+  const seen = new Set(existingTasks.map(taskKey));
+  let imported = 0;
+
+  for (const task of guestData.tasks) {
+    // Las tareas de la papelera no se importan
+    if (task.deletedAt) continue;
+    
+    const key = taskKey(task);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const projectId = projectIdMap[task.projectId] || task.projectId || 'inbox';
+    const newTask = await addFirestoreTask(
+      user.id,
+      task.title,
+      task.dueDate,
+      task.category,
+      task.priority,
+      projectId,
+      {
+        description: task.description || '',
+        tags: task.tags || [],
+        subtasks: task.subtasks || [],
+        autoCompleteSubtasks: !!task.autoCompleteSubtasks,
+        recurrence: task.recurrence || null
+      }
+    );
+
+    if (task.done || (task.status && task.status !== 'pending')) {
+      await updateFirestoreTask(user.id, newTask.id, {
+        done: !!task.done,
+        status: task.status || 'pending'
+      });
+    }
+
+    imported++;
+  }
+
+  // Limpiar la copia local
+  findGuestIds().forEach(guestId => {
+    localTasks.clear(guestId);
+    localProjects.clear(guestId);
+  });
+
+  return imported;
+}
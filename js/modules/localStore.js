@@ -52,19 +52,25 @@ export class LocalStore {
    * @param {string|null} dueDate - Fecha de vencimiento (opcional)
    * @param {string} category - Categoría de la tarea (opcional)
    * @param {string} priority - Prioridad de la tarea (opcional)
+   * @param {string} projectId - ID del proyecto/lista (opcional)
+   * @param {Object} details - Campos adicionales de la tarea, p. ej. recurrence (opcional)
    * @returns {Object} Tarea creada
    */
-  add(userId, title, dueDate = null, category = 'other', priority = 'medium') {
+  add(userId, title, dueDate = null, category = 'other', priority = 'medium', projectId = 'inbox', details = {}) {
     const tasks = this.load(userId);
     const item = {
+      ...details,
+      tags: details.tags || [],
       id: this._generateId(),
       title,
       done: false,
       createdAt: Date.now(),
+      updatedAt: Date.now(),
       dueDate: dueDate ? new Date(dueDate).getTime() : null,
       category,
       priority,
-      status: 'pending'
+      status: 'pending',
+      projectId
     };
     tasks.unshift(item);
     this.save(userId, tasks);
@@ -83,6 +89,7 @@ export class LocalStore {
     
     if (index > -1) {
       tasks[index].done = !tasks[index].done;
+      tasks[index].updatedAt = Date.now();
       this.save(userId, tasks);
       return tasks[index];
     }
@@ -113,7 +120,7 @@ export class LocalStore {
     const index = tasks.findIndex(t => t.id === id);
     
     if (index > -1) {
-      tasks[index] = { ...tasks[index], ...updates };
+      tasks[index] = { ...tasks[index], ...updates, updatedAt: Date.now() };
       this.save(userId, tasks);
       return tasks[index];
     }
@@ -132,6 +139,25 @@ export class LocalStore {
     return Date.now() + "-" + Math.random().toString(16).slice(2);
   }
 
+  /**
+   * Lista los IDs de usuario que tienen datos guardados con esta clave
+   * @param {string} prefix - Prefijo del ID de usuario (opcional, p. ej. 'guest_')
+   * @returns {Array<string>} IDs de usuario
+   */
+  listUserIds(prefix = '') {
+    const keyPrefix = this.key + ':' + prefix;
+    const userIds = [];
+    
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      if (storageKey && storageKey.startsWith(keyPrefix)) {
+        userIds.push(storageKey.slice(this.key.length + 1));
+      }
+    }
+    
+    return userIds;
+  }
+
   /**
    * Limpia todas las tareas de un usuario
    * @param {string} userId - ID del usuario
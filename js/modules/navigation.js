@@ -1,13 +1,106 @@
 // Módulo para manejar la navegación entre proyectos
 
-import { $ } from '../utils/helpers.js';
-import { getCurrentUser } from './auth.js';
+import { $, $$, uid, toast, escapeHTML, toDateInputValue } from '../utils/helpers.js';
+import { getCurrentUser, getCurrentUserId, getCurrentUserMode, onAuthStateChanged } from './auth.js';
+import { 
+  getTaskCountsByProject, 
+  onTaskCountsChange, 
+  getAssignedTasks, 
+  getTrashedTasks,
+  getTasks,
+  getAllTags,
+  filterTasks,
+  syncSharedProjectTasks,
+  isOwnTask 
+} from './tasks.js';
+import { searchUsers, getUserById } from './users.js';
+import { 
+  PROJECT_ROLES,
+  fetchProjects, 
+  saveProject, 
+  removeProject, 
+  getMemberRole, 
+  canRoleWrite, 
+  isSharedProject 
+} from './projects.js';
+import {
+  fetchSmartViews,
+  saveSmartView,
+  removeSmartView,
+  normalizeSmartViewFilters,
+  describeSmartViewFilters
+} from './smartViews.js';
+import { SORT_OPTIONS, getFilters } from './taskFilters.js';
+import { DUE_RANGES } from '../utils/dateRanges.js';
+import { getCategories, getPriorities, getStatuses } from '../config/taskConfig.js';
+
+/**
+ * Proyecto por defecto (recibe las tareas sin proyecto asignado)
+ */
+const INBOX_PROJECT = {
+  id: 'inbox',
+  name: 'Buzón de entrada',
+  color: 'blue',
+  description: 'Tareas sin categorizar',
+  isDefault: true
+};
+
+/**
+ * Vistas especiales de la barra lateral.
+ * No son listas: cada una obtiene sus propias tareas con getTasks().
+ */
+const VIEWS = {
+  assigned: {
+    id: 'assigned',
+    name: 'Asignadas a mí',
+    color: 'purple',
+    description: 'Tareas que te asignaron, de cualquier lista',
+    isView: true,
+    requiresFirebase: true,
+    getTasks: () => getAssignedTasks()
+  },
+  trash: {
+    id: 'trash',
+    name: 'Papelera',
+    color: 'gray',
+    description: 'Tareas eliminadas: restauralas o eliminalas definitivamente',
+    isView: true,
+    countsAllTasks: true,
+    getTasks: () => getTrashedTasks()
+  }
+};
 
 /**
  * Estado de navegación actual
  */
 let currentProject = 'inbox';
-let projects = {};
+let projects = { inbox: { ...INBOX_PROJECT } };
+
+/**
+ * Identificador de la última carga de proyectos (descarta respuestas obsoletas)
+ */
+let projectsLoadId = 0;
+
+/**
+ * Vistas guardadas del usuario (filtros con nombre), por ID
+ */
+let smartViews = {};
+let smartViewsLoadId = 0;
+
+/**
+ * ID de la vista guardada que se está editando en el modal (null si es nueva)
+ */
+let editingSmartViewId = null;
+
+/**
+ * Miembros de la lista abierta en el modal ({ uid: rol }), todavía sin guardar
+ */
+let draftMembers = {};
+
+/**
+ * ID de la lista abierta en el modal (null al crear una nueva)
+ */
+let editingProjectId = null;
 
 /**
  * Colores disponibles para proyectos
@@ -28,9 +121,52 @@ export function initNavigation() {
   setupProjectNavigation();
   setupSidebarToggle();
   setupNewProjectModal();
+  setupSmartViewModal();
   loadUserProjects();
+  loadUserSmartViews();
   updateProjectCounts();
   setActiveProject(currentProject);
+  
+  // Recalcular los contadores cada vez que cambian las tareas
+  onTaskCountsChange(renderProjectCounts, getTaskProjectId);
+  
+  // Recargar los proyectos y las vistas disponibles cuando cambia la cuenta
+  onAuthStateChanged(() => {
+    updateViewsVisibility();
+    loadUserProjects();
+    loadUserSmartViews();
+  });
+}
+
+/**
+ * Obtiene una lista, vista especial o vista guardada por ID
+ * @param {string} projectId - ID de la lista o vista
+ * @returns {Object|undefined} Lista o vista
+ */
+function getProjectOrView(projectId) {
+  return projects[projectId] || VIEWS[projectId] || smartViews[projectId];
+}
+
+/**
+ * Indica si una vista especial está disponible para el usuario actual
+ * @param {Object} view - Vista
+ * @returns {boolean} true si está disponible
+ */
+function isViewAvailable(view) {
+  return !view.requiresFirebase || getCurrentUserMode() === 'firebase';
+}
+
+/**
+ * Muestra u oculta las vistas especiales según el modo del usuario
+ */
+function updateViewsVisibility() {
+  Object.values(VIEWS).forEach(view => {
+    document.querySelector(`[data-view-item="${view.id}"]`)?.classList.toggle('hidden', !isViewAvailable(view));
+  });
+  
+  if (VIEWS[currentProject] && !isViewAvailable(VIEWS[currentProject])) {
+    switchToProject('inbox');
+  }
 }
 
 /**
@@ -42,7 +178,7 @@ function setupProjectNavigation() {
   projectButtons.forEach(button => {
     button.addEventListener('click', () => {
       const projectId = button.dataset.project;
-      if (projectId && projects[projectId]) {
+      if (projectId && getProjectOrView(projectId)) {
         switchToProject(projectId);
       }
     });
@@ -67,7 +203,8 @@ function setupSidebarToggle() {
  * Cambia al proyecto especificado
  */
 export function switchToProject(projectId) {
-  if (!projects[projectId]) return;
+  const project = getProjectOrView(projectId);
+  if (!project) return;
   
   // Actualizar estado
   currentProject = projectId;
@@ -78,7 +215,7 @@ export function switchToProject(projectId) {
   
   // Disparar evento para que otros módulos sepan del cambio
   window.dispatchEvent(new CustomEvent('project-changed', { 
-    detail: { projectId, project: projects[projectId] } 
+    detail: { projectId, project } 
   }));
 }
 
@@ -92,7 +229,7 @@ function setActiveProject(projectId) {
   });
   
   // Agregar clase active al botón del proyecto actual
-  const activeButton = document.querySelector(`[data-project="${projectId}"]`);
+  const activeButton = document.querySelector(`[data-project="${CSS.escape(projectId)}"]`);
   if (activeButton) {
     activeButton.classList.add('active');
   }
@@ -102,7 +239,7 @@ function setActiveProject(projectId) {
  * Actualiza el header del proyecto
  */
 function updateProjectHeader(projectId) {
-  const project = projects[projectId];
+  const project = getProjectOrView(projectId);
   if (!project) return;
   
   const title = $('#current-project-title');
@@ -116,21 +253,58 @@ function updateProjectHeader(projectId) {
  * Actualiza los contadores de tareas por proyecto
  */
 export function updateProjectCounts() {
-  // Por ahora, establecer contadores de ejemplo
-  // En el futuro, esto se conectará con el sistema de tareas
-  const counts = {
-    andamios: 37,
-    iae: 13,
-    personal: 8,
-    tcba: 3
-  };
+  renderProjectCounts(getTaskCountsByProject(getTaskProjectId));
+}
+
+/**
+ * Renderiza los contadores de tareas abiertas en la barra lateral
+ * @param {Object} counts - Mapa { projectId: { open, overdue } }
+ */
+function renderProjectCounts(counts) {
+  const allCounts = { ...counts, ...getViewCounts() };
   
-  Object.entries(counts).forEach(([projectId, count]) => {
-    const countElement = document.querySelector(`[data-project="${projectId}"].project-count`);
-    if (countElement) {
-      countElement.textContent = count;
-    }
+  document.querySelectorAll('.project-count').forEach(countElement => {
+    const { open = 0, overdue = 0 } = allCounts[countElement.dataset.project] || {};
+    
+    countElement.textContent = open;
+    countElement.classList.toggle('has-overdue', overdue > 0);
+    countElement.title = overdue > 0
+      ? `${open} abiertas, ${overdue} vencidas`
+      : `${open} abiertas`;
+  });
+}
+
+/**
+ * Cuenta las tareas abiertas y vencidas de una lista de tareas
+ * @param {Array} tasks - Lista de tareas
+ * @returns {Object} { open, overdue }
+ */
+function countOpenTasks(tasks) {
+  const now = Date.now();
+  const openTasks = tasks.filter(task => !task.done);
+  const overdue = openTasks.filter(task => task.dueDate && task.dueDate < now).length;
+  return { open: openTasks.length, overdue };
+}
+
+/**
+ * Cuenta las tareas abiertas y vencidas de cada vista especial y vista guardada
+ * (las vistas con countsAllTasks cuentan todas sus tareas, sin vencimientos)
+ * @returns {Object} Mapa { viewId: { open, overdue } }
+ */
+function getViewCounts() {
+  const counts = {};
+  
+  Object.values(VIEWS).forEach(view => {
+    counts[view.id] = view.countsAllTasks
+      ? { open: view.getTasks().length, overdue: 0 }
+      : countOpenTasks(view.getTasks());
+  });
+  
+  Object.values(smartViews).forEach(view => {
+    counts[view.id] = countOpenTasks(filterTasks(view.filters, getTasks()));
   });
+  
+  return counts;
 }
 
 /**
@@ -141,10 +315,10 @@ export function getCurrentProject() {
 }
 
 /**
- * Obtiene la información del proyecto actual
+ * Obtiene la información del proyecto actual (o de la vista especial activa)
  */
 export function getCurrentProjectInfo() {
-  return projects[currentProject];
+  return getProjectOrView(currentProject);
 }
 
 /**
@@ -154,32 +328,136 @@ export function getAllProjects() {
   return projects;
 }
 
+/**
+ * Obtiene el proyecto al que pertenece una tarea.
+ * Las tareas sin proyecto o cuyo proyecto ya no existe van al inbox.
+ * @param {Object} task - Objeto tarea
+ * @returns {string} ID del proyecto
+ */
+export function getTaskProjectId(task) {
+  return task.projectId && projects[task.projectId] ? task.projectId : 'inbox';
+}
+
+/**
+ * Obtiene la lista o vista donde se muestra una tarea: su propia lista
+ * o, si es una tarea ajena que solo le asignaron al usuario, la vista de asignadas
+ * @param {Object} task - Tarea
+ * @returns {Object} { projectId, name }
+ */
+export function getTaskLocation(task) {
+  const isListed = getTasks().some(t => t.id === task.id) || projects[task.projectId];
+  const projectId = isListed ? getTaskProjectId(task) : 'assigned';
+  return { projectId, name: getProjectOrView(projectId)?.name || '' };
+}
+
+/**
+ * Filtra una lista de tareas por proyecto.
+ * Las vistas especiales devuelven sus propias tareas y las vistas guardadas
+ * aplican sus filtros sobre las tareas de todas las listas.
+ * @param {Array} tasks - Lista de tareas
+ * @param {string} projectId - ID del proyecto o vista (por defecto el actual)
+ * @returns {Array} Tareas del proyecto
+ */
+export function filterTasksByProject(tasks, projectId = currentProject) {
+  if (VIEWS[projectId]) {
+    return VIEWS[projectId].getTasks();
+  }
+  
+  if (smartViews[projectId]) {
+    return filterTasks(smartViews[projectId].filters, tasks);
+  }
+  
+  return tasks.filter(task => getTaskProjectId(task) === projectId);
+}
+
+/**
+ * Obtiene el rol del usuario actual en un proyecto
+ * @param {string} projectId - ID del proyecto
+ * @returns {string|null} 'owner', 'editor', 'viewer' o null
+ */
+export function getProjectRole(projectId) {
+  return getMemberRole(projects[projectId], getCurrentUserId());
+}
+
+/**
+ * Indica si el usuario actual puede crear tareas en un proyecto
+ * @param {string} projectId - ID del proyecto
+ * @returns {boolean} true si puede escribir
+ */
+export function canWriteToProject(projectId) {
+  return canRoleWrite(getProjectRole(projectId));
+}
+
+/**
+ * Indica si el usuario actual puede eliminar una tarea o cambiar sus responsables:
+ * el creador (salvo que sea lector de la lista) o un editor de la lista compartida
+ * @param {Object} task - Tarea
+ * @returns {boolean} true si puede gestionarla
+ */
+export function canManageTask(task) {
+  const project = projects[task.projectId];
+  
+  if (isOwnTask(task)) {
+    return !project || canWriteToProject(task.projectId);
+  }
+  
+  return isSharedProject(project) && canWriteToProject(task.projectId);
+}
+
+/**
+ * Indica si el usuario actual puede modificar una tarea
+ * (quien la gestiona o un responsable asignado)
+ * @param {Object} task - Tarea
+ * @returns {boolean} true si puede editarla
+ */
+export function canEditTask(task) {
+  return canManageTask(task) || (task.assigneeIds || []).includes(getCurrentUserId());
+}
+
+/**
+ * Notifica a otros módulos que la lista de proyectos cambió
+ * y sincroniza las tareas de las listas compartidas
+ */
+function notifyProjectsUpdated() {
+  syncSharedProjectTasks(Object.values(projects).filter(isSharedProject).map(p => p.id));
+  
+  window.dispatchEvent(new CustomEvent('projects-updated', { 
+    detail: { projects, currentProject } 
+  }));
+}
+
 /**
  * Carga las listas del usuario actual
  */
 async function loadUserProjects() {
   const user = getCurrentUser();
-  if (!user) return;
+  const loadId = ++projectsLoadId;
+  const userProjects = { inbox: { ...INBOX_PROJECT } };
   
   try {
-    // Por ahora, crear listas por defecto para el usuario
-    // En el futuro, esto se cargará desde Firebase/LocalStorage
-    const defaultProjects = {
-      inbox: { 
-        id: 'inbox', 
-        name: 'Buzón de entrada', 
-        color: 'blue', 
-        description: 'Tareas sin categorizar',
-        isDefault: true 
-      }
-    };
-    
-    projects = defaultProjects;
-    renderProjectsList();
-    
+    const savedProjects = await fetchProjects(user);
+    savedProjects.forEach(project => {
+      userProjects[project.id] = project;
+    });
   } catch (error) {
     console.error('Error al cargar proyectos del usuario:', error);
+    toast('Error al cargar las listas');
+  }
+  
+  // Otra carga más reciente (por ejemplo, un cambio de cuenta) ya tomó el control
+  if (loadId !== projectsLoadId) return;
+  
+  projects = userProjects;
+  renderProjectsList();
+  
+  if (!getProjectOrView(currentProject)) {
+    switchToProject('inbox');
+  } else {
+    setActiveProject(currentProject);
+    updateProjectHeader(currentProject);
   }
+  
+  notifyProjectsUpdated();
 }
 
 /**
@@ -201,24 +479,40 @@ function renderProjectsList() {
       addProjectToSidebar(projectId, project);
     }
   });
+  
+  updateProjectCounts();
 }
 
 /**
- * Guarda las listas del usuario
+ * Guarda una lista del usuario actual
+ * @param {Object} project - Proyecto a guardar
  */
-async function saveUserProjects() {
+async function saveUserProject(project) {
   const user = getCurrentUser();
   if (!user) return;
   
   try {
-    // Por ahora, guardar en localStorage
-    // En el futuro, esto se guardará en Firebase
-    const userKey = `projects_${user.uid || 'guest'}`;
-    localStorage.setItem(userKey, JSON.stringify(projects));
-    
-    console.log('✅ Proyectos guardados para usuario:', user.displayName || 'Invitado');
+    await saveProject(user, project);
+    console.log('✅ Proyecto guardado para usuario:', user.displayName || 'Invitado');
+  } catch (error) {
+    console.error('Error al guardar proyecto:', error);
+    toast('Error al guardar la lista');
+  }
+}
+
+/**
+ * Elimina una lista del almacenamiento del usuario actual
+ * @param {string} projectId - ID del proyecto
+ */
+async function removeUserProject(projectId) {
+  const user = getCurrentUser();
+  if (!user) return;
+  
+  try {
+    await removeProject(user, projectId);
   } catch (error) {
-    console.error('Error al guardar proyectos:', error);
+    console.error('Error al eliminar proyecto:', error);
+    toast('Error al eliminar la lista');
   }
 }
 
@@ -234,33 +528,40 @@ function setupNewProjectModal() {
   
   if (newProjectBtn) {
     newProjectBtn.addEventListener('click', () => {
+      openMembersEditor(null);
       if (modal) modal.classList.remove('hidden');
     });
   }
   
   if (closeBtn) {
-    closeBtn.addEventListener('click', () => {
-      if (modal) modal.classList.add('hidden');
-    });
+    closeBtn.addEventListener('click', closeAndResetModal);
   }
   
   if (cancelBtn) {
-    cancelBtn.addEventListener('click', () => {
-      if (modal) modal.classList.add('hidden');
-    });
+    cancelBtn.addEventListener('click', closeAndResetModal);
   }
   
   if (createBtn) {
-    createBtn.addEventListener('click', createNewProject);
+    createBtn.addEventListener('click', () => {
+      if (editingProjectId) {
+        updateProject(editingProjectId);
+      } else {
+        createNewProject();
+      }
+    });
   }
   
   if (modal) {
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
-        modal.classList.add('hidden');
+        closeAndResetModal();
       }
     });
   }
+  
+  $('#project-member-search')?.addEventListener('input', (e) => {
+    renderMemberResults(e.target.value);
+  });
 }
 
 /**
@@ -284,12 +585,13 @@ async function createNewProject() {
   }
   
   // Crear nuevo proyecto
-  const projectId = name.toLowerCase().replace(/\s+/g, '-');
+  const projectId = uid();
   const newProject = {
     id: projectId,
     name,
     description: description || `Lista: ${name}`,
     color,
+    members: { ...draftMembers },
     isDefault: false,
     createdAt: Date.now()
   };
@@ -298,15 +600,14 @@ async function createNewProject() {
   
   // Agregar a la UI
   addProjectToSidebar(projectId, newProject);
+  updateProjectCounts();
+  notifyProjectsUpdated();
   
   // Guardar en almacenamiento del usuario
-  await saveUserProjects();
+  await saveUserProject(newProject);
   
   // Limpiar formulario y cerrar modal
-  nameInput.value = '';
-  if (descriptionInput) descriptionInput.value = '';
-  colorSelect.value = 'blue';
-  modal.classList.add('hidden');
+  closeAndResetModal();
   
   console.log('✅ Nueva lista creada:', newProject);
 }
@@ -318,26 +619,31 @@ function addProjectToSidebar(projectId, project) {
   const projectsList = document.querySelector('.project-nav-item').parentElement.parentElement;
   if (!projectsList) return;
   
+  // Los nombres de listas compartidas vienen de otros usuarios: escapar siempre
+  const color = availableColors[project.color] ? project.color : 'blue';
+  const isOwner = getProjectRole(projectId) === 'owner';
+  
   const newProjectItem = document.createElement('li');
   newProjectItem.className = 'group relative';
   newProjectItem.innerHTML = `
     <div class="flex items-center justify-between">
-      <button class="flex-1 flex items-center justify-between px-3 py-2 rounded-lg text-gray-300 hover:bg-gray-800 hover:text-white transition-colors project-nav-item" data-project="${projectId}">
+      <button class="flex-1 flex items-center justify-between px-3 py-2 rounded-lg text-gray-300 hover:bg-gray-800 hover:text-white transition-colors project-nav-item" data-project="${escapeHTML(projectId)}">
         <span class="flex items-center gap-3">
-          <span class="w-2 h-2 bg-${project.color}-500 rounded-full"></span>
-          ${project.name}
+          <span class="w-2 h-2 bg-${color}-500 rounded-full"></span>
+          ${escapeHTML(project.name)}
+          ${isSharedProject(project) ? '<span class="text-xs" title="Lista compartida">👥</span>' : ''}
         </span>
-        <span class="text-xs bg-gray-700 px-2 py-1 rounded-full project-count" data-project="${projectId}">0</span>
+        <span class="text-xs bg-gray-700 px-2 py-1 rounded-full project-count" data-project="${escapeHTML(projectId)}">0</span>
       </button>
       
-      <!-- Botones de acción (solo visibles en hover) -->
-      <div class="hidden group-hover-action items-center gap-1 px-2">
-        <button class="p-1 rounded text-gray-400 hover:text-blue-400 hover:bg-gray-800 transition-colors edit-project-btn" data-project="${projectId}" title="Editar">
+      <!-- Botones de acción (solo visibles en hover y para el propietario) -->
+      <div class="hidden ${isOwner ? 'group-hover-action' : ''} items-center gap-1 px-2">
+        <button class="p-1 rounded text-gray-400 hover:text-blue-400 hover:bg-gray-800 transition-colors edit-project-btn" data-project="${escapeHTML(projectId)}" title="Editar">
           <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
           </svg>
         </button>
-        <button class="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-800 transition-colors delete-project-btn" data-project="${projectId}" title="Eliminar">
+        <button class="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-800 transition-colors delete-project-btn" data-project="${escapeHTML(projectId)}" title="Eliminar">
           <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
           </svg>
@@ -373,7 +679,7 @@ function addProjectToSidebar(projectId, project) {
  */
 function editProject(projectId) {
   const project = projects[projectId];
-  if (!project || project.isDefault) return;
+  if (!project || project.isDefault || getProjectRole(projectId) !== 'owner') return;
   
   // Llenar el modal con los datos actuales
   const nameInput = $('#new-project-name');
@@ -394,11 +700,12 @@ function editProject(projectId) {
     const modalTitle = modal.querySelector('h3');
     if (modalTitle) modalTitle.textContent = '✏️ Editar Lista';
     
-    // Mostrar modal
-    modal.classList.remove('hidden');
+    // Cargar los miembros actuales
+    openMembersEditor(project);
     
-    // Cambiar el comportamiento del botón para actualizar
-    createBtn.onclick = () => updateProject(projectId);
+    // Mostrar modal en modo edición
+    editingProjectId = projectId;
+    modal.classList.remove('hidden');
   }
 }
 
@@ -428,14 +735,16 @@ async function updateProject(projectId) {
     name,
     description: description || `Lista: ${name}`,
     color,
+    members: { ...draftMembers },
     updatedAt: Date.now()
   };
   
   // Actualizar UI
   renderProjectsList();
+  notifyProjectsUpdated();
   
   // Guardar cambios
-  await saveUserProjects();
+  await saveUserProject(projects[projectId]);
   
   // Cerrar modal y resetear
   closeAndResetModal();
@@ -448,7 +757,7 @@ async function updateProject(projectId) {
  */
 async function deleteProject(projectId) {
   const project = projects[projectId];
-  if (!project || project.isDefault) return;
+  if (!project || project.isDefault || getProjectRole(projectId) !== 'owner') return;
   
   if (!confirm(`¿Estás seguro de que querés eliminar la lista "${project.name}"? Esta acción no se puede deshacer.`)) {
     return;
@@ -464,9 +773,10 @@ async function deleteProject(projectId) {
   
   // Actualizar UI
   renderProjectsList();
+  notifyProjectsUpdated();
   
   // Guardar cambios
-  await saveUserProjects();
+  await removeUserProject(projectId);
   
   console.log('✅ Lista eliminada:', project.name);
 }
@@ -486,9 +796,459 @@ function closeAndResetModal() {
   if (nameInput) nameInput.value = '';
   if (descriptionInput) descriptionInput.value = '';
   if (colorSelect) colorSelect.value = 'blue';
-  if (createBtn) {
-    createBtn.textContent = 'Crear Lista';
-    createBtn.onclick = createNewProject;
-  }
+  if (createBtn) createBtn.textContent = 'Crear Lista';
   if (modalTitle) modalTitle.textContent = '✨ Nueva Lista';
+  
+  editingProjectId = null;
+  draftMembers = {};
+}
+
+/**
+ * Prepara la sección de miembros del modal (solo con cuenta de Google)
+ * @param {Object|null} project - Lista a editar o null si es nueva
+ */
+function openMembersEditor(project) {
+  const field = $('#project-members-field');
+  const search = $('#project-member-search');
+  
+  draftMembers = { ...(project?.members || {}) };
+  
+  if (field) field.classList.toggle('hidden', getCurrentUserMode() !== 'firebase');
+  if (search) search.value = '';
+  
+  renderMemberResults('');
+  renderMembersEditor(project?.ownerId || getCurrentUserId());
+}
+
+/**
+ * Renderiza los miembros de la lista abierta en el modal
+ * @param {string} ownerId - ID del propietario de la lista
+ */
+function renderMembersEditor(ownerId = getCurrentUserId()) {
+  const list = $('#project-members-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  
+  const owner = getUserById(ownerId);
+  const ownerItem = document.createElement('li');
+  ownerItem.className = 'flex items-center justify-between gap-2 px-3 py-2 text-sm';
+  ownerItem.innerHTML = `
+    <span class="truncate">${escapeHTML(owner?.displayName || 'Vos')}</span>
+    <span class="text-xs text-gray-500">Propietario</span>
+  `;
+  list.appendChild(ownerItem);
+  
+  Object.entries(draftMembers).forEach(([memberId, role]) => {
+    const user = getUserById(memberId);
+    const item = document.createElement('li');
+    item.className = 'flex items-center justify-between gap-2 px-3 py-2 text-sm';
+    
+    const name = document.createElement('span');
+    name.className = 'truncate flex-1';
+    name.textContent = user ? `${user.displayName} (${user.email})` : memberId;
+    
+    const roleSelect = document.createElement('select');
+    roleSelect.className = 'rounded-lg border-gray-300 text-xs py-1';
+    PROJECT_ROLES.filter(r => r.id !== 'owner').forEach(r => {
+      const option = document.createElement('option');
+      option.value = r.id;
+      option.textContent = r.name;
+      roleSelect.appendChild(option);
+    });
+    roleSelect.value = role;
+    roleSelect.addEventListener('change', () => {
+      draftMembers[memberId] = roleSelect.value;
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'p-1 rounded text-gray-400 hover:text-red-600';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Quitar de la lista';
+    removeBtn.addEventListener('click', () => {
+      delete draftMembers[memberId];
+      renderMembersEditor(ownerId);
+    });
+    
+    item.append(name, roleSelect, removeBtn);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Muestra los usuarios que coinciden con la búsqueda para agregarlos como miembros
+ * @param {string} query - Texto de búsqueda
+ */
+function renderMemberResults(query) {
+  const results = $('#project-member-results');
+  if (!results) return;
+  
+  results.innerHTML = '';
+  if (!query || query.trim().length === 0) return;
+  
+  const ownerId = projects[editingProjectId]?.ownerId || getCurrentUserId();
+  const candidates = searchUsers(query)
+    .filter(user => user.uid !== ownerId && !draftMembers[user.uid])
+    .slice(0, 5);
+  
+  if (candidates.length === 0) {
+    results.innerHTML = '<li class="px-3 py-2 text-sm text-gray-500">No se encontraron usuarios</li>';
+    return;
+  }
+  
+  candidates.forEach(user => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'w-full text-left px-3 py-2 text-sm rounded-lg hover:bg-gray-50';
+    button.textContent = `➕ ${user.displayName} (${user.email})`;
+    button.addEventListener('click', () => {
+      draftMembers[user.uid] = 'editor';
+      $('#project-member-search').value = '';
+      renderMemberResults('');
+      renderMembersEditor(ownerId);
+    });
+    
+    item.appendChild(button);
+    results.appendChild(item);
+  });
+}
+
+/**
+ * Carga las vistas guardadas del usuario actual
+ */
+async function loadUserSmartViews() {
+  const user = getCurrentUser();
+  const loadId = ++smartViewsLoadId;
+  const userViews = {};
+  
+  try {
+    const savedViews = await fetchSmartViews(user);
+    savedViews.forEach(view => {
+      userViews[view.id] = view;
+    });
+  } catch (error) {
+    console.error('Error al cargar vistas guardadas:', error);
+    toast('Error al cargar las vistas guardadas');
+  }
+  
+  // Otra carga más reciente (por ejemplo, un cambio de cuenta) ya tomó el control
+  if (loadId !== smartViewsLoadId) return;
+  
+  const wasSmartView = !!smartViews[currentProject];
+  smartViews = userViews;
+  renderSmartViewsList();
+  
+  if (wasSmartView && !smartViews[currentProject]) {
+    switchToProject('inbox');
+  }
+}
+
+/**
+ * Renderiza las vistas guardadas en la barra lateral
+ */
+function renderSmartViewsList() {
+  const list = $('#smart-views-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  Object.values(smartViews).forEach(addSmartViewToSidebar);
+  $('#smart-views-empty')?.classList.toggle('hidden', Object.keys(smartViews).length > 0);
+  
+  setActiveProject(currentProject);
+  updateProjectCounts();
+}
+
+/**
+ * Agrega una vista guardada a la barra lateral
+ * @param {Object} view - Vista guardada
+ */
+function addSmartViewToSidebar(view) {
+  const list = $('#smart-views-list');
+  if (!list) return;
+  
+  const item = document.createElement('li');
+  item.className = 'group relative';
+  item.innerHTML = `
+    <div class="flex items-center justify-between">
+      <button class="flex-1 flex items-center justify-between px-3 py-2 rounded-lg text-gray-300 hover:bg-gray-800 hover:text-white transition-colors project-nav-item" data-project="${escapeHTML(view.id)}" title="${escapeHTML(view.description)}">
+        <span class="flex items-center gap-3">
+          <span class="text-xs">${escapeHTML(view.icon || '🔎')}</span>
+          ${escapeHTML(view.name)}
+        </span>
+        <span class="text-xs bg-gray-700 px-2 py-1 rounded-full project-count" data-project="${escapeHTML(view.id)}">0</span>
+      </button>
+      
+      <!-- Botones de acción (solo visibles en hover) -->
+      <div class="hidden group-hover-action items-center gap-1 px-2">
+        <button class="p-1 rounded text-gray-400 hover:text-blue-400 hover:bg-gray-800 transition-colors edit-smart-view-btn" title="Editar">
+          <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+          </svg>
+        </button>
+        <button class="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-800 transition-colors delete-smart-view-btn" title="Eliminar">
+          <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  `;
+  
+  item.querySelector('.project-nav-item').addEventListener('click', () => {
+    switchToProject(view.id);
+  });
+  
+  item.querySelector('.edit-smart-view-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openSmartViewModal(view.id);
+  });
+  
+  item.querySelector('.delete-smart-view-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    deleteSmartView(view.id);
+  });
+  
+  list.appendChild(item);
+}
+
+/**
+ * Llena un contenedor del modal con casillas de selección múltiple
+ * @param {HTMLElement} container - Contenedor
+ * @param {Array} options - Opciones ({ id, name, icon })
+ */
+function renderSmartViewOptions(container, options) {
+  if (!container) return;
+  
+  container.innerHTML = '';
+  options.forEach(option => {
+    const label = document.createElement('label');
+    label.className = 'inline-flex items-center gap-1.5 text-sm px-2 py-1 rounded-full border border-gray-200 cursor-pointer hover:bg-gray-50';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = option.id;
+    checkbox.className = 'rounded border-gray-300 text-brand-600 focus:ring-brand-500';
+    
+    label.append(checkbox, `${option.icon} ${option.name}`);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Configura el modal de vistas guardadas
+ */
+function setupSmartViewModal() {
+  const modal = $('#smart-view-modal');
+  
+  const dueRangeSelect = $('#smart-view-due-range');
+  DUE_RANGES.forEach(range => {
+    dueRangeSelect?.add(new Option(range.name, range.id));
+  });
+  
+  const sortSelect = $('#smart-view-sort');
+  SORT_OPTIONS.forEach(option => {
+    sortSelect?.add(new Option(option.name, option.id));
+  });
+  
+  $('#btn-new-smart-view')?.addEventListener('click', () => openSmartViewModal(null));
+  $('#btn-close-smart-view')?.addEventListener('click', closeSmartViewModal);
+  $('#btn-cancel-smart-view')?.addEventListener('click', closeSmartViewModal);
+  $('#btn-save-smart-view')?.addEventListener('click', saveSmartViewFromModal);
+  
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeSmartViewModal();
+      }
+    });
+  }
+}
+
+/**
+ * Abre el modal de vistas guardadas.
+ * Una vista nueva parte de los filtros activos en la barra de filtros.
+ * @param {string|null} viewId - ID de la vista a editar o null para crear una nueva
+ */
+function openSmartViewModal(viewId) {
+  const modal = $('#smart-view-modal');
+  if (!modal) return;
+  
+  const view = viewId ? smartViews[viewId] : null;
+  if (viewId && !view) return;
+  
+  const toolbarFilters = getFilters();
+  const filters = view ? view.filters : normalizeSmartViewFilters({
+    search: toolbarFilters.search,
+    category: toolbarFilters.categories,
+    priority: toolbarFilters.priorities,
+    status: toolbarFilters.statuses,
+    tag: toolbarFilters.tags,
+    done: toolbarFilters.done,
+    sortBy: toolbarFilters.sortBy
+  });
+  
+  editingSmartViewId = viewId;
+  
+  $('#smart-view-name').value = view?.name || '';
+  $('#smart-view-icon').value = view?.icon || '🔎';
+  
+  // Opciones activas del usuario (y las archivadas que la vista ya usa)
+  renderSmartViewOptions($('#smart-view-categories'), getCategories({ include: filters.category }));
+  renderSmartViewOptions($('#smart-view-priorities'), getPriorities({ include: filters.priority }));
+  renderSmartViewOptions($('#smart-view-statuses'), getStatuses({ include: filters.status }));
+  
+  const checkSelected = (selector, selected) => {
+    $$(`${selector} input`).forEach(input => {
+      input.checked = selected.includes(input.value);
+    });
+  };
+  checkSelected('#smart-view-categories', filters.category);
+  checkSelected('#smart-view-priorities', filters.priority);
+  checkSelected('#smart-view-statuses', filters.status);
+  
+  // Las etiquetas se listan al abrir el modal (incluidas las de la vista que ya no usa ninguna tarea)
+  const tagNames = [...new Set([...getAllTags().map(tag => tag.name), ...filters.tag])];
+  renderSmartViewOptions($('#smart-view-tags'), tagNames.map(name => ({ id: name, name, icon: '🏷️' })));
+  $('#smart-view-tags-empty')?.classList.toggle('hidden', tagNames.length > 0);
+  checkSelected('#smart-view-tags', filters.tag);
+  
+  $('#smart-view-done').value = filters.done === null ? '' : String(filters.done);
+  $('#smart-view-due-range').value = filters.dueRange;
+  $('#smart-view-due-from').value = toDateInputValue(filters.dueFrom);
+  $('#smart-view-due-to').value = toDateInputValue(filters.dueTo);
+  $('#smart-view-search').value = filters.search;
+  $('#smart-view-sort').value = filters.sortBy;
+  
+  const modalTitle = modal.querySelector('h3');
+  if (modalTitle) modalTitle.textContent = view ? '✏️ Editar Vista' : '🔎 Nueva Vista';
+  $('#btn-save-smart-view').textContent = view ? 'Actualizar Vista' : 'Crear Vista';
+  
+  modal.classList.remove('hidden');
+  $('#smart-view-name').focus();
+}
+
+/**
+ * Cierra el modal de vistas guardadas
+ */
+function closeSmartViewModal() {
+  $('#smart-view-modal')?.classList.add('hidden');
+  editingSmartViewId = null;
+}
+
+/**
+ * Lee los filtros elegidos en el modal de vistas guardadas
+ * @returns {Object} Filtros normalizados
+ */
+function readSmartViewFilters() {
+  const checkedValues = (selector) => $$(`${selector} input:checked`).map(input => input.value);
+  const dateValue = (selector) => $(selector).value ? new Date($(selector).value).getTime() : null;
+  const done = $('#smart-view-done').value;
+  
+  return normalizeSmartViewFilters({
+    search: $('#smart-view-search').value,
+    category: checkedValues('#smart-view-categories'),
+    priority: checkedValues('#smart-view-priorities'),
+    status: checkedValues('#smart-view-statuses'),
+    tag: checkedValues('#smart-view-tags'),
+    done: done === '' ? null : done === 'true',
+    dueRange: $('#smart-view-due-range').value,
+    dueFrom: dateValue('#smart-view-due-from'),
+    dueTo: dateValue('#smart-view-due-to'),
+    sortBy: $('#smart-view-sort').value
+  });
+}
+
+/**
+ * Crea o actualiza la vista guardada del modal
+ */
+async function saveSmartViewFromModal() {
+  const user = getCurrentUser();
+  if (!user) return;
+  
+  const name = $('#smart-view-name').value.trim();
+  if (!name) {
+    alert('Por favor ingresa un nombre para la vista');
+    return;
+  }
+  
+  const filters = readSmartViewFilters();
+  if (filters.dueFrom && filters.dueTo && filters.dueFrom > filters.dueTo) {
+    alert('La fecha "desde" no puede ser posterior a la fecha "hasta"');
+    return;
+  }
+  
+  const previous = editingSmartViewId ? smartViews[editingSmartViewId] : null;
+  const view = {
+    id: previous?.id || uid(),
+    name,
+    icon: $('#smart-view-icon').value.trim() || '🔎',
+    filters,
+    description: describeSmartViewFilters(filters),
+    isSmartView: true,
+    createdAt: previous?.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+  
+  smartViews[view.id] = view;
+  closeSmartViewModal();
+  renderSmartViewsList();
+  
+  // Volver a mostrar la vista activa con sus nuevos filtros
+  if (currentProject === view.id) {
+    switchToProject(view.id);
+  }
+  
+  try {
+    await saveSmartView(user, view);
+    console.log(previous ? '✅ Vista guardada actualizada:' : '✅ Nueva vista guardada:', view.name);
+  } catch (error) {
+    console.error('Error al guardar la vista:', error);
+    toast('Error al guardar la vista');
+    
+    // Volver a la versión guardada (o quitar la vista nueva)
+    if (previous) {
+      smartViews[view.id] = previous;
+    } else {
+      delete smartViews[view.id];
+    }
+    renderSmartViewsList();
+    
+    if (currentProject === view.id) {
+      switchToProject(previous ? view.id : 'inbox');
+    }
+  }
+}
+
+/**
+ * Elimina una vista guardada
+ * @param {string} viewId - ID de la vista
+ */
+async function deleteSmartView(viewId) {
+  const user = getCurrentUser();
+  const view = smartViews[viewId];
+  if (!user || !view) return;
+  
+  if (!confirm(`¿Querés eliminar la vista "${view.name}"? Las tareas no se modifican.`)) {
+    return;
+  }
+  
+  delete smartViews[viewId];
+  
+  if (currentProject === viewId) {
+    switchToProject('inbox');
+  }
+  
+  renderSmartViewsList();
+  
+  try {
+    await removeSmartView(user, viewId);
+    console.log('✅ Vista eliminada:', view.name);
+  } catch (error) {
+    console.error('Error al eliminar la vista:', error);
+    toast('Error al eliminar la vista');
+    
+    // La vista sigue guardada: volver a mostrarla
+    smartViews[viewId] = view;
+    renderSmartViewsList();
+  }
 }
@@ -0,0 +1,123 @@
+// Módulo de persistencia de proyectos (listas)
+
+import { LocalStore } from './localStore.js';
+import { 
+  fetchFirestoreProjects, 
+  saveFirestoreProject, 
+  removeFirestoreProject 
+} from './firebase.js';
+
+/**
+ * Almacenamiento local de proyectos (usuarios invitados)
+ */
+const localProjects = new LocalStore('agenda_base_projects');
+
+/**
+ * Roles de los miembros de una lista compartida
+ */
+export const PROJECT_ROLES = [
+  { id: 'owner', name: 'Propietario', canWrite: true },
+  { id: 'editor', name: 'Editor', canWrite: true },
+  { id: 'viewer', name: 'Lector', canWrite: false }
+];
+
+/**
+ * Obtiene el rol de un usuario en un proyecto.
+ * Los proyectos sin propietario (inbox, listas de invitado) son del usuario actual.
+ * @param {Object} project - Proyecto
+ * @param {string} userId - ID del usuario
+ * @returns {string|null} 'owner', 'editor', 'viewer' o null si no es miembro
+ */
+export function getMemberRole(project, userId) {
+  if (!project) return null;
+  if (!project.ownerId || project.ownerId === userId) return 'owner';
+  return project.members?.[userId] || null;
+}
+
+/**
+ * Indica si un rol permite crear y modificar tareas
+ * @param {string|null} role - Rol del usuario
+ * @returns {boolean} true si puede escribir
+ */
+export function canRoleWrite(role) {
+  return PROJECT_ROLES.some(r => r.id === role && r.canWrite);
+}
+
+/**
+ * Indica si un proyecto tiene miembros además de su propietario
+ * @param {Object} project - Proyecto
+ * @returns {boolean} true si es una lista compartida
+ */
+export function isSharedProject(project) {
+  return Object.keys(project?.members || {}).length > 0;
+}
+
+/**
+ * Obtiene los proyectos guardados de un usuario
+ * @param {Object} user - Usuario actual
+ * @returns {Promise<Array>} Lista de proyectos ordenada por fecha de creación
+ */
+export async function fetchProjects(user) {
+  if (!user) return [];
+  
+  const list = user.mode === 'firebase'
+    ? await fetchFirestoreProjects(user.id)
+    : localProjects.load(user.id);
+  
+  return list.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Crea o actualiza un proyecto del usuario
+ * @param {Object} user - Usuario actual
+ * @param {Object} project - Proyecto a guardar
+ * @returns {Promise<Object>} Proyecto guardado
+ */
+export async function saveProject(user, project) {
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    // memberIds permite consultar las listas compartidas con cada usuario
+    const ownerId = project.ownerId || user.id;
+    const members = project.members || {};
+    return saveFirestoreProject(user.id, {
+      ...project,
+      ownerId,
+      members,
+      memberIds: [ownerId, ...Object.keys(members)]
+    });
+  }
+
+  const list = localProjects.load(user.id);
+  const index = list.findIndex(p => p.id === project.id);
+  
+  if (index > -1) {
+    list[index] = project;
+  } else {
+    list.push(project);
+  }
+  
+  localProjects.save(user.id, list);
+  return project;
+}
+
+/**
+ * Elimina un proyecto del usuario
+ * @param {Object} user - Usuario actual
+ * @param {string} projectId - ID del proyecto
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeProject(user, projectId) {
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    return removeFirestoreProject(user.id, projectId);
+  }
+
+  localProjects.save(user.id, localProjects.load(user.id).filter(p => p.id !== projectId));
+  return true;
+}
@@ -0,0 +1,127 @@
+// Módulo de persistencia de vistas guardadas (filtros con nombre)
+
+import { LocalStore } from './localStore.js';
+import {
+  fetchFirestoreSmartViews,
+  saveFirestoreSmartView,
+  removeFirestoreSmartView
+} from './firebase.js';
+import { SORT_OPTIONS } from './taskFilters.js';
+import { DUE_RANGES, getDueRangeName } from '../utils/dateRanges.js';
+import { getCategoryById, getPriorityById, getStatusById } from '../config/taskConfig.js';
+
+/**
+ * Almacenamiento local de vistas guardadas (usuarios invitados)
+ */
+const localSmartViews = new LocalStore('agenda_base_smart_views');
+
+/**
+ * Normaliza la definición de filtros de una vista guardada
+ * (mismo formato que recibe filterTasks() de tasks.js)
+ * @param {Object} filters - Filtros a normalizar
+ * @returns {Object} { search, category, priority, status, tag, done, dueRange, dueFrom, dueTo, sortBy }
+ */
+export function normalizeSmartViewFilters(filters = {}) {
+  const toList = (list) => Array.isArray(list) ? [...new Set(list.filter(item => typeof item === 'string'))] : [];
+  const toTimestamp = (value) => Number.isFinite(value) ? value : null;
+  
+  return {
+    search: typeof filters.search === 'string' ? filters.search.trim() : '',
+    category: toList(filters.category),
+    priority: toList(filters.priority),
+    status: toList(filters.status),
+    tag: toList(filters.tag),
+    done: typeof filters.done === 'boolean' ? filters.done : null,
+    dueRange: DUE_RANGES.some(range => range.id === filters.dueRange) ? filters.dueRange : '',
+    dueFrom: toTimestamp(filters.dueFrom),
+    dueTo: toTimestamp(filters.dueTo),
+    sortBy: SORT_OPTIONS.some(option => option.id === filters.sortBy) ? filters.sortBy : ''
+  };
+}
+
+/**
+ * Describe los filtros de una vista guardada en texto legible
+ * @param {Object} filters - Filtros normalizados
+ * @returns {string} Descripción (por ejemplo "Urgente · Trabajo · Vencen esta semana")
+ */
+export function describeSmartViewFilters(filters) {
+  const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString('es-AR', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+  const parts = [
+    ...filters.category.map(id => getCategoryById(id).name),
+    ...filters.priority.map(id => getPriorityById(id).name),
+    ...filters.status.map(id => getStatusById(id).name),
+    ...filters.tag.map(tag => `#${tag}`)
+  ];
+  
+  if (filters.done !== null) parts.push(filters.done ? 'Completadas' : 'Pendientes');
+  if (filters.dueRange) parts.push(getDueRangeName(filters.dueRange));
+  if (filters.dueFrom) parts.push(`desde el ${formatDay(filters.dueFrom)}`);
+  if (filters.dueTo) parts.push(`hasta el ${formatDay(filters.dueTo)}`);
+  if (filters.search) parts.push(`"${filters.search}"`);
+  
+  return parts.length > 0 ? `Vista guardada: ${parts.join(' · ')}` : 'Vista guardada: todas las tareas';
+}
+
+/**
+ * Obtiene las vistas guardadas de un usuario
+ * @param {Object} user - Usuario actual
+ * @returns {Promise<Array>} Lista de vistas ordenada por fecha de creación
+ */
+export async function fetchSmartViews(user) {
+  if (!user) return [];
+  
+  const list = user.mode === 'firebase'
+    ? await fetchFirestoreSmartViews(user.id)
+    : localSmartViews.load(user.id);
+  
+  return list
+    .map(view => ({ ...view, filters: normalizeSmartViewFilters(view.filters) }))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Crea o actualiza una vista guardada del usuario
+ * @param {Object} user - Usuario actual
+ * @param {Object} view - Vista a guardar
+ * @returns {Promise<Object>} Vista guardada
+ */
+export async function saveSmartView(user, view) {
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    return saveFirestoreSmartView(user.id, view);
+  }
+
+  const list = localSmartViews.load(user.id);
+  const index = list.findIndex(v => v.id === view.id);
+  
+  if (index > -1) {
+    list[index] = view;
+  } else {
+    list.push(view);
+  }
+  
+  localSmartViews.save(user.id, list);
+  return view;
+}
+
+/**
+ * Elimina una vista guardada del usuario
+ * @param {Object} user - Usuario actual
+ * @param {string} viewId - ID de la vista
+ * @returns {Promise<boolean>} true si se eliminó correctamente
+ */
+export async function removeSmartView(user, viewId) {
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    return removeFirestoreSmartView(user.id, viewId);
+  }
+
+  localSmartViews.save(user.id, localSmartViews.load(user.id).filter(v => v.id !== viewId));
+  return true;
+}
@@ -0,0 +1,231 @@
+// Módulo de cola de operaciones pendientes (modo offline de Firestore)
+//
+// Las escrituras de tareas en modo Firebase se aplican primero en memoria y se
+// registran en una cola durable (LocalStorage). La cola se reproduce en orden
+// cuando hay conexión; los conflictos se resuelven comparando `updatedAt`.
+
+import { LocalStore } from './localStore.js';
+import { uid, toast } from '../utils/helpers.js';
+import {
+  getFirestoreTask,
+  setFirestoreTask,
+  updateFirestoreTask,
+  removeFirestoreTask,
+  addFirestoreActivity
+} from './firebase.js';
+
+/**
+ * Almacenamiento durable de la cola (una lista por usuario)
+ */
+const outboxStore = new LocalStore('agenda_base_outbox');
+
+/**
+ * Reproducciones de la cola en curso, por usuario
+ */
+const activeFlushes = new Map();
+
+/**
+ * Callbacks para cambios en la cola
+ */
+const pendingChangeCallbacks = [];
+
+/**
+ * Registra un callback para cambios en las operaciones pendientes
+ * @param {Function} callback - Recibe el ID del usuario cuya cola cambió
+ */
+export function onPendingOperationsChange(callback) {
+  pendingChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en la cola
+ * @param {string} userId - ID del usuario
+ */
+function notifyPendingChange(userId) {
+  pendingChangeCallbacks.forEach(callback => callback(userId));
+}
+
+/**
+ * Obtiene las operaciones pendientes de un usuario, en orden
+ * @param {string} userId - ID del usuario
+ * @returns {Array} Lista de operaciones
+ */
+export function getPendingOperations(userId) {
+  return outboxStore.load(userId);
+}
+
+/**
+ * Obtiene los IDs de las tareas con cambios sin sincronizar
+ * @param {string} userId - ID del usuario
+ * @returns {Set<string>} IDs de tareas
+ */
+export function getPendingTaskIds(userId) {
+  return new Set(getPendingOperations(userId)
+    .filter(op => op.type !== 'activity')
+    .map(op => op.taskId));
+}
+
+/**
+ * Agrega una operación al final de la cola
+ * @param {string} userId - ID del usuario
+ * @param {Object} operation - { type: 'add'|'update'|'remove'|'activity', taskId, payload }
+ * @returns {Object} Operación registrada
+ */
+export function enqueueOperation(userId, operation) {
+  const entry = {
+    id: uid(),
+    createdAt: Date.now(),
+    updatedAt: operation.payload?.updatedAt || Date.now(),
+    ...operation
+  };
+
+  outboxStore.save(userId, [...getPendingOperations(userId), entry]);
+  notifyPendingChange(userId);
+  return entry;
+}
+
+/**
+ * Quita una operación de la cola
+ * @param {string} userId - ID del usuario
+ * @param {string} operationId - ID de la operación
+ */
+function dequeueOperation(userId, operationId) {
+  outboxStore.save(userId, getPendingOperations(userId).filter(op => op.id !== operationId));
+  notifyPendingChange(userId);
+}
+
+/**
+ * Aplica las operaciones pendientes sobre una lista de tareas del servidor,
+ * para que una instantánea remota no pise los cambios optimistas
+ * @param {string} userId - ID del usuario
+ * @param {Array} list - Tareas tal como están en el servidor
+ * @returns {Array} Tareas con los cambios pendientes aplicados
+ */
+export function applyPendingOperations(userId, list) {
+  return getPendingOperations(userId).reduce((result, op) => {
+    if (op.type === 'add') {
+      return result.some(t => t.id === op.taskId) ? result : [op.payload, ...result];
+    }
+
+    if (op.type === 'update') {
+      return result.map(t =>
+        t.id === op.taskId && (t.updatedAt || 0) <= op.updatedAt ? { ...t, ...op.payload } : t
+      );
+    }
+
+    if (op.type === 'remove') {
+      return result.filter(t => t.id !== op.taskId);
+    }
+
+    return result;
+  }, list);
+}
+
+/**
+ * Indica si un error se debe a falta de conexión (la operación se reintentará)
+ * @param {Error} error - Error de Firestore
+ * @returns {boolean} true si es un error de red
+ */
+function isNetworkError(error) {
+  return !navigator.onLine ||
+    error?.code === 'unavailable' ||
+    error?.code === 'deadline-exceeded';
+}
+
+/**
+ * Reproduce una operación contra Firestore
+ * @param {string} userId - ID del usuario
+ * @param {Object} op - Operación a reproducir
+ * @returns {Promise<void>}
+ */
+async function replayOperation(userId, op) {
+  switch (op.type) {
+    case 'add':
+      await setFirestoreTask(op.payload);
+      break;
+
+    case 'update': {
+      const remote = await getFirestoreTask(op.taskId);
+
+      // La tarea se eliminó desde otro dispositivo
+      if (!remote) return;
+
+      // Gana la versión más reciente
+      if ((remote.updatedAt || 0) > op.updatedAt) {
+        console.log('🔀 Conflicto resuelto a favor de la versión remota:', op.taskId);
+        return;
+      }
+
+      await updateFirestoreTask(userId, op.taskId, op.payload);
+      break;
+    }
+
+    case 'remove':
+      await removeFirestoreTask(userId, op.taskId);
+      break;
+
+    case 'activity':
+      await addFirestoreActivity(op.taskId, op.payload);
+      break;
+
+    default:
+      console.warn('Operación desconocida en la cola:', op);
+  }
+}
+
+/**
+ * Recorre la cola de un usuario reproduciendo cada operación.
+ * Se detiene ante un error de red y conserva el resto de la cola.
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<void>}
+ */
+async function replayPendingOperations(userId) {
+  let op;
+  while ((op = getPendingOperations(userId)[0])) {
+    try {
+      await replayOperation(userId, op);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        console.warn('⚠️ Sin conexión, la sincronización se reintentará más tarde');
+        return;
+      }
+
+      // Error permanente (por ejemplo, permisos): descartar para no bloquear la cola
+      console.error('Error al sincronizar operación, se descarta:', op, error);
+      toast('No se pudo sincronizar un cambio');
+    }
+
+    dequeueOperation(userId, op.id);
+  }
+}
+
+/**
+ * Reproduce en orden las operaciones pendientes de un usuario.
+ * Si ya hay una reproducción en curso, devuelve esa misma.
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<void>}
+ */
+export function flushPendingOperations(userId) {
+  if (!userId || !navigator.onLine) return Promise.resolve();
+
+  if (!activeFlushes.has(userId)) {
+    activeFlushes.set(userId, replayPendingOperations(userId).finally(() => activeFlushes.delete(userId)));
+  }
+
+  return activeFlushes.get(userId);
+}
+
+/**
+ * Espera a que la creación de una tarea llegue a Firestore
+ * (los comentarios y su contador necesitan que la tarea ya exista en el servidor)
+ * @param {string} userId - ID del usuario
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<boolean>} true si la tarea ya está en Firestore
+ */
+export async function waitForTaskSync(userId, taskId) {
+  const isPendingAdd = () => getPendingOperations(userId).some(op => op.type === 'add' && op.taskId === taskId);
+  if (!isPendingAdd()) return true;
+
+  await flushPendingOperations(userId);
+  return !isPendingAdd();
+}
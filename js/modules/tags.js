@@ -0,0 +1,249 @@
+// Módulo para las etiquetas libres de las tareas
+//
+// Las etiquetas se guardan en cada tarea (campo `tags`) como nombres normalizados.
+// Este módulo las interpreta (sintaxis #etiqueta), arma el índice para autocompletar
+// y guarda el color que cada usuario eligió para sus etiquetas.
+
+import { LocalStore } from './localStore.js';
+import { fetchFirestoreUserSettings, saveFirestoreUserSettings } from './firebase.js';
+
+/**
+ * Colores disponibles para las etiquetas
+ * (solid para los chips seleccionados, soft para las etiquetas de las tareas)
+ */
+export const TAG_COLORS = [
+  { id: 'gray', name: 'Gris', solid: 'bg-gray-500', soft: 'bg-gray-100 text-gray-700' },
+  { id: 'blue', name: 'Azul', solid: 'bg-blue-500', soft: 'bg-blue-100 text-blue-700' },
+  { id: 'green', name: 'Verde', solid: 'bg-green-500', soft: 'bg-green-100 text-green-700' },
+  { id: 'yellow', name: 'Amarillo', solid: 'bg-yellow-500', soft: 'bg-yellow-100 text-yellow-800' },
+  { id: 'orange', name: 'Naranja', solid: 'bg-orange-500', soft: 'bg-orange-100 text-orange-700' },
+  { id: 'red', name: 'Rojo', solid: 'bg-red-500', soft: 'bg-red-100 text-red-700' },
+  { id: 'purple', name: 'Violeta', solid: 'bg-purple-500', soft: 'bg-purple-100 text-purple-700' },
+  { id: 'pink', name: 'Rosa', solid: 'bg-pink-500', soft: 'bg-pink-100 text-pink-700' }
+];
+
+/**
+ * Largo máximo del nombre de una etiqueta
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Cantidad máxima de etiquetas por tarea
+ */
+export const MAX_TAGS_PER_TASK = 10;
+
+/**
+ * Etiquetas escritas con la sintaxis #etiqueta dentro de un texto
+ * (deben empezar con una letra para no confundirse con "#3" o "#2026")
+ */
+const HASHTAG_PATTERN = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Almacenamiento local de los colores (usuarios invitados)
+ */
+const localTagColors = new LocalStore('agenda_base_tag_colors');
+
+/**
+ * Colores elegidos por el usuario actual: { nombre: colorId }
+ */
+let tagColors = {};
+let tagColorsUser = null;
+
+/**
+ * Callbacks para cambios en los colores de las etiquetas
+ */
+const tagColorsChangeCallbacks = [];
+
+/**
+ * Registra un callback para cambios en los colores de las etiquetas
+ * @param {Function} callback - Recibe el mapa { nombre: colorId }
+ */
+export function onTagColorsChange(callback) {
+  tagColorsChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en los colores
+ */
+function notifyTagColorsChange() {
+  tagColorsChangeCallbacks.forEach(callback => callback({ ...tagColors }));
+}
+
+/**
+ * Normaliza el nombre de una etiqueta: sin "#", en minúsculas y con guiones en lugar de espacios
+ * @param {string} name - Nombre escrito por el usuario
+ * @returns {string} Nombre normalizado ('' si no es válido)
+ */
+export function normalizeTag(name) {
+  return String(name ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normaliza la lista de etiquetas de una tarea
+ * @param {Array<string>} tags - Etiquetas
+ * @returns {Array<string>} Etiquetas válidas, sin repetidos
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const unique = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+  if (unique.length > MAX_TAGS_PER_TASK) {
+    throw new Error(`Una tarea puede tener hasta ${MAX_TAGS_PER_TASK} etiquetas`);
+  }
+
+  return unique;
+}
+
+/**
+ * Separa las etiquetas escritas como #etiqueta en un título
+ * @param {string} text - Texto escrito ("Llamar a Ana #trabajo #urgente")
+ * @returns {{ text: string, tags: Array<string> }} Texto sin las etiquetas y etiquetas encontradas
+ */
+export function extractHashtags(text) {
+  const tags = [];
+  const cleanText = String(text ?? '')
+    .replace(HASHTAG_PATTERN, (match, space, name) => {
+      tags.push(name);
+      return space;
+    })
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  return { text: cleanText, tags: [...new Set(tags.map(normalizeTag).filter(Boolean))] };
+}
+
+/**
+ * Arma el índice de etiquetas usadas en una lista de tareas
+ * @param {Array} list - Tareas
+ * @returns {Array} [{ name, count }] de la más usada a la menos usada
+ */
+export function buildTagIndex(list) {
+  const counts = new Map();
+  list.forEach(task => {
+    (task.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Sugiere etiquetas existentes que empiezan con un texto
+ * @param {Array} index - Índice de etiquetas (ver buildTagIndex)
+ * @param {string} prefix - Texto escrito
+ * @param {Array<string>} exclude - Etiquetas que ya tiene la tarea
+ * @returns {Array<string>} Nombres sugeridos
+ */
+export function suggestTags(index, prefix, exclude = []) {
+  const query = normalizeTag(prefix);
+  return index
+    .map(entry => entry.name)
+    .filter(name => name.startsWith(query) && !exclude.includes(name));
+}
+
+/**
+ * Color por defecto de una etiqueta (siempre el mismo para el mismo nombre)
+ * @param {string} name - Nombre de la etiqueta
+ * @returns {string} ID del color
+ */
+function getDefaultTagColor(name) {
+  const hash = [...name].reduce((sum, char) => (sum * 31 + char.codePointAt(0)) >>> 0, 7);
+  return TAG_COLORS[1 + (hash % (TAG_COLORS.length - 1))].id;
+}
+
+/**
+ * Obtiene el color de una etiqueta
+ * @param {string} name - Nombre de la etiqueta
+ * @returns {Object} Color (ver TAG_COLORS)
+ */
+export function getTagColor(name) {
+  const colorId = tagColors[name] || getDefaultTagColor(name);
+  return TAG_COLORS.find(color => color.id === colorId) || TAG_COLORS[0];
+}
+
+/**
+ * Carga los colores de etiquetas del usuario
+ * @param {Object} user - Usuario actual
+ * @returns {Promise<void>}
+ */
+export async function loadTagColors(user) {
+  tagColorsUser = user;
+  tagColors = {};
+
+  if (!user) {
+    notifyTagColorsChange();
+    return;
+  }
+
+  try {
+    if (user.mode === 'firebase') {
+      const settings = await fetchFirestoreUserSettings(user.id);
+      if (tagColorsUser !== user) return;
+      tagColors = { ...(settings?.tagColors || {}) };
+    } else {
+      tagColors = Object.fromEntries(localTagColors.load(user.id).map(entry => [entry.name, entry.color]));
+    }
+  } catch (error) {
+    console.error('Error al cargar los colores de etiquetas:', error);
+  }
+
+  notifyTagColorsChange();
+}
+
+/**
+ * Guarda los colores de etiquetas del usuario actual
+ * @returns {Promise<void>}
+ */
+async function saveTagColors() {
+  const user = tagColorsUser;
+  if (!user) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (user.mode === 'firebase') {
+    await saveFirestoreUserSettings(user.id, { tagColors });
+  } else {
+    localTagColors.save(user.id, Object.entries(tagColors).map(([name, color]) => ({ name, color })));
+  }
+}
+
+/**
+ * Cambia el color de una etiqueta
+ * @param {string} name - Nombre de la etiqueta
+ * @param {string} colorId - ID del color (ver TAG_COLORS)
+ * @returns {Promise<void>}
+ */
+export async function setTagColor(name, colorId) {
+  if (!TAG_COLORS.some(color => color.id === colorId)) {
+    throw new Error('Color de etiqueta no válido');
+  }
+
+  tagColors = { ...tagColors, [name]: colorId };
+  notifyTagColorsChange();
+  await saveTagColors();
+}
+
+/**
+ * Pasa el color de etiquetas renombradas o combinadas a la etiqueta final
+ * (la etiqueta final conserva su color si ya tenía uno)
+ * @param {Array<string>} sources - Etiquetas originales
+ * @param {string} target - Etiqueta final
+ * @returns {Promise<void>}
+ */
+export async function moveTagColors(sources, target) {
+  const inheritedColor = tagColors[target] || sources.map(name => tagColors[name]).find(Boolean);
+  const next = Object.fromEntries(Object.entries(tagColors).filter(([name]) => !sources.includes(name)));
+  if (inheritedColor) next[target] = inheritedColor;
+
+  tagColors = next;
+  notifyTagColorsChange();
+  await saveTagColors();
+}
@@ -0,0 +1,170 @@
+// Módulo para el estado de los filtros y el orden de la lista de tareas
+
+/**
+ * Clave de LocalStorage donde se guardan los filtros (sobreviven a una recarga)
+ */
+const FILTERS_STORAGE_KEY = 'agenda_base_task_filters';
+
+/**
+ * Criterios de orden disponibles (los mismos que acepta filterTasks)
+ */
+export const SORT_OPTIONS = [
+  { id: '', name: 'Más recientes primero' },
+  { id: 'dueDate', name: 'Vencimiento' },
+  { id: 'priority', name: 'Prioridad' },
+  { id: 'title', name: 'Título (A-Z)' }
+];
+
+/**
+ * Filtros sin ningún criterio activo
+ */
+const DEFAULT_FILTERS = {
+  search: '',
+  categories: [],
+  priorities: [],
+  statuses: [],
+  tags: [],
+  done: null,
+  sortBy: ''
+};
+
+/**
+ * Estado actual de los filtros
+ */
+let filters = loadFilters();
+
+/**
+ * Callbacks para cambios en los filtros
+ */
+const filtersChangeCallbacks = [];
+
+/**
+ * Normaliza un estado de filtros (descarta valores desconocidos)
+ * @param {Object} value - Filtros a normalizar
+ * @returns {Object} Filtros válidos
+ */
+function normalizeFilters(value = {}) {
+  const toList = (list) => Array.isArray(list) ? [...new Set(list.filter(item => typeof item === 'string'))] : [];
+  
+  return {
+    search: typeof value.search === 'string' ? value.search : '',
+    categories: toList(value.categories),
+    priorities: toList(value.priorities),
+    statuses: toList(value.statuses),
+    tags: toList(value.tags),
+    done: typeof value.done === 'boolean' ? value.done : null,
+    sortBy: SORT_OPTIONS.some(option => option.id === value.sortBy) ? value.sortBy : ''
+  };
+}
+
+/**
+ * Carga los filtros guardados en LocalStorage
+ * @returns {Object} Filtros guardados o los filtros por defecto
+ */
+function loadFilters() {
+  try {
+    const raw = localStorage.getItem(FILTERS_STORAGE_KEY);
+    return normalizeFilters(raw ? JSON.parse(raw) : DEFAULT_FILTERS);
+  } catch (error) {
+    console.error('Error al cargar los filtros guardados:', error);
+    return { ...DEFAULT_FILTERS };
+  }
+}
+
+/**
+ * Guarda los filtros actuales en LocalStorage
+ */
+function saveFilters() {
+  try {
+    localStorage.setItem(FILTERS_STORAGE_KEY, JSON.stringify(filters));
+  } catch (error) {
+    console.error('Error al guardar los filtros:', error);
+  }
+}
+
+/**
+ * Registra un callback para cambios en los filtros
+ * @param {Function} callback - Recibe el nuevo estado de los filtros
+ */
+export function onFiltersChange(callback) {
+  filtersChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en los filtros
+ */
+function notifyFiltersChange() {
+  filtersChangeCallbacks.forEach(callback => callback(getFilters()));
+}
+
+/**
+ * Obtiene el estado actual de los filtros
+ * @returns {Object} { search, categories, priorities, statuses, tags, done, sortBy }
+ */
+export function getFilters() {
+  return {
+    ...filters,
+    categories: [...filters.categories],
+    priorities: [...filters.priorities],
+    statuses: [...filters.statuses],
+    tags: [...filters.tags]
+  };
+}
+
+/**
+ * Actualiza parte de los filtros
+ * @param {Object} updates - Campos a cambiar
+ */
+export function setFilters(updates) {
+  filters = normalizeFilters({ ...filters, ...updates });
+  saveFilters();
+  notifyFiltersChange();
+}
+
+/**
+ * Agrega o quita un valor de un filtro de selección múltiple
+ * @param {string} field - 'categories', 'priorities', 'statuses' o 'tags'
+ * @param {string} value - ID a agregar o quitar
+ */
+export function toggleFilterValue(field, value) {
+  const list = filters[field] || [];
+  setFilters({
+    [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+  });
+}
+
+/**
+ * Quita todos los filtros (conserva el orden elegido)
+ */
+export function resetFilters() {
+  setFilters({ ...DEFAULT_FILTERS, sortBy: filters.sortBy });
+}
+
+/**
+ * Indica si hay algún filtro activo (sin contar el orden)
+ * @returns {boolean} true si hay filtros activos
+ */
+export function hasActiveFilters() {
+  return filters.search.trim() !== '' ||
+    filters.categories.length > 0 ||
+    filters.priorities.length > 0 ||
+    filters.statuses.length > 0 ||
+    filters.tags.length > 0 ||
+    filters.done !== null;
+}
+
+/**
+ * Convierte los filtros al formato que recibe filterTasks() de tasks.js
+ * @returns {Object} Criterios para filterTasks
+ */
+export function toTaskFilterCriteria() {
+  return {
+    search: filters.search,
+    category: filters.categories,
+    priority: filters.priorities,
+    status: filters.statuses,
+    tag: filters.tags,
+    done: filters.done,
+    sortBy: filters.sortBy
+  };
+}
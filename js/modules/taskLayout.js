@@ -0,0 +1,152 @@
+// Módulo para la forma de mostrar las tareas (lista, tablero o calendario) y el orden manual del tablero
+
+import { CALENDAR_MODES } from '../utils/calendar.js';
+import { todayTimestamp } from '../utils/dateRanges.js';
+
+/**
+ * Clave de LocalStorage donde se guarda la vista elegida (sobrevive a una recarga)
+ */
+const LAYOUT_STORAGE_KEY = 'agenda_base_task_layout';
+
+/**
+ * Vistas disponibles para las tareas
+ */
+export const TASK_VIEWS = [
+  { id: 'list', name: 'Lista' },
+  { id: 'board', name: 'Tablero' },
+  { id: 'calendar', name: 'Calendario' }
+];
+
+/**
+ * Campos por los que se pueden agrupar las columnas del tablero
+ */
+export const BOARD_GROUPS = [
+  { id: 'status', name: 'Estado' },
+  { id: 'priority', name: 'Prioridad' },
+  { id: 'category', name: 'Categoría' }
+];
+
+/**
+ * Vista por defecto
+ */
+const DEFAULT_LAYOUT = {
+  view: 'list',
+  boardGroupBy: 'status',
+  calendarMode: 'month'
+};
+
+/**
+ * Estado actual de la vista
+ */
+let layout = loadLayout();
+
+/**
+ * Callbacks para cambios en la vista
+ */
+const layoutChangeCallbacks = [];
+
+/**
+ * Normaliza el estado de la vista (descarta valores desconocidos)
+ * @param {Object} value - Vista a normalizar
+ * @returns {Object} Vista válida
+ */
+function normalizeLayout(value = {}) {
+  return {
+    view: TASK_VIEWS.some(view => view.id === value.view) ? value.view : DEFAULT_LAYOUT.view,
+    boardGroupBy: BOARD_GROUPS.some(group => group.id === value.boardGroupBy) ? value.boardGroupBy : DEFAULT_LAYOUT.boardGroupBy,
+    calendarMode: CALENDAR_MODES.some(mode => mode.id === value.calendarMode) ? value.calendarMode : DEFAULT_LAYOUT.calendarMode,
+    calendarDate: Number.isFinite(value.calendarDate) ? value.calendarDate : todayTimestamp()
+  };
+}
+
+/**
+ * Carga la vista guardada en LocalStorage
+ * @returns {Object} Vista guardada o la vista por defecto
+ */
+function loadLayout() {
+  try {
+    const raw = localStorage.getItem(LAYOUT_STORAGE_KEY);
+    return normalizeLayout(raw ? JSON.parse(raw) : DEFAULT_LAYOUT);
+  } catch (error) {
+    console.error('Error al cargar la vista guardada:', error);
+    return normalizeLayout(DEFAULT_LAYOUT);
+  }
+}
+
+/**
+ * Guarda la vista actual en LocalStorage
+ * (el calendario siempre vuelve a abrir en el día de hoy)
+ */
+function saveLayout() {
+  try {
+    const { view, boardGroupBy, calendarMode } = layout;
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify({ view, boardGroupBy, calendarMode }));
+  } catch (error) {
+    console.error('Error al guardar la vista:', error);
+  }
+}
+
+/**
+ * Registra un callback para cambios en la vista
+ * @param {Function} callback - Recibe el nuevo estado de la vista
+ */
+export function onLayoutChange(callback) {
+  layoutChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en la vista
+ */
+function notifyLayoutChange() {
+  layoutChangeCallbacks.forEach(callback => callback(getLayout()));
+}
+
+/**
+ * Obtiene el estado actual de la vista
+ * @returns {Object} { view, boardGroupBy, calendarMode, calendarDate }
+ */
+export function getLayout() {
+  return { ...layout };
+}
+
+/**
+ * Actualiza parte de la vista
+ * @param {Object} updates - Campos a cambiar
+ */
+export function setLayout(updates) {
+  layout = normalizeLayout({ ...layout, ...updates });
+  saveLayout();
+  notifyLayoutChange();
+}
+
+/**
+ * Obtiene la posición de una tarea dentro de su columna del tablero.
+ * Las tareas que nunca se movieron quedan de la más nueva a la más vieja, como en la lista.
+ * @param {Object} task - Tarea
+ * @returns {number} Posición (menor = más arriba)
+ */
+export function getBoardOrder(task) {
+  return typeof task.boardOrder === 'number' ? task.boardOrder : -(task.createdAt || 0);
+}
+
+/**
+ * Ordena las tareas de una columna del tablero
+ * @param {Array} list - Tareas
+ * @returns {Array} Nueva lista ordenada
+ */
+export function sortByBoardOrder(list) {
+  return [...list].sort((a, b) => getBoardOrder(a) - getBoardOrder(b));
+}
+
+/**
+ * Calcula la posición de una tarea que se suelta entre otras dos
+ * @param {Object|null} previous - Tarea que queda arriba (null si va primera)
+ * @param {Object|null} next - Tarea que queda abajo (null si va última)
+ * @returns {number} Posición para la tarea movida
+ */
+export function getBoardOrderBetween(previous, next) {
+  if (previous && next) return (getBoardOrder(previous) + getBoardOrder(next)) / 2;
+  if (previous) return getBoardOrder(previous) + 1;
+  if (next) return getBoardOrder(next) - 1;
+  return 0;
+}
@@ -1,22 +1,36 @@
 // Módulo para gestión de tareas
 
 import { LocalStore } from './localStore.js';
-import { 
-  fetchFirestoreTasks, 
-  addFirestoreTask, 
-  toggleFirestoreTask, 
-  removeFirestoreTask,
-  updateFirestoreTask 
+import {
+  subscribeFirestoreTasks,
+  subscribeFirestoreAssignedTasks,
+  subscribeFirestoreProjectTasks
 } from './firebase.js';
+import {
+  enqueueOperation,
+  flushPendingOperations,
+  applyPendingOperations,
+  getPendingTaskIds,
+  onPendingOperationsChange
+} from './syncQueue.js';
 import { getCurrentUserId, getCurrentUserMode } from './auth.js';
-import { toast } from '../utils/helpers.js';
+import { removeLocalTaskComments } from './comments.js';
+import { recordActivity, diffTaskFields, removeLocalTaskActivity } from './activity.js';
+import { normalizeTag, normalizeTags, buildTagIndex } from './tags.js';
+import { toast, uid } from '../utils/helpers.js';
+import { normalizeRecurrence, getNextOccurrence, advanceRecurrence } from '../utils/recurrence.js';
+import { matchesDueRange } from '../utils/dateRanges.js';
+import { normalizeText, tokenizeQuery, matchTerms } from '../utils/textSearch.js';
 import { 
-  TASK_CATEGORIES, 
-  TASK_PRIORITIES, 
-  TASK_STATUSES,
   getCategoryById,
   getPriorityById,
-  getStatusById
+  getStatusById,
+  getPriorityRank,
+  isDoneStatus,
+  isBuiltInOption,
+  canTransitionStatus,
+  COMPLETED_STATUS,
+  REOPENED_STATUS
 } from '../config/taskConfig.js';
 
 /**
@@ -24,6 +38,16 @@ import {
  */
 let tasks = [];
 
+/**
+ * Tareas asignadas al usuario actual (pueden ser de otros usuarios)
+ */
+let assignedTasks = [];
+
+/**
+ * Tareas creadas por otros miembros en las listas compartidas, por proyecto
+ */
+let sharedTasks = {};
+
 /**
  * Instancia del almacenamiento local
  */
@@ -35,11 +59,165 @@ const localStore = new LocalStore();
 const tasksChangeCallbacks = [];
 
 /**
- * Obtiene todas las tareas del usuario actual
+ * Cancelación de la suscripción en tiempo real a Firestore
+ */
+let unsubscribeTasks = null;
+let unsubscribeAssignedTasks = null;
+const unsubscribeSharedTasks = {};
+
+/**
+ * Historial de operaciones reversibles de la sesión (deshacer/rehacer).
+ * Cada operación guarda, por tarea, los valores anteriores y posteriores de los campos que cambió.
+ */
+const MAX_HISTORY_SIZE = 50;
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Callbacks para cambios en el historial de deshacer/rehacer
+ */
+const historyChangeCallbacks = [];
+
+/**
+ * Días que una tarea eliminada permanece en la papelera (configurable por el usuario)
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_KEY = 'agenda_base_trash_retention_days';
+
+/**
+ * Duración de los avisos que ofrecen deshacer una eliminación
+ */
+const UNDO_TOAST_DURATION = 6000;
+
+/**
+ * IDs de tareas con cambios todavía no sincronizados con Firestore
+ */
+let pendingTaskIds = new Set();
+
+// Reintentar la sincronización al recuperar la conexión
+window.addEventListener('online', () => {
+  if (getCurrentUserMode() === 'firebase') {
+    flushPendingOperations(getCurrentUserId());
+  }
+});
+
+// Actualizar los indicadores de "pendiente de sincronizar"
+onPendingOperationsChange((userId) => {
+  if (userId === getCurrentUserId()) {
+    notifyTasksChange();
+  }
+});
+
+/**
+ * Obtiene las tareas que no están en la papelera
+ * @param {Array} list - Lista de tareas (por defecto las del usuario)
+ * @returns {Array} Tareas activas
+ */
+function getActiveTasks(list = tasks) {
+  return list.filter(task => !task.deletedAt);
+}
+
+/**
+ * Obtiene todas las tareas del usuario actual (sin las de la papelera)
  * @returns {Array} Lista de tareas
  */
 export function getTasks() {
-  return [...tasks];
+  return getActiveTasks();
+}
+
+/**
+ * Obtiene las tareas asignadas al usuario actual, incluidas las creadas por otros
+ * @returns {Array} Lista de tareas asignadas
+ */
+export function getAssignedTasks() {
+  return getActiveTasks(assignedTasks);
+}
+
+/**
+ * Obtiene las tareas de la papelera, de la eliminada más recientemente a la más vieja
+ * @returns {Array} Lista de tareas eliminadas
+ */
+export function getTrashedTasks() {
+  return tasks.filter(task => task.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Obtiene los días que una tarea permanece en la papelera antes de eliminarse
+ * @returns {number} Cantidad de días
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(localStorage.getItem(TRASH_RETENTION_KEY), 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Configura los días que una tarea permanece en la papelera
+ * y aplica el nuevo plazo a las tareas que ya están en ella
+ * @param {number} days - Cantidad de días (entre 1 y 365)
+ * @returns {number} Cantidad de días guardada
+ */
+export function setTrashRetentionDays(days) {
+  const value = parseInt(days, 10);
+  
+  if (!Number.isFinite(value) || value < 1 || value > 365) {
+    throw new Error('La papelera debe conservar las tareas entre 1 y 365 días');
+  }
+  
+  localStorage.setItem(TRASH_RETENTION_KEY, String(value));
+  
+  if (purgeExpiredTasks() > 0) {
+    notifyTasksChange();
+  }
+  
+  return value;
+}
+
+/**
+ * Busca una tarea propia o asignada por ID
+ * @param {string} id - ID de la tarea
+ * @returns {Object|null} Tarea encontrada o null
+ */
+export function getTaskById(id) {
+  return tasks.find(t => t.id === id) || assignedTasks.find(t => t.id === id) || null;
+}
+
+/**
+ * Indica si una tarea fue creada por el usuario actual
+ * (los permisos sobre tareas ajenas dependen de la lista, ver navigation.js)
+ * @param {Object} task - Tarea
+ * @returns {boolean} true si el usuario actual es el creador
+ */
+export function isOwnTask(task) {
+  return !task.ownerId || task.ownerId === getCurrentUserId();
+}
+
+/**
+ * Normaliza la lista de responsables de una tarea
+ * @param {Array} assigneeIds - UIDs de usuarios
+ * @returns {Array<string>} UIDs sin repetidos
+ */
+function normalizeAssignees(assigneeIds) {
+  return Array.isArray(assigneeIds) ? [...new Set(assigneeIds.filter(Boolean))] : [];
+}
+
+/**
+ * Largo máximo de la descripción de una tarea
+ */
+export const MAX_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Normaliza la descripción (Markdown) de una tarea
+ * @param {string} description - Texto de la descripción
+ * @returns {string} Descripción sin espacios sobrantes al principio y al final
+ */
+function normalizeDescription(description) {
+  const text = typeof description === 'string' ? description.trim() : '';
+  
+  if (text.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(`La descripción no puede superar los ${MAX_DESCRIPTION_LENGTH} caracteres`);
+  }
+  
+  return text;
 }
 
 /**
@@ -48,7 +226,7 @@ export function getTasks() {
  * @returns {Array} Lista de tareas filtradas
  */
 export function getTasksByCategory(category) {
-  return tasks.filter(task => task.category === category);
+  return getActiveTasks().filter(task => task.category === category);
 }
 
 /**
@@ -57,131 +235,1022 @@ export function getTasksByCategory(category) {
  * @returns {Array} Lista de tareas filtradas
  */
 export function getTasksByPriority(priority) {
-  return tasks.filter(task => task.priority === priority);
+  return getActiveTasks().filter(task => task.priority === priority);
+}
+
+/**
+ * Obtiene tareas filtradas por estado
+ * @param {string} status - ID del estado
+ * @returns {Array} Lista de tareas filtradas
+ */
+export function getTasksByStatus(status) {
+  return getActiveTasks().filter(task => task.status === status);
+}
+
+/**
+ * Peso de cada campo en el orden de los resultados de búsqueda
+ */
+const SEARCH_FIELD_WEIGHTS = {
+  title: 8,
+  tags: 5,
+  description: 3,
+  comments: 2
+};
+
+/**
+ * Busca tareas por texto en el título, la descripción, las etiquetas y los comentarios.
+ * Ignora mayúsculas y acentos, acepta prefijos ("reu" encuentra "Reunión") y exige
+ * que cada palabra buscada aparezca en algún campo.
+ * @param {string} searchText - Texto a buscar
+ * @param {Object} options - { comments: { taskId: [textos] }, list: tareas donde buscar }
+ * @returns {Array} Resultados [{ task, score, matches: { field: { text, ranges } } }],
+ *   del más relevante al menos relevante
+ */
+export function searchTasks(searchText, { comments = {}, list = getSearchableTasks() } = {}) {
+  const terms = tokenizeQuery(searchText);
+  if (terms.length === 0) return [];
+  
+  const results = list.map(task => {
+    const fields = {
+      title: [task.title],
+      tags: (task.tags || []).map(tag => `#${tag}`),
+      description: [task.description],
+      comments: comments[task.id] || []
+    };
+    
+    const matches = {};
+    const termScores = Object.fromEntries(terms.map(term => [term, 0]));
+    
+    Object.entries(fields).forEach(([field, texts]) => {
+      texts.filter(Boolean).forEach(text => {
+        const match = matchTerms(text, terms);
+        if (match.terms.size === 0) return;
+        
+        // Se conserva el texto con más coincidencias de cada campo para mostrarlo
+        if (!matches[field] || match.ranges.length > matches[field].ranges.length) {
+          matches[field] = { text, ranges: match.ranges };
+        }
+        
+        match.terms.forEach(term => {
+          const weight = SEARCH_FIELD_WEIGHTS[field] * (match.exactTerms.has(term) ? 1.5 : 1);
+          termScores[term] = Math.max(termScores[term], weight);
+        });
+      });
+    });
+    
+    if (Object.values(termScores).some(score => score === 0)) return null;
+    
+    let score = Object.values(termScores).reduce((sum, value) => sum + value, 0);
+    if (normalizeText(task.title).startsWith(terms[0])) score += 3;
+    if (!task.done) score += 1;
+    
+    return { task, score, matches };
+  }).filter(Boolean);
+  
+  return results.sort((a, b) =>
+    b.score - a.score || (b.task.updatedAt || b.task.createdAt || 0) - (a.task.updatedAt || a.task.createdAt || 0)
+  );
+}
+
+/**
+ * Obtiene las tareas donde busca la búsqueda global: las propias y las asignadas, sin repetir
+ * @returns {Array} Lista de tareas activas
+ */
+export function getSearchableTasks() {
+  const ownTasks = getActiveTasks();
+  const ownIds = new Set(ownTasks.map(task => task.id));
+  return [...ownTasks, ...getAssignedTasks().filter(task => !ownIds.has(task.id))];
+}
+
+/**
+ * Registra un callback para cambios en las tareas
+ * @param {Function} callback - Función a ejecutar cuando cambien las tareas
+ */
+export function onTasksChange(callback) {
+  tasksChangeCallbacks.push(callback);
+  // Ejecutar inmediatamente si ya hay tareas
+  if (tasks.length > 0) {
+    callback(getActiveTasks());
+  }
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en las tareas
+ */
+function notifyTasksChange() {
+  const userId = getCurrentUserId();
+  pendingTaskIds = userId && getCurrentUserMode() === 'firebase'
+    ? getPendingTaskIds(userId)
+    : new Set();
+  
+  tasksChangeCallbacks.forEach(callback => callback(getActiveTasks()));
+}
+
+/**
+ * Indica si una tarea tiene cambios sin sincronizar con Firestore
+ * @param {string} id - ID de la tarea
+ * @returns {boolean} true si hay cambios pendientes
+ */
+export function isTaskPendingSync(id) {
+  return pendingTaskIds.has(id);
+}
+
+/**
+ * Carga las tareas del usuario actual
+ * En modo Firebase queda suscripto a los cambios remotos hasta llamar a stopTasksSync()
+ * @returns {Promise<void>}
+ */
+export async function loadTasks() {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (unsubscribeTasks) {
+    unsubscribeTasks();
+    unsubscribeTasks = null;
+  }
+  
+  if (unsubscribeAssignedTasks) {
+    unsubscribeAssignedTasks();
+    unsubscribeAssignedTasks = null;
+  }
+  
+  assignedTasks = [];
+  clearHistory();
+  
+  if (!userId || !mode) {
+    tasks = [];
+    notifyTasksChange();
+    return;
+  }
+
+  try {
+    if (mode === 'guest') {
+      tasks = localStore.list(userId);
+    } else if (mode === 'firebase') {
+      tasks = withSharedTasks(userId, await syncFirestoreTasks(userId));
+      syncAssignedTasks(userId);
+      flushPendingOperations(userId);
+    }
+    
+    purgeExpiredTasks();
+    migrateTaskStatuses();
+    notifyTasksChange();
+  } catch (error) {
+    console.error('Error al cargar tareas:', error);
+    toast('Error al cargar las tareas');
+    tasks = [];
+    notifyTasksChange();
+  }
+}
+
+/**
+ * Se suscribe a las tareas de Firestore y mantiene el estado sincronizado
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array>} Se resuelve con la primera instantánea de tareas
+ */
+function syncFirestoreTasks(userId) {
+  return new Promise((resolve, reject) => {
+    let isFirstSnapshot = true;
+    
+    unsubscribeTasks = subscribeFirestoreTasks(userId, (serverList) => {
+      // Los cambios locales sin sincronizar tienen prioridad sobre la instantánea
+      const list = applyPendingOperations(userId, serverList);
+      
+      if (isFirstSnapshot) {
+        isFirstSnapshot = false;
+        resolve(list);
+        return;
+      }
+      
+      tasks = withSharedTasks(userId, list);
+      notifyTasksChange();
+    }, (error) => {
+      if (isFirstSnapshot) {
+        isFirstSnapshot = false;
+        reject(error);
+        return;
+      }
+      
+      toast('Se perdió la sincronización de tareas');
+    });
+  });
+}
+
+/**
+ * Se suscribe a las tareas asignadas al usuario en Firestore.
+ * Un error (por ejemplo, falta el índice) no impide usar las tareas propias.
+ * @param {string} userId - ID del usuario
+ */
+function syncAssignedTasks(userId) {
+  unsubscribeAssignedTasks = subscribeFirestoreAssignedTasks(userId, (serverList) => {
+    // Aplicar los cambios pendientes y descartar las tareas que ya no me asignan
+    assignedTasks = applyPendingOperations(userId, serverList)
+      .filter(t => normalizeAssignees(t.assigneeIds).includes(userId));
+    notifyTasksChange();
+  }, () => {
+    toast('No se pudieron cargar las tareas asignadas');
+  });
+}
+
+/**
+ * Agrega a las tareas propias las de otros miembros de las listas compartidas
+ * @param {string} userId - ID del usuario
+ * @param {Array} ownList - Tareas creadas por el usuario
+ * @returns {Array} Tareas visibles, de la más nueva a la más vieja
+ */
+function withSharedTasks(userId, ownList) {
+  const ownIds = new Set(ownList.map(t => t.id));
+  const others = applyPendingOperations(userId, Object.values(sharedTasks).flat())
+    .filter(t => t.ownerId !== userId && !ownIds.has(t.id));
+  
+  return [...ownList, ...others].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Sincroniza las tareas de las listas compartidas en las que participa el usuario.
+ * Cancela las suscripciones de las listas que ya no están en projectIds.
+ * @param {Array<string>} projectIds - IDs de las listas compartidas
+ */
+export function syncSharedProjectTasks(projectIds) {
+  const userId = getCurrentUserId();
+  const activeIds = getCurrentUserMode() === 'firebase' ? projectIds : [];
+  let removed = false;
+  
+  Object.keys(unsubscribeSharedTasks).forEach(projectId => {
+    if (activeIds.includes(projectId)) return;
+    
+    unsubscribeSharedTasks[projectId]();
+    delete unsubscribeSharedTasks[projectId];
+    delete sharedTasks[projectId];
+    removed = true;
+  });
+  
+  activeIds.forEach(projectId => {
+    if (unsubscribeSharedTasks[projectId]) return;
+    
+    unsubscribeSharedTasks[projectId] = subscribeFirestoreProjectTasks(projectId, (serverList) => {
+      sharedTasks[projectId] = serverList;
+      tasks = withSharedTasks(userId, tasks.filter(t => t.ownerId === userId));
+      notifyTasksChange();
+    }, () => {
+      toast('No se pudieron cargar las tareas de una lista compartida');
+    });
+  });
+  
+  if (removed) {
+    tasks = withSharedTasks(userId, tasks.filter(t => t.ownerId === userId));
+    notifyTasksChange();
+  }
+}
+
+/**
+ * Cancela la sincronización en tiempo real y limpia las tareas en memoria
+ */
+export function stopTasksSync() {
+  if (unsubscribeTasks) {
+    unsubscribeTasks();
+    unsubscribeTasks = null;
+  }
+  
+  if (unsubscribeAssignedTasks) {
+    unsubscribeAssignedTasks();
+    unsubscribeAssignedTasks = null;
+  }
+  
+  Object.keys(unsubscribeSharedTasks).forEach(projectId => {
+    unsubscribeSharedTasks[projectId]();
+    delete unsubscribeSharedTasks[projectId];
+  });
+  sharedTasks = {};
+  clearHistory();
+  
+  if (tasks.length > 0 || assignedTasks.length > 0) {
+    tasks = [];
+    assignedTasks = [];
+    notifyTasksChange();
+  }
+}
+
+/**
+ * Registra una operación en la cola de Firestore e intenta sincronizarla
+ * @param {string} userId - ID del usuario
+ * @param {Object} operation - { type, taskId, payload }
+ */
+function queueFirestoreOperation(userId, operation) {
+  enqueueOperation(userId, operation);
+  flushPendingOperations(userId);
+}
+
+/**
+ * Aplica un cambio optimista a una tarea en memoria y lo encola para Firestore
+ * @param {string} userId - ID del usuario
+ * @param {string} id - ID de la tarea
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Object|null} Tarea actualizada o null si no se encuentra
+ */
+function queueFirestoreUpdate(userId, id, updates) {
+  const current = getTaskById(id);
+  if (!current) return null;
+  
+  const payload = { ...updates, updatedAt: Date.now() };
+  const updatedTask = { ...current, ...payload };
+  
+  // La tarea puede estar en las dos listas (propia y asignada a mí)
+  tasks = tasks.map(t => t.id === id ? updatedTask : t);
+  assignedTasks = assignedTasks.map(t => t.id === id ? updatedTask : t);
+  queueFirestoreOperation(userId, { type: 'update', taskId: id, payload });
+  
+  return updatedTask;
+}
+
+/**
+ * Inserta una tarea al principio de la lista si todavía no está
+ * (la suscripción de Firestore puede haberla agregado antes)
+ * @param {Object} task - Tarea a insertar
+ */
+function insertTask(task) {
+  if (!tasks.some(t => t.id === task.id)) {
+    tasks.unshift(task);
+  }
+}
+
+/**
+ * Crea una tarea en el almacenamiento del modo actual y la agrega al estado
+ * (sin notificar ni mostrar mensajes)
+ * @param {string} userId - ID del usuario
+ * @param {string} mode - 'guest' o 'firebase'
+ * @param {Object} fields - { title, dueDate, category, priority, projectId, ...detalles }
+ * @returns {Object} Tarea creada
+ */
+function createTask(userId, mode, { title, dueDate, category, priority, projectId, ...details }) {
+  let newTask;
+  
+  if (mode === 'guest') {
+    newTask = localStore.add(userId, title, dueDate, category, priority, projectId, details);
+  } else if (mode === 'firebase') {
+    const now = Date.now();
+    newTask = {
+      ...details,
+      tags: details.tags || [],
+      id: uid(),
+      ownerId: userId,
+      title,
+      done: false,
+      createdAt: now,
+      updatedAt: now,
+      dueDate: dueDate ? new Date(dueDate).getTime() : null,
+      category,
+      priority,
+      status: 'pending',
+      projectId
+    };
+    queueFirestoreOperation(userId, { type: 'add', taskId: newTask.id, payload: newTask });
+  }
+  
+  insertTask(newTask);
+  recordActivity(userId, mode, newTask.id, 'created');
+  return newTask;
+}
+
+/**
+ * Aplica cambios a una tarea en el almacenamiento del modo actual y en el estado
+ * (sin notificar ni mostrar mensajes)
+ * @param {string} userId - ID del usuario
+ * @param {string} mode - 'guest' o 'firebase'
+ * @param {string} id - ID de la tarea
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Object|null} Tarea actualizada o null si no se encuentra
+ */
+function writeTaskUpdate(userId, mode, id, updates) {
+  const changes = diffTaskFields(getTaskById(id), updates);
+  let updatedTask;
+  
+  if (mode === 'firebase') {
+    updatedTask = queueFirestoreUpdate(userId, id, updates);
+  } else {
+    updatedTask = localStore.update(userId, id, updates);
+    if (updatedTask) {
+      const index = tasks.findIndex(t => t.id === id);
+      if (index > -1) {
+        tasks[index] = updatedTask;
+      }
+    }
+  }
+  
+  if (updatedTask) {
+    recordActivity(userId, mode, id, 'updated', changes);
+  }
+  return updatedTask;
+}
+
+/**
+ * Registra un callback para cambios en el historial de deshacer/rehacer
+ * @param {Function} callback - Recibe { canUndo, canRedo }
+ */
+export function onHistoryChange(callback) {
+  historyChangeCallbacks.push(callback);
+}
+
+/**
+ * Notifica a todos los listeners sobre cambios en el historial
+ */
+function notifyHistoryChange() {
+  const state = { canUndo: canUndo(), canRedo: canRedo() };
+  historyChangeCallbacks.forEach(callback => callback(state));
+}
+
+/**
+ * Indica si hay una operación para deshacer
+ * @returns {boolean} true si se puede deshacer
+ */
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * Indica si hay una operación para rehacer
+ * @returns {boolean} true si se puede rehacer
+ */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Vacía el historial (al cambiar de usuario)
+ */
+function clearHistory() {
+  if (undoStack.length === 0 && redoStack.length === 0) return;
+  
+  undoStack = [];
+  redoStack = [];
+  notifyHistoryChange();
+}
+
+/**
+ * Obtiene los valores actuales de los campos que va a cambiar una actualización
+ * (los campos que no existen se guardan como null para poder restaurarlos)
+ * @param {Object} task - Tarea antes del cambio
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Object} Valores anteriores
+ */
+function pickFields(task, updates) {
+  return Object.fromEntries(Object.keys(updates).map(field => [field, task[field] ?? null]));
+}
+
+/**
+ * Agrega una operación reversible al historial y descarta lo que se podía rehacer
+ * @param {string} label - Descripción de la operación (p. ej. 'editar tarea')
+ * @param {Array} changes - Cambios por tarea [{ id, before, after }]
+ * @returns {Object} Operación registrada
+ */
+function recordCommand(label, changes) {
+  const command = { label, changes };
+  undoStack = [...undoStack, command].slice(-MAX_HISTORY_SIZE);
+  redoStack = [];
+  notifyHistoryChange();
+  return command;
+}
+
+/**
+ * Deshace o rehace la última operación del historial
+ * @param {string} direction - 'undo' o 'redo'
+ * @returns {Promise<Object|null>} Operación aplicada o null si no había ninguna
+ */
+async function replayCommand(direction) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+  
+  const isUndo = direction === 'undo';
+  const command = isUndo ? undoStack[undoStack.length - 1] : redoStack[redoStack.length - 1];
+  if (!command) return null;
+
+  try {
+    // Deshacer aplica los valores anteriores en orden inverso
+    const changes = isUndo ? [...command.changes].reverse() : command.changes;
+    
+    // Las tareas eliminadas definitivamente ya no se pueden recuperar
+    changes
+      .filter(change => getTaskById(change.id))
+      .forEach(change => writeTaskUpdate(userId, mode, change.id, isUndo ? change.before : change.after));
+    
+    if (isUndo) {
+      undoStack = undoStack.slice(0, -1);
+      redoStack = [...redoStack, command];
+    } else {
+      redoStack = redoStack.slice(0, -1);
+      undoStack = [...undoStack, command];
+    }
+    
+    notifyTasksChange();
+    notifyHistoryChange();
+    toast(isUndo ? `Se deshizo: ${command.label}` : `Se rehízo: ${command.label}`);
+    return command;
+  } catch (error) {
+    console.error(`Error al ${isUndo ? 'deshacer' : 'rehacer'}:`, error);
+    toast(isUndo ? 'Error al deshacer el cambio' : 'Error al rehacer el cambio');
+    throw error;
+  }
+}
+
+/**
+ * Deshace la última operación sobre tareas (crear, completar, editar o eliminar)
+ * @returns {Promise<Object|null>} Operación deshecha o null si no había ninguna
+ */
+export async function undo() {
+  return replayCommand('undo');
+}
+
+/**
+ * Rehace la última operación deshecha
+ * @returns {Promise<Object|null>} Operación rehecha o null si no había ninguna
+ */
+export async function redo() {
+  return replayCommand('redo');
+}
+
+/**
+ * Agrega una nueva tarea
+ * @param {string} title - Título de la tarea
+ * @param {string|null} dueDate - Fecha de vencimiento (opcional)
+ * @param {string} category - Categoría de la tarea (opcional)
+ * @param {string} priority - Prioridad de la tarea (opcional)
+ * @param {string} projectId - ID del proyecto/lista (opcional)
+ * @param {Object} details - Campos adicionales (opcional)
+ * @param {Object|null} details.recurrence - Regla de repetición
+ * @param {Array<string>} details.assigneeIds - UIDs de los responsables
+ * @returns {Promise<Object>} Tarea creada
+ */
+export async function addTask(title, dueDate = null, category = 'other', priority = 'medium', projectId = 'inbox', details = {}) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (!title || title.trim().length === 0) {
+    throw new Error('El título de la tarea no puede estar vacío');
+  }
+
+  const description = normalizeDescription(details.description);
+  const tags = normalizeTags(details.tags);
+
+  try {
+    const recurrence = normalizeRecurrence(details.recurrence, dueDate);
+    const newTask = createTask(userId, mode, {
+      ...details,
+      title: title.trim(),
+      description,
+      tags,
+      dueDate,
+      category,
+      priority,
+      projectId,
+      recurrence,
+      assigneeIds: normalizeAssignees(details.assigneeIds)
+    });
+    
+    // Deshacer una creación mueve la tarea a la papelera
+    recordCommand('crear tarea', [
+      { id: newTask.id, before: { deletedAt: newTask.createdAt }, after: { deletedAt: null } }
+    ]);
+    
+    notifyTasksChange();
+    toast('Tarea agregada correctamente');
+    return newTask;
+  } catch (error) {
+    console.error('Error al agregar tarea:', error);
+    toast('Error al agregar la tarea');
+    throw error;
+  }
+}
+
+/**
+ * Cierra una tarea recurrente (completada o en otro estado que la cierre) y genera su siguiente repetición.
+ * La regla pasa a la nueva tarea; la cerrada queda como una tarea común.
+ * @param {string} userId - ID del usuario
+ * @param {string} mode - 'guest' o 'firebase'
+ * @param {Object} task - Tarea recurrente a cerrar
+ * @param {string} statusId - Estado con el que se cierra
+ * @returns {{ completedTask: Object|null, nextTask: Object|null }} Tarea cerrada y siguiente repetición
+ */
+function completeRecurringTask(userId, mode, task, statusId = COMPLETED_STATUS) {
+  const completedTask = writeTaskUpdate(userId, mode, task.id, { status: statusId, done: true, recurrence: null });
+  const nextDueDate = getNextOccurrence(task.recurrence, task.dueDate);
+  const statusName = getStatusById(statusId).name.toLowerCase();
+  
+  if (!nextDueDate) {
+    toast(`Tarea ${statusName} (última repetición)`);
+    return { completedTask, nextTask: null };
+  }
+  
+  const nextTask = createTask(userId, mode, {
+    title: task.title,
+    dueDate: nextDueDate,
+    category: task.category,
+    priority: task.priority,
+    projectId: task.projectId,
+    description: task.description || '',
+    tags: task.tags || [],
+    subtasks: (task.subtasks || []).map(st => ({ ...st, id: uid(), done: false })),
+    autoCompleteSubtasks: !!task.autoCompleteSubtasks,
+    assigneeIds: normalizeAssignees(task.assigneeIds),
+    recurrence: advanceRecurrence(task.recurrence)
+  });
+  
+  const nextDate = new Date(nextDueDate).toLocaleDateString('es-AR', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+  toast(`Tarea ${statusName}. Próxima repetición: ${nextDate}`);
+  return { completedTask, nextTask };
+}
+
+/**
+ * Aplica un cambio de estado a una tarea y deriva done del estado nuevo.
+ * Cerrar una tarea recurrente crea la siguiente repetición.
+ * @param {string} userId - ID del usuario
+ * @param {string} mode - 'guest' o 'firebase'
+ * @param {Object} task - Tarea antes del cambio
+ * @param {string} statusId - Estado nuevo
+ * @returns {{ updatedTask: Object|null, changes: Array }} Tarea actualizada y cambios para el historial
+ */
+function writeStatusChange(userId, mode, task, statusId) {
+  const done = isDoneStatus(statusId);
+  
+  if (done && !task.done && task.recurrence) {
+    const { completedTask, nextTask } = completeRecurringTask(userId, mode, task, statusId);
+    
+    // Deshacer vuelve a abrir la tarea con su regla y envía la siguiente repetición a la papelera
+    return {
+      updatedTask: completedTask,
+      changes: [
+        {
+          id: task.id,
+          before: { status: task.status ?? null, done: !!task.done, recurrence: task.recurrence },
+          after: { status: statusId, done: true, recurrence: null }
+        },
+        ...(nextTask ? [{ id: nextTask.id, before: { deletedAt: nextTask.createdAt }, after: { deletedAt: null } }] : [])
+      ]
+    };
+  }
+  
+  const after = { status: statusId, done };
+  return {
+    updatedTask: writeTaskUpdate(userId, mode, task.id, after),
+    changes: [{ id: task.id, before: pickFields(task, after), after }]
+  };
+}
+
+/**
+ * Verifica que una tarea pueda pasar a un estado y avisa si no puede
+ * @param {Object} task - Tarea
+ * @param {string} statusId - Estado nuevo
+ */
+function assertStatusTransition(task, statusId) {
+  if (canTransitionStatus(task.status, statusId)) return;
+  
+  const message = `Una tarea ${getStatusById(task.status).name.toLowerCase()} no puede pasar a ${getStatusById(statusId).name.toLowerCase()}`;
+  toast(message);
+  throw new Error(message);
+}
+
+/**
+ * Cambia el estado de una tarea respetando las transiciones permitidas.
+ * El campo done se deriva del estado; cerrar una tarea recurrente crea la siguiente repetición.
+ * @param {string} id - ID de la tarea
+ * @param {string} statusId - Estado nuevo (ver TASK_STATUSES o los estados del usuario)
+ * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
+ */
+export async function setTaskStatus(id, statusId) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const current = getTaskById(id);
+  if (!current) return null;
+  if (current.status === statusId && !!current.done === isDoneStatus(statusId)) return current;
+  
+  assertStatusTransition(current, statusId);
+
+  try {
+    const { updatedTask, changes } = writeStatusChange(userId, mode, current, statusId);
+    
+    if (updatedTask) {
+      const label = updatedTask.done && !current.done ? 'completar tarea'
+        : !updatedTask.done && current.done ? 'reabrir tarea'
+        : 'cambiar estado';
+      recordCommand(label, changes);
+      notifyTasksChange();
+      
+      // Las tareas recurrentes ya avisan con su próxima repetición
+      if (!(updatedTask.done && current.recurrence)) {
+        toast(`Tarea: ${getStatusById(statusId).name}`);
+      }
+    }
+    
+    return updatedTask;
+  } catch (error) {
+    console.error('Error al cambiar estado de tarea:', error);
+    toast('Error al cambiar el estado de la tarea');
+    throw error;
+  }
+}
+
+/**
+ * Completa o reabre una tarea (la casilla de la lista).
+ * Equivale a pasarla a "Completada" o de vuelta a "Pendiente".
+ * @param {string} id - ID de la tarea
+ * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
+ */
+export async function toggleTask(id) {
+  const current = getTaskById(id);
+  if (!current) return null;
+  
+  return setTaskStatus(id, current.done ? REOPENED_STATUS : COMPLETED_STATUS);
+}
+
+/**
+ * Actualiza una tarea existente
+ * @param {string} id - ID de la tarea
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
+ */
+export async function updateTask(id, updates) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if ('description' in updates) {
+    updates = { ...updates, description: normalizeDescription(updates.description) };
+  }
+  
+  if ('tags' in updates) {
+    updates = { ...updates, tags: normalizeTags(updates.tags) };
+  }
+  
+  const current = getTaskById(id);
+  
+  // El estado se aplica aparte (con sus transiciones); done solo se acepta junto con su estado derivado
+  const { status: statusId, done, ...fields } = updates;
+  const togglesDone = done !== undefined && !!done !== !!current?.done;
+  const nextStatus = statusId ?? (togglesDone ? (done ? COMPLETED_STATUS : REOPENED_STATUS) : undefined);
+  const changesStatus = current && nextStatus !== undefined &&
+    (nextStatus !== current.status || isDoneStatus(nextStatus) !== !!current.done);
+  
+  if (changesStatus) {
+    assertStatusTransition(current, nextStatus);
+  }
+
+  try {
+    if (fields.assigneeIds) {
+      fields.assigneeIds = normalizeAssignees(fields.assigneeIds);
+    }
+    
+    let updatedTask = null;
+    const changes = [];
+    
+    if (current && Object.keys(fields).length > 0) {
+      updatedTask = writeTaskUpdate(userId, mode, id, fields);
+      changes.push({ id, before: pickFields(current, fields), after: fields });
+    }
+    
+    if (current && changesStatus) {
+      const statusChange = writeStatusChange(userId, mode, updatedTask || current, nextStatus);
+      updatedTask = statusChange.updatedTask;
+      changes.push(...statusChange.changes);
+    }
+    
+    if (current && changes.length === 0) {
+      return current;
+    }
+    
+    if (updatedTask) {
+      recordCommand('editar tarea', changes);
+      notifyTasksChange();
+      toast('Tarea actualizada correctamente');
+    }
+    
+    return updatedTask;
+  } catch (error) {
+    console.error('Error al actualizar tarea:', error);
+    toast('Error al actualizar la tarea');
+    throw error;
+  }
 }
 
 /**
- * Obtiene tareas filtradas por estado
- * @param {string} status - ID del estado
- * @returns {Array} Lista de tareas filtradas
+ * Obtiene el índice de etiquetas usadas en las tareas activas
+ * @returns {Array} [{ name, count }] de la más usada a la menos usada
  */
-export function getTasksByStatus(status) {
-  return tasks.filter(task => task.status === status);
+export function getAllTags() {
+  return buildTagIndex(getSearchableTasks());
 }
 
 /**
- * Obtiene tareas con búsqueda por texto
- * @param {string} searchText - Texto a buscar
- * @returns {Array} Lista de tareas que coinciden
+ * Reemplaza una o varias etiquetas por otra en todas las tareas que las usan
+ * (deshacer la operación restaura las etiquetas de cada tarea)
+ * @param {Array<string>} sources - Etiquetas a reemplazar
+ * @param {string} target - Etiqueta final
+ * @param {string} label - Descripción de la operación para el historial
+ * @param {Function} canEdit - Indica si el usuario puede modificar una tarea
+ * @returns {number} Cantidad de tareas modificadas
  */
-export function searchTasks(searchText) {
-  if (!searchText || searchText.trim().length === 0) {
-    return [...tasks];
+function replaceTags(sources, target, label, canEdit) {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  
+  if (!userId || !mode) {
+    throw new Error('Usuario no autenticado');
   }
   
-  const query = searchText.toLowerCase().trim();
-  return tasks.filter(task => 
-    task.title.toLowerCase().includes(query) ||
-    (task.description && task.description.toLowerCase().includes(query))
-  );
+  const normalizedTarget = normalizeTag(target);
+  if (!normalizedTarget) {
+    throw new Error('El nombre de la etiqueta no es válido');
+  }
+  
+  // Las mismas tareas que arman el índice de etiquetas (propias y asignadas)
+  const changes = getSearchableTasks()
+    .filter(task => canEdit(task) && (task.tags || []).some(tag => sources.includes(tag)))
+    .map(task => {
+      const tags = [...new Set(task.tags.map(tag => sources.includes(tag) ? normalizedTarget : tag))];
+      return writeTaskUpdate(userId, mode, task.id, { tags })
+        ? { id: task.id, before: { tags: task.tags }, after: { tags } }
+        : null;
+    })
+    .filter(Boolean);
+  
+  if (changes.length > 0) {
+    recordCommand(label, changes);
+    notifyTasksChange();
+  }
+  
+  return changes.length;
 }
 
 /**
- * Registra un callback para cambios en las tareas
- * @param {Function} callback - Función a ejecutar cuando cambien las tareas
+ * Renombra una etiqueta en todas las tareas (si el nuevo nombre ya existe, se combinan)
+ * @param {string} from - Etiqueta actual
+ * @param {string} to - Nuevo nombre
+ * @param {Function} canEdit - Indica si el usuario puede modificar una tarea
+ * @returns {Promise<number>} Cantidad de tareas modificadas
  */
-export function onTasksChange(callback) {
-  tasksChangeCallbacks.push(callback);
-  // Ejecutar inmediatamente si ya hay tareas
-  if (tasks.length > 0) {
-    callback(tasks);
+export async function renameTag(from, to, canEdit = () => true) {
+  try {
+    const count = replaceTags([from], to, 'renombrar etiqueta', canEdit);
+    toast(count === 1 ? 'Etiqueta renombrada en 1 tarea' : `Etiqueta renombrada en ${count} tareas`);
+    return count;
+  } catch (error) {
+    console.error('Error al renombrar etiqueta:', error);
+    toast(error.message || 'Error al renombrar la etiqueta');
+    throw error;
   }
 }
 
 /**
- * Notifica a todos los listeners sobre cambios en las tareas
+ * Combina varias etiquetas en una sola en todas las tareas
+ * @param {Array<string>} sources - Etiquetas a combinar
+ * @param {string} target - Etiqueta final (puede ser una de las combinadas o una nueva)
+ * @param {Function} canEdit - Indica si el usuario puede modificar una tarea
+ * @returns {Promise<number>} Cantidad de tareas modificadas
  */
-function notifyTasksChange() {
-  tasksChangeCallbacks.forEach(callback => callback([...tasks]));
+export async function mergeTags(sources, target, canEdit = () => true) {
+  try {
+    const count = replaceTags(sources, target, 'combinar etiquetas', canEdit);
+    toast(count === 1 ? 'Etiquetas combinadas en 1 tarea' : `Etiquetas combinadas en ${count} tareas`);
+    return count;
+  } catch (error) {
+    console.error('Error al combinar etiquetas:', error);
+    toast(error.message || 'Error al combinar las etiquetas');
+    throw error;
+  }
 }
 
 /**
- * Carga las tareas del usuario actual
- * @returns {Promise<void>}
+ * Aplica una modificación a la lista de subtareas de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {Function} mutate - Recibe una copia de las subtareas y devuelve la nueva lista
+ * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
  */
-export async function loadTasks() {
+async function changeSubtasks(taskId, mutate) {
   const userId = getCurrentUserId();
   const mode = getCurrentUserMode();
   
   if (!userId || !mode) {
-    tasks = [];
-    notifyTasksChange();
-    return;
+    throw new Error('Usuario no autenticado');
   }
 
+  const task = getTaskById(taskId);
+  if (!task) return null;
+
   try {
-    if (mode === 'guest') {
-      tasks = localStore.list(userId);
-    } else if (mode === 'firebase') {
-      tasks = await fetchFirestoreTasks(userId);
+    const subtasks = mutate((task.subtasks || []).map(st => ({ ...st })));
+    let updatedTask = writeTaskUpdate(userId, mode, taskId, { subtasks });
+    
+    // Completar la tarea cuando se terminan todas sus subtareas (si está activado)
+    const allDone = subtasks.length > 0 && subtasks.every(st => st.done);
+    if (updatedTask && updatedTask.autoCompleteSubtasks && allDone && !updatedTask.done &&
+        canTransitionStatus(updatedTask.status, COMPLETED_STATUS)) {
+      updatedTask = writeStatusChange(userId, mode, updatedTask, COMPLETED_STATUS).updatedTask;
+      toast('Todas las subtareas completas: tarea completada');
     }
     
     notifyTasksChange();
+    return updatedTask;
   } catch (error) {
-    console.error('Error al cargar tareas:', error);
-    toast('Error al cargar las tareas');
-    tasks = [];
-    notifyTasksChange();
+    console.error('Error al actualizar subtareas:', error);
+    toast('Error al actualizar las subtareas');
+    throw error;
   }
 }
 
 /**
- * Agrega una nueva tarea
- * @param {string} title - Título de la tarea
- * @param {string|null} dueDate - Fecha de vencimiento (opcional)
- * @param {string} category - Categoría de la tarea (opcional)
- * @param {string} priority - Prioridad de la tarea (opcional)
- * @returns {Promise<Object>} Tarea creada
+ * Agrega una subtarea al final de la lista de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {string} title - Título de la subtarea
+ * @returns {Promise<Object|null>} Tarea actualizada
  */
-export async function addTask(title, dueDate = null, category = 'other', priority = 'medium') {
-  const userId = getCurrentUserId();
-  const mode = getCurrentUserMode();
-  
-  if (!userId || !mode) {
-    throw new Error('Usuario no autenticado');
-  }
-
+export async function addSubtask(taskId, title) {
   if (!title || title.trim().length === 0) {
-    throw new Error('El título de la tarea no puede estar vacío');
+    throw new Error('El título de la subtarea no puede estar vacío');
   }
+  
+  return changeSubtasks(taskId, subtasks => [
+    ...subtasks,
+    { id: uid(), title: title.trim(), done: false }
+  ]);
+}
 
-  try {
-    let newTask;
+/**
+ * Cambia el estado de una subtarea
+ * @param {string} taskId - ID de la tarea
+ * @param {string} subtaskId - ID de la subtarea
+ * @returns {Promise<Object|null>} Tarea actualizada
+ */
+export async function toggleSubtask(taskId, subtaskId) {
+  return changeSubtasks(taskId, subtasks => subtasks.map(st => 
+    st.id === subtaskId ? { ...st, done: !st.done } : st
+  ));
+}
+
+/**
+ * Mueve una subtarea dentro de la lista
+ * @param {string} taskId - ID de la tarea
+ * @param {string} subtaskId - ID de la subtarea
+ * @param {number} offset - Posiciones a mover (-1 sube, 1 baja)
+ * @returns {Promise<Object|null>} Tarea actualizada
+ */
+export async function moveSubtask(taskId, subtaskId, offset) {
+  return changeSubtasks(taskId, subtasks => {
+    const from = subtasks.findIndex(st => st.id === subtaskId);
+    const to = from + offset;
     
-    if (mode === 'guest') {
-      newTask = localStore.add(userId, title.trim(), dueDate, category, priority, 'pending');
-      tasks.unshift(newTask);
-    } else if (mode === 'firebase') {
-      newTask = await addFirestoreTask(userId, title.trim(), dueDate, category, priority, 'pending');
-      tasks.unshift(newTask);
-    }
+    if (from === -1 || to < 0 || to >= subtasks.length) return subtasks;
     
+    const [moved] = subtasks.splice(from, 1);
+    subtasks.splice(to, 0, moved);
+    return subtasks;
+  });
+}
+
+/**
+ * Elimina una subtarea
+ * @param {string} taskId - ID de la tarea
+ * @param {string} subtaskId - ID de la subtarea
+ * @returns {Promise<Object|null>} Tarea actualizada
+ */
+export async function removeSubtask(taskId, subtaskId) {
+  return changeSubtasks(taskId, subtasks => subtasks.filter(st => st.id !== subtaskId));
+}
+
+/**
+ * Actualiza el contador de comentarios de una tarea en modo invitado
+ * (en Firebase el contador se actualiza junto con el comentario)
+ * @param {string} taskId - ID de la tarea
+ * @param {number} count - Cantidad de comentarios
+ */
+export function setTaskCommentCount(taskId, count) {
+  const userId = getCurrentUserId();
+  if (!userId || getCurrentUserMode() !== 'guest') return;
+  
+  if (writeTaskUpdate(userId, 'guest', taskId, { commentCount: count })) {
     notifyTasksChange();
-    toast('Tarea agregada correctamente');
-    return newTask;
-  } catch (error) {
-    console.error('Error al agregar tarea:', error);
-    toast('Error al agregar la tarea');
-    throw error;
   }
 }
 
 /**
- * Cambia el estado de una tarea (completada/pendiente)
+ * Mueve una tarea a la papelera (se puede deshacer desde el aviso o restaurar después)
  * @param {string} id - ID de la tarea
- * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
+ * @returns {Promise<boolean>} true si se movió correctamente
  */
-export async function toggleTask(id) {
+export async function removeTask(id) {
   const userId = getCurrentUserId();
   const mode = getCurrentUserMode();
   
@@ -190,47 +1259,38 @@ export async function toggleTask(id) {
   }
 
   try {
-    let updatedTask;
-    
-    if (mode === 'guest') {
-      updatedTask = localStore.toggle(userId, id);
-      if (updatedTask) {
-        const index = tasks.findIndex(t => t.id === id);
-        if (index > -1) {
-          tasks[index] = updatedTask;
-        }
-      }
-    } else if (mode === 'firebase') {
-      updatedTask = await toggleFirestoreTask(userId, id);
-      if (updatedTask) {
-        const index = tasks.findIndex(t => t.id === id);
-        if (index > -1) {
-          tasks[index] = updatedTask;
-        }
-      }
-    }
+    const trashedTask = writeTaskUpdate(userId, mode, id, { deletedAt: Date.now() });
     
-    if (updatedTask) {
+    if (trashedTask) {
+      const command = recordCommand('eliminar tarea', [
+        { id, before: { deletedAt: null }, after: { deletedAt: trashedTask.deletedAt } }
+      ]);
       notifyTasksChange();
-      const status = updatedTask.done ? 'completada' : 'marcada como pendiente';
-      toast(`Tarea ${status}`);
+      
+      // Deshacer desde el aviso saca la operación del historial (salvo que ya haya otras encima)
+      toast('Tarea movida a la papelera', UNDO_TOAST_DURATION, {
+        label: 'Deshacer',
+        onClick: () => {
+          const undoDeletion = undoStack[undoStack.length - 1] === command ? undo() : restoreTasks([id]);
+          undoDeletion.catch(error => console.error('Error al deshacer la eliminación:', error));
+        }
+      });
     }
     
-    return updatedTask;
+    return !!trashedTask;
   } catch (error) {
-    console.error('Error al cambiar estado de tarea:', error);
-    toast('Error al cambiar el estado de la tarea');
+    console.error('Error al eliminar tarea:', error);
+    toast('Error al eliminar la tarea');
     throw error;
   }
 }
 
 /**
- * Actualiza una tarea existente
- * @param {string} id - ID de la tarea
- * @param {Object} updates - Campos a actualizar
- * @returns {Promise<Object|null>} Tarea actualizada o null si no se encuentra
+ * Restaura tareas de la papelera
+ * @param {Array<string>} ids - IDs de las tareas
+ * @returns {Promise<number>} Cantidad de tareas restauradas
  */
-export async function updateTask(id, updates) {
+export async function restoreTasks(ids) {
   const userId = getCurrentUserId();
   const mode = getCurrentUserMode();
   
@@ -239,45 +1299,50 @@ export async function updateTask(id, updates) {
   }
 
   try {
-    let updatedTask;
-    
-    if (mode === 'guest') {
-      updatedTask = localStore.update(userId, id, updates);
-      if (updatedTask) {
-        const index = tasks.findIndex(t => t.id === id);
-        if (index > -1) {
-          tasks[index] = updatedTask;
-        }
-      }
-    } else if (mode === 'firebase') {
-      updatedTask = await updateFirestoreTask(userId, id, updates);
-      if (updatedTask) {
-        const index = tasks.findIndex(t => t.id === id);
-        if (index > -1) {
-          tasks[index] = updatedTask;
-        }
-      }
-    }
+    const restored = ids
+      .filter(id => getTaskById(id)?.deletedAt)
+      .filter(id => writeTaskUpdate(userId, mode, id, { deletedAt: null }))
+      .length;
     
-    if (updatedTask) {
+    if (restored > 0) {
       notifyTasksChange();
-      toast('Tarea actualizada correctamente');
+      toast(restored === 1 ? 'Tarea restaurada' : `${restored} tareas restauradas`);
     }
     
-    return updatedTask;
+    return restored;
   } catch (error) {
-    console.error('Error al actualizar tarea:', error);
-    toast('Error al actualizar la tarea');
+    console.error('Error al restaurar tareas:', error);
+    toast('Error al restaurar las tareas');
     throw error;
   }
 }
 
 /**
- * Elimina una tarea
+ * Elimina una tarea de forma definitiva junto con sus comentarios
+ * y su historial (sin notificar ni mostrar mensajes)
+ * @param {string} userId - ID del usuario
+ * @param {string} mode - 'guest' o 'firebase'
  * @param {string} id - ID de la tarea
- * @returns {Promise<boolean>} true si se eliminó correctamente
  */
-export async function removeTask(id) {
+function deleteTaskPermanently(userId, mode, id) {
+  if (mode === 'guest') {
+    localStore.remove(userId, id);
+    removeLocalTaskComments(userId, id);
+    removeLocalTaskActivity(userId, id);
+  } else if (mode === 'firebase') {
+    assignedTasks = assignedTasks.filter(t => t.id !== id);
+    queueFirestoreOperation(userId, { type: 'remove', taskId: id });
+  }
+  
+  tasks = tasks.filter(t => t.id !== id);
+}
+
+/**
+ * Elimina definitivamente tareas de la papelera
+ * @param {Array<string>} ids - IDs de las tareas
+ * @returns {Promise<number>} Cantidad de tareas eliminadas
+ */
+export async function purgeTasks(ids) {
   const userId = getCurrentUserId();
   const mode = getCurrentUserMode();
   
@@ -286,38 +1351,123 @@ export async function removeTask(id) {
   }
 
   try {
-    let success;
-    
-    if (mode === 'guest') {
-      success = localStore.remove(userId, id);
-      if (success) {
-        tasks = tasks.filter(t => t.id !== id);
-      }
-    } else if (mode === 'firebase') {
-      success = await removeFirestoreTask(userId, id);
-      if (success) {
-        tasks = tasks.filter(t => t.id !== id);
-      }
-    }
+    const trashedIds = ids.filter(id => getTaskById(id)?.deletedAt);
+    trashedIds.forEach(id => deleteTaskPermanently(userId, mode, id));
     
-    if (success) {
+    if (trashedIds.length > 0) {
       notifyTasksChange();
-      toast('Tarea eliminada correctamente');
+      toast(trashedIds.length === 1 ? 'Tarea eliminada definitivamente' : `${trashedIds.length} tareas eliminadas definitivamente`);
     }
     
-    return success;
+    return trashedIds.length;
   } catch (error) {
-    console.error('Error al eliminar tarea:', error);
-    toast('Error al eliminar la tarea');
+    console.error('Error al vaciar la papelera:', error);
+    toast('Error al eliminar las tareas');
     throw error;
   }
 }
 
+/**
+ * Elimina definitivamente las tareas propias que superaron los días de la papelera
+ * (sin notificar; se ejecuta al cargar las tareas y al cambiar la configuración)
+ * @returns {number} Cantidad de tareas eliminadas
+ */
+function purgeExpiredTasks() {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  if (!userId || !mode) return 0;
+  
+  const limit = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+  const expired = tasks.filter(t => t.deletedAt && t.deletedAt < limit && isOwnTask(t));
+  
+  expired.forEach(task => deleteTaskPermanently(userId, mode, task.id));
+  
+  if (expired.length > 0) {
+    console.log(`🗑️ ${expired.length} tareas eliminadas de la papelera por antigüedad`);
+  }
+  
+  return expired.length;
+}
+
+/**
+ * Calcula cómo reconciliar done y status en una tarea.
+ * En las tareas guardadas antes de que done se derivara del estado, la casilla cambiaba solo
+ * done, así que done manda, salvo que la tarea tenga un estado que la cierra distinto de
+ * "Completada" (p. ej. "Cancelada"), que solo se elegía a propósito. En los estados propios
+ * del usuario manda el estado (el usuario puede cambiar si cierra la tarea).
+ * @param {Object} task - Tarea
+ * @returns {Object|null} Campos a corregir ({ status, done }) o null si ya son coherentes
+ */
+export function reconcileTaskStatus(task) {
+  const done = !!task.done;
+  
+  if (!task.status) {
+    return { status: done ? COMPLETED_STATUS : REOPENED_STATUS, done };
+  }
+  
+  // Un estado desconocido (p. ej. uno propio que todavía no se cargó) se deja como está
+  const status = getStatusById(task.status);
+  if (status.id !== task.status || status.done === done) return null;
+  
+  if (!isBuiltInOption('statuses', status.id)) {
+    return { status: status.id, done: status.done };
+  }
+  
+  if (done) {
+    return { status: COMPLETED_STATUS, done };
+  }
+  
+  return status.id === COMPLETED_STATUS ? { status: REOPENED_STATUS, done } : { status: status.id, done: true };
+}
+
+/**
+ * Corrige las tareas propias con done y status incoherentes
+ * (sin notificar ni registrar actividad; se ejecuta al cargar las tareas)
+ * @returns {number} Cantidad de tareas corregidas
+ */
+function migrateTaskStatuses() {
+  const userId = getCurrentUserId();
+  const mode = getCurrentUserMode();
+  if (!userId || !mode) return 0;
+  
+  const fixes = tasks
+    .filter(isOwnTask)
+    .map(task => ({ id: task.id, updates: reconcileTaskStatus(task) }))
+    .filter(fix => fix.updates);
+  
+  if (fixes.length === 0) return 0;
+  
+  if (mode === 'firebase') {
+    fixes.forEach(({ id, updates }) => queueFirestoreUpdate(userId, id, updates));
+  } else {
+    const updatesById = new Map(fixes.map(fix => [fix.id, fix.updates]));
+    tasks = tasks.map(task => updatesById.has(task.id) ? { ...task, ...updatesById.get(task.id) } : task);
+    localStore.save(userId, tasks);
+  }
+  
+  console.log(`🔧 Estado reconciliado en ${fixes.length} tareas`);
+  return fixes.length;
+}
+
+/**
+ * Vuelve a derivar done del estado en las tareas propias
+ * (p. ej. cuando el usuario cambia si uno de sus estados cierra la tarea)
+ * @returns {number} Cantidad de tareas corregidas
+ */
+export function reconcileTaskStatuses() {
+  const count = migrateTaskStatuses();
+  if (count > 0) {
+    notifyTasksChange();
+  }
+  return count;
+}
+
 /**
  * Obtiene estadísticas de las tareas del usuario actual
  * @returns {Object} Estadísticas de las tareas
  */
 export function getTasksStats() {
+  const tasks = getActiveTasks();
   const total = tasks.length;
   const completed = tasks.filter(t => t.done).length;
   const pending = total - completed;
@@ -338,53 +1488,137 @@ export function getTasksStats() {
     t.dueDate > now && t.dueDate <= threeDaysFromNow
   ).length;
   
-  return { total, completed, pending, overdue, dueToday, dueSoon };
+  // Calcular avance de subtareas
+  const allSubtasks = tasks.flatMap(t => t.subtasks || []);
+  const subtasksTotal = allSubtasks.length;
+  const subtasksCompleted = allSubtasks.filter(st => st.done).length;
+  
+  return { total, completed, pending, overdue, dueToday, dueSoon, subtasksTotal, subtasksCompleted };
+}
+
+/**
+ * Obtiene el avance de las subtareas de una tarea
+ * @param {Object} task - Tarea
+ * @returns {{ done: number, total: number }} Subtareas completadas y totales
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  return { done: subtasks.filter(st => st.done).length, total: subtasks.length };
+}
+
+/**
+ * Cuenta las tareas abiertas y vencidas agrupadas por proyecto
+ * @param {Function} resolveProjectId - Función que devuelve el proyecto de una tarea (opcional)
+ * @returns {Object} Mapa { projectId: { open, overdue } }
+ */
+export function getTaskCountsByProject(resolveProjectId = (task) => task.projectId || 'inbox') {
+  const now = Date.now();
+  
+  return getActiveTasks().reduce((counts, task) => {
+    if (task.done) return counts;
+    
+    const projectId = resolveProjectId(task);
+    if (!counts[projectId]) {
+      counts[projectId] = { open: 0, overdue: 0 };
+    }
+    
+    counts[projectId].open++;
+    if (task.dueDate && task.dueDate < now) {
+      counts[projectId].overdue++;
+    }
+    
+    return counts;
+  }, {});
+}
+
+/**
+ * Registra un callback que recibe los contadores por proyecto cada vez que cambian las tareas
+ * @param {Function} callback - Función que recibe el mapa { projectId: { open, overdue } }
+ * @param {Function} resolveProjectId - Función que devuelve el proyecto de una tarea (opcional)
+ */
+export function onTaskCountsChange(callback, resolveProjectId) {
+  onTasksChange(() => callback(getTaskCountsByProject(resolveProjectId)));
+}
+
+/**
+ * Indica si un valor cumple un criterio de filtro (un ID o una lista de IDs)
+ * @param {string} value - Valor de la tarea
+ * @param {string|Array<string>} criterion - ID o lista de IDs aceptados (vacío para no filtrar)
+ * @returns {boolean} true si el valor es aceptado
+ */
+function matchesCriterion(value, criterion) {
+  if (Array.isArray(criterion)) {
+    return criterion.length === 0 || criterion.includes(value);
+  }
+  
+  return !criterion || value === criterion;
 }
 
 /**
  * Filtra las tareas según criterios
- * @param {Object} filters - Criterios de filtrado
+ * @param {Object} filters - Criterios de filtrado. category, priority y status
+ *   aceptan un ID o una lista de IDs; tag acepta una etiqueta o una lista (la tarea
+ *   debe tener alguna); search busca en el título y la descripción;
+ *   dueRange es un rango predefinido (ver dateRanges.js) y dueFrom/dueTo limitan
+ *   el vencimiento entre dos fechas (incluidas)
+ * @param {Array} list - Tareas a filtrar (por defecto todas las del usuario)
  * @returns {Array} Tareas filtradas
  */
-export function filterTasks(filters = {}) {
-  let filteredTasks = [...tasks];
+export function filterTasks(filters = {}, list = getActiveTasks()) {
+  let filteredTasks = [...list];
   
-  // Filtro por estado
-  if (filters.done !== undefined) {
-    filteredTasks = filteredTasks.filter(t => t.done === filters.done);
+  // Filtro por completadas/pendientes
+  if (filters.done !== undefined && filters.done !== null) {
+    filteredTasks = filteredTasks.filter(t => !!t.done === filters.done);
   }
   
   // Filtro por categoría
-  if (filters.category) {
-    filteredTasks = filteredTasks.filter(t => t.category === filters.category);
-  }
+  filteredTasks = filteredTasks.filter(t => matchesCriterion(getCategoryById(t.category).id, filters.category));
   
   // Filtro por prioridad
-  if (filters.priority) {
-    filteredTasks = filteredTasks.filter(t => t.priority === filters.priority);
-  }
+  filteredTasks = filteredTasks.filter(t => matchesCriterion(getPriorityById(t.priority).id, filters.priority));
   
   // Filtro por estado
-  if (filters.status) {
-    filteredTasks = filteredTasks.filter(t => t.status === filters.status);
+  filteredTasks = filteredTasks.filter(t => matchesCriterion(getStatusById(t.status).id, filters.status));
+  
+  // Filtro por etiqueta
+  const tagCriterion = [filters.tag || []].flat();
+  if (tagCriterion.length > 0) {
+    filteredTasks = filteredTasks.filter(t => (t.tags || []).some(tag => tagCriterion.includes(tag)));
   }
   
   // Filtro por texto
-  if (filters.search) {
-    const searchTerm = filters.search.toLowerCase();
+  if (filters.search && filters.search.trim()) {
+    const searchTerm = filters.search.toLowerCase().trim();
+    filteredTasks = filteredTasks.filter(t => 
+      t.title.toLowerCase().includes(searchTerm) ||
+      (t.description && t.description.toLowerCase().includes(searchTerm))
+    );
+  }
+  
+  // Filtro por rango de vencimiento (una tarea completada ya no está vencida)
+  if (filters.dueRange) {
     filteredTasks = filteredTasks.filter(t => 
-      t.title.toLowerCase().includes(searchTerm)
+      matchesDueRange(t.dueDate, filters.dueRange) && !(filters.dueRange === 'overdue' && t.done)
     );
   }
   
+  if (filters.dueFrom) {
+    filteredTasks = filteredTasks.filter(t => t.dueDate && t.dueDate >= filters.dueFrom);
+  }
+  
+  if (filters.dueTo) {
+    filteredTasks = filteredTasks.filter(t => t.dueDate && t.dueDate <= filters.dueTo);
+  }
+  
   // Ordenamiento
   if (filters.sortBy === 'createdAt') {
     filteredTasks.sort((a, b) => b.createdAt - a.createdAt);
   } else if (filters.sortBy === 'title') {
     filteredTasks.sort((a, b) => a.title.localeCompare(b.title));
   } else if (filters.sortBy === 'priority') {
-    const priorityOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
-    filteredTasks.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
+    // Las prioridades se ordenan según la lista del usuario (la última es la más importante)
+    filteredTasks.sort((a, b) => getPriorityRank(b.priority) - getPriorityRank(a.priority));
   } else if (filters.sortBy === 'dueDate') {
     filteredTasks.sort((a, b) => {
       if (!a.dueDate && !b.dueDate) return 0;
@@ -396,35 +1630,3 @@ export function filterTasks(filters = {}) {
   
   return filteredTasks;
 }
-
-/**
- * Limpia todas las tareas del usuario actual
- * @returns {Promise<void>}
- */
-export async function clearAllTasks() {
-  const userId = getCurrentUserId();
-  const mode = getCurrentUserMode();
-  
-  if (!userId || !mode) {
-    throw new Error('Usuario no autenticado');
-  }
-
-  try {
-    if (mode === 'guest') {
-      localStore.clear(userId);
-    } else if (mode === 'firebase') {
-      // Eliminar todas las tareas de Firestore
-      for (const task of tasks) {
-        await removeFirestoreTask(userId, task.id);
-      }
-    }
-    
-    tasks = [];
-    notifyTasksChange();
-    toast('Todas las tareas han sido eliminadas');
-  } catch (error) {
-    console.error('Error al limpiar tareas:', error);
-    toast('Error al limpiar las tareas');
-    throw error;
-  }
-}
@@ -1,9 +1,74 @@
 // Módulo para manejo de la interfaz de usuario
 
-import { $ } from '../utils/helpers.js';
+import { $, $$, toast, toDateInputValue, formatDate } from '../utils/helpers.js';
+import { RECURRENCE_FREQUENCIES, normalizeRecurrence, describeRecurrence } from '../utils/recurrence.js';
 import { getCurrentUser, getCurrentUserDisplayName, getCurrentUserPhotoURL } from './auth.js';
-import { getTasks, getTasksStats } from './tasks.js';
-import { getCategoryById, getPriorityById, getStatusById } from '../config/taskConfig.js';
+import {
+  getTasks,
+  getTaskById,
+  getTasksStats,
+  getSubtaskProgress,
+  isTaskPendingSync,
+  getTrashedTasks,
+  getTrashRetentionDays,
+  filterTasks,
+  getAllTags,
+  MAX_DESCRIPTION_LENGTH
+} from './tasks.js';
+import { TAG_COLORS, MAX_TAGS_PER_TASK, normalizeTag, getTagColor } from './tags.js';
+import { SORT_OPTIONS, getFilters, hasActiveFilters, toTaskFilterCriteria } from './taskFilters.js';
+import { BOARD_GROUPS, getLayout, sortByBoardOrder, getBoardOrderBetween } from './taskLayout.js';
+import {
+  WEEKDAY_NAMES,
+  addDays,
+  startOfDay,
+  getCalendarDays,
+  shiftCalendarDate,
+  formatCalendarDay,
+  getCalendarTitle
+} from '../utils/calendar.js';
+import { todayTimestamp } from '../utils/dateRanges.js';
+import { getUsers, getUserById } from './users.js';
+import { watchComments, stopCommentsSync, isOwnComment } from './comments.js';
+import {
+  ACTIVITY_ACTIONS,
+  watchActivity,
+  stopActivitySync,
+  getActivityActors,
+  filterActivityByActor
+} from './activity.js';
+import { 
+  CONFIG_KINDS,
+  COMPLETED_STATUS,
+  REOPENED_STATUS,
+  CONFIG_COLORS,
+  getConfigOptions,
+  getCategories, 
+  getPriorities, 
+  getStatuses,
+  getNextStatuses,
+  isBuiltInOption,
+  canTransitionStatus,
+  getPriorityRank,
+  getCategoryById, 
+  getPriorityById, 
+  getStatusById 
+} from '../config/taskConfig.js';
+import { 
+  filterTasksByProject, 
+  getCurrentProject,
+  canEditTask, 
+  canManageTask, 
+  canWriteToProject,
+  getTaskLocation
+} from './navigation.js';
+import { highlightRanges, getSnippet } from '../utils/textSearch.js';
+import {
+  renderMarkdown,
+  renderMarkdownPreview,
+  toggleMarkdownCheckbox,
+  countMarkdownCheckboxes
+} from '../utils/markdown.js';
 
 /**
  * Elementos DOM principales
@@ -17,6 +82,57 @@ const elements = {
   inputTitle: null
 };
 
+/**
+ * ID de la tarea abierta en el diálogo de edición
+ */
+let editingTaskId = null;
+
+/**
+ * Campo de la tarea y opciones de cada agrupación del tablero
+ * (las prioridades se muestran de la más importante a la menos importante)
+ */
+const BOARD_FIELDS = {
+  status: { field: 'status', getOptions: getStatuses, getById: getStatusById },
+  priority: { field: 'priority', getOptions: (options) => getPriorities(options).reverse(), getById: getPriorityById },
+  category: { field: 'category', getOptions: getCategories, getById: getCategoryById }
+};
+
+/**
+ * Tarea que se está arrastrando en el tablero
+ */
+let draggedBoardTaskId = null;
+
+/**
+ * Tarjeta que recupera el foco al volver a renderizar el tablero (después de moverla con el teclado)
+ */
+let focusedBoardTaskId = null;
+
+/**
+ * Tarea que se está arrastrando en el calendario
+ */
+let draggedCalendarTaskId = null;
+
+/**
+ * Tarea del calendario que recupera el foco al volver a renderizar (después de moverla con el teclado)
+ */
+let focusedCalendarTaskId = null;
+
+/**
+ * Historial de la tarea abierta (se vuelve a filtrar al cambiar de persona)
+ */
+let activityEntries = [];
+
+/**
+ * Etiquetas elegidas en cada selector de etiquetas, por ID del selector
+ */
+const tagPickerValues = {};
+
+/**
+ * Resultados mostrados en la búsqueda global y el seleccionado con el teclado
+ */
+let searchResults = [];
+let activeSearchIndex = 0;
+
 /**
  * Inicializa los elementos DOM
  */
@@ -27,6 +143,45 @@ export function initUI() {
   elements.taskList = $('#task-list');
   elements.emptyState = $('#empty-state');
   elements.inputTitle = $('#task-title');
+  
+  setupTaskEditor();
+  setupRecurrenceFields();
+  setupHistoryButtons();
+  setupFilterToolbar();
+  setupLayoutToolbar();
+  setupBoard();
+  setupCalendar();
+  setupGlobalSearch();
+  setupTagPicker('task-tag-picker');
+  setupTagPicker('edit-task-tag-picker');
+  setupTagSettings();
+  setupTaskConfigSettings();
+  renderTaskConfigSelects();
+}
+
+/**
+ * Configura los botones de deshacer y rehacer
+ */
+function setupHistoryButtons() {
+  $('#btn-undo')?.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('history-action', { detail: { action: 'undo' } }));
+  });
+  
+  $('#btn-redo')?.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('history-action', { detail: { action: 'redo' } }));
+  });
+}
+
+/**
+ * Habilita o deshabilita los botones de deshacer y rehacer
+ * @param {Object} state - { canUndo, canRedo }
+ */
+export function renderHistoryButtons({ canUndo, canRedo }) {
+  const undoBtn = $('#btn-undo');
+  const redoBtn = $('#btn-redo');
+  
+  if (undoBtn) undoBtn.disabled = !canUndo;
+  if (redoBtn) redoBtn.disabled = !canRedo;
 }
 
 /**
@@ -79,456 +234,830 @@ export function renderNavUser() {
 }
 
 /**
- * Renderiza la lista de tareas
+ * Renderiza la lista de tareas del proyecto actual, con los filtros y el orden elegidos
+ * @param {Array} allTasks - Lista de tareas (por defecto todas las del usuario)
+ * @returns {number} Cantidad de tareas mostradas
  */
-export function renderTasks() {
-  if (!elements.taskList || !elements.emptyState) return;
+export function renderTasks(allTasks = getTasks()) {
+  if (!elements.taskList || !elements.emptyState) return 0;
+  
+  const projectTasks = filterTasksByProject(allTasks);
+  const tasks = filterTasks(toTaskFilterCriteria(), projectTasks);
   
-  const tasks = getTasks();
+  // El tablero y el calendario muestran las mismas tareas (la papelera siempre se muestra como lista)
+  const { view } = getLayout();
+  const isTrash = getCurrentProject() === 'trash';
+  const showBoard = view === 'board' && !isTrash;
+  const showCalendar = view === 'calendar' && !isTrash;
   
   // Limpiar lista actual
   elements.taskList.innerHTML = '';
+  elements.taskList.classList.toggle('hidden', showBoard || showCalendar);
+  $('#task-board')?.classList.toggle('hidden', !showBoard);
+  $('#task-calendar')?.classList.toggle('hidden', !showCalendar);
+  
+  // Estado vacío: sin tareas en el proyecto o sin coincidencias con los filtros
+  elements.emptyState.classList.toggle('hidden', projectTasks.length > 0);
+  $('#filtered-empty-state')?.classList.toggle('hidden', projectTasks.length === 0 || tasks.length > 0);
+  
+  // El tablero y el calendario se muestran aunque estén vacíos: se puede soltar en
+  // una columna sin tarjetas o agregar una tarea desde un día libre
+  if (showBoard) {
+    renderBoard(tasks);
+    return tasks.length;
+  }
   
-  // Mostrar estado vacío si no hay tareas
-  if (!tasks || tasks.length === 0) {
-    elements.emptyState.classList.remove('hidden');
-    return;
+  if (showCalendar) {
+    renderCalendar(tasks);
+    return tasks.length;
   }
   
-  // Ocultar estado vacío
-  elements.emptyState.classList.add('hidden');
+  if (tasks.length === 0) return 0;
   
   // Renderizar cada tarea
   tasks.forEach(task => {
     const taskElement = createTaskElement(task);
     elements.taskList.appendChild(taskElement);
   });
+  
+  return tasks.length;
 }
 
 /**
- * Crea un elemento DOM para una tarea individual
- * @param {Object} task - Objeto tarea
- * @returns {HTMLLIElement} Elemento DOM de la tarea
+ * Configura los botones de vista (lista o tablero) y la agrupación del tablero
  */
-function createTaskElement(task) {
-  const li = document.createElement('li');
-  li.className = 'flex items-center justify-between gap-3 py-3 fade-in';
-  
-  // Contenedor izquierdo (checkbox + título)
-  const left = document.createElement('div');
-  left.className = 'flex items-center gap-3 flex-1';
-  
-  // Checkbox
-  const checkbox = document.createElement('input');
-  checkbox.type = 'checkbox';
-  checkbox.checked = !!task.done;
-  checkbox.className = 'h-5 w-5 rounded border-gray-300 text-brand-600 focus:ring-brand-500 cursor-pointer';
-  checkbox.addEventListener('change', () => {
-    window.dispatchEvent(new CustomEvent('task-toggle', { detail: { taskId: task.id } }));
+function setupLayoutToolbar() {
+  $$('.task-view-option').forEach(button => {
+    button.addEventListener('click', () => dispatchLayoutAction({ view: button.dataset.view }));
   });
   
-  // Título de la tarea
-  const title = document.createElement('span');
-  title.className = `text-sm flex-1 ${task.done ? 'line-through text-gray-400' : ''}`;
-  title.textContent = task.title;
-  
-  // Contenedor para metadatos de la tarea
-  const metadata = document.createElement('div');
-  metadata.className = 'flex items-center gap-2 mt-1';
-  
-  // Categoría
-  if (task.category && task.category !== 'other') {
-    const category = document.createElement('span');
-    const categoryConfig = getCategoryById(task.category);
-    category.className = `text-xs px-2 py-1 rounded-full ${categoryConfig.color} text-white`;
-    category.textContent = `${categoryConfig.icon} ${categoryConfig.name}`;
-    metadata.appendChild(category);
-  }
-  
-  // Prioridad
-  if (task.priority && task.priority !== 'medium') {
-    const priority = document.createElement('span');
-    const priorityConfig = getPriorityById(task.priority);
-    priority.className = `text-xs px-2 py-1 rounded-full ${priorityConfig.color} text-white`;
-    priority.textContent = `${priorityConfig.icon} ${priorityConfig.name}`;
-    metadata.appendChild(priority);
-  }
-  
-  // Estado
-  if (task.status && task.status !== 'pending') {
-    const status = document.createElement('span');
-    const statusConfig = getStatusById(task.status);
-    status.className = `text-xs px-2 py-1 rounded-full ${statusConfig.color} text-white`;
-    status.textContent = `${statusConfig.icon} ${statusConfig.name}`;
-    metadata.appendChild(status);
+  const groupSelect = $('#board-group-by');
+  if (groupSelect) {
+    BOARD_GROUPS.forEach(group => groupSelect.add(new Option(`Columnas: ${group.name}`, group.id)));
+    groupSelect.addEventListener('change', () => dispatchLayoutAction({ boardGroupBy: groupSelect.value }));
   }
   
-  // Fecha de vencimiento (si existe)
-  if (task.dueDate) {
-    const dueDate = document.createElement('span');
-    const now = Date.now();
-    const isOverdue = !task.done && task.dueDate < now;
-    const isDueToday = !task.done && new Date(task.dueDate).toDateString() === new Date().toDateString();
-    
-    dueDate.className = `text-xs px-2 py-1 rounded-full ${
-      isOverdue ? 'bg-red-100 text-red-700' :
-      isDueToday ? 'bg-orange-100 text-orange-700' :
-      'bg-blue-100 text-blue-700'
-    }`;
-    
-    dueDate.textContent = new Date(task.dueDate).toLocaleDateString('es-AR', {
-      month: 'short',
-      day: 'numeric'
-    });
-    
-    metadata.appendChild(dueDate);
-  }
+  $$('.calendar-mode-option').forEach(button => {
+    button.addEventListener('click', () => dispatchLayoutAction({ calendarMode: button.dataset.mode }));
+  });
   
-  // Agregar metadatos al contenedor izquierdo
-  left.append(checkbox, title);
-  if (metadata.children.length > 0) {
-    left.appendChild(metadata);
-  }
+  $('#calendar-prev')?.addEventListener('click', () => {
+    const { calendarDate, calendarMode } = getLayout();
+    dispatchLayoutAction({ calendarDate: shiftCalendarDate(calendarDate, calendarMode, -1) });
+  });
   
-  // Botón eliminar
-  const deleteBtn = document.createElement('button');
-  deleteBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-red-600 border-red-200 hover:bg-red-50 transition-colors';
-  deleteBtn.textContent = 'Eliminar';
-  deleteBtn.addEventListener('click', () => {
-    if (confirm('¿Estás seguro de que querés eliminar esta tarea?')) {
-      window.dispatchEvent(new CustomEvent('task-delete', { detail: { taskId: task.id } }));
-    }
+  $('#calendar-next')?.addEventListener('click', () => {
+    const { calendarDate, calendarMode } = getLayout();
+    dispatchLayoutAction({ calendarDate: shiftCalendarDate(calendarDate, calendarMode, 1) });
   });
   
-  li.append(left, deleteBtn);
-  return li;
+  $('#calendar-today')?.addEventListener('click', () => dispatchLayoutAction({ calendarDate: todayTimestamp() }));
+  
+  renderLayoutToolbar(getLayout());
 }
 
 /**
- * Renderiza las estadísticas de las tareas
- * @param {HTMLElement} container - Contenedor donde mostrar las estadísticas
+ * Dispara un cambio de vista
+ * @param {Object} updates - { view, boardGroupBy, calendarMode, calendarDate }
  */
-export function renderTaskStats(container) {
-  if (!container) return;
-  
-  const stats = getTasksStats();
-  
-  container.innerHTML = `
-    <div class="grid grid-cols-2 md:grid-cols-6 gap-3 text-center">
-      <div class="bg-blue-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-blue-600">${stats.total}</div>
-        <div class="text-xs text-blue-500">Total</div>
-      </div>
-      <div class="bg-green-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-green-600">${stats.completed}</div>
-        <div class="text-xs text-green-500">Completadas</div>
-      </div>
-      <div class="bg-yellow-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-yellow-600">${stats.pending}</div>
-        <div class="text-xs text-yellow-500">Pendientes</div>
-      </div>
-      <div class="bg-red-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-red-600">${stats.overdue}</div>
-        <div class="text-xs text-red-500">Vencidas</div>
-      </div>
-      <div class="bg-orange-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-orange-600">${stats.dueToday}</div>
-        <div class="text-xs text-orange-500">Vencen hoy</div>
-      </div>
-      <div class="bg-purple-50 p-3 rounded-lg">
-        <div class="text-xl font-bold text-purple-600">${stats.dueSoon}</div>
-        <div class="text-xs text-purple-500">Vencen pronto</div>
-      </div>
-    </div>
-  `;
+function dispatchLayoutAction(updates) {
+  window.dispatchEvent(new CustomEvent('layout-action', { detail: { updates } }));
 }
 
 /**
- * Muestra la vista de login
+ * Refleja la vista elegida en los botones de vista
+ * @param {Object} layout - Estado de la vista (ver taskLayout.js)
  */
-export function showLogin() {
-  const viewLogin = $('#view-login');
-  const mainApp = $('#main-app');
+export function renderLayoutToolbar(layout) {
+  $$('.task-view-option').forEach(button => {
+    const isSelected = button.dataset.view === layout.view;
+    button.classList.toggle('bg-brand-600', isSelected);
+    button.classList.toggle('text-white', isSelected);
+    button.classList.toggle('text-gray-600', !isSelected);
+    button.setAttribute('aria-pressed', String(isSelected));
+  });
   
-  if (viewLogin && mainApp) {
-    viewLogin.classList.remove('hidden');
-    mainApp.classList.add('hidden');
+  const groupSelect = $('#board-group-by');
+  if (groupSelect) {
+    groupSelect.value = layout.boardGroupBy;
+    groupSelect.classList.toggle('hidden', layout.view !== 'board');
   }
+  
+  $$('.calendar-mode-option').forEach(button => {
+    const isSelected = button.dataset.mode === layout.calendarMode;
+    button.classList.toggle('bg-brand-600', isSelected);
+    button.classList.toggle('text-white', isSelected);
+    button.classList.toggle('text-gray-600', !isSelected);
+    button.setAttribute('aria-pressed', String(isSelected));
+  });
+  
+  // El tablero usa su propio orden (el que se arma arrastrando las tarjetas) y el calendario ordena por día
+  $('#task-sort')?.classList.toggle('hidden', layout.view !== 'list');
 }
 
 /**
- * Muestra la vista principal de la aplicación
+ * Renderiza el tablero: una columna por estado, prioridad o categoría
+ * @param {Array} tasks - Tareas filtradas del proyecto actual
  */
-export function showApp() {
-  const viewLogin = $('#view-login');
-  const mainApp = $('#main-app');
-  const viewApp = $('#view-app');
+function renderBoard(tasks) {
+  const container = $('#task-board-columns');
+  if (!container) return;
   
-  if (viewLogin && mainApp && viewApp) {
-    viewLogin.classList.add('hidden');
-    mainApp.classList.remove('hidden');
-    viewApp.classList.remove('hidden');
+  const { field, getOptions, getById } = BOARD_FIELDS[getLayout().boardGroupBy];
+  const valueOf = (task) => getById(task[field]).id;
+  
+  // Opciones activas y las archivadas que todavía usa alguna tarea
+  const columns = getOptions({ include: tasks.map(valueOf) });
+  
+  container.innerHTML = '';
+  columns.forEach(option => {
+    const columnTasks = sortByBoardOrder(tasks.filter(task => valueOf(task) === option.id));
+    container.appendChild(createBoardColumn(option, columnTasks));
+  });
+  
+  if (focusedBoardTaskId) {
+    $$('.board-card', container).find(card => card.dataset.taskId === focusedBoardTaskId)?.focus();
+    focusedBoardTaskId = null;
   }
 }
 
 /**
- * Limpia el campo de entrada de tareas
+ * Crea una columna del tablero
+ * @param {Object} option - Estado, prioridad o categoría de la columna
+ * @param {Array} tasks - Tareas de la columna, ya ordenadas
+ * @returns {HTMLElement} Columna
  */
-export function clearTaskInput() {
-  if (elements.inputTitle) {
-    elements.inputTitle.value = '';
-    elements.inputTitle.focus();
-  }
+function createBoardColumn(option, tasks) {
+  const column = document.createElement('section');
+  column.className = 'board-column flex-shrink-0 w-72 bg-gray-50 rounded-xl border border-gray-200 flex flex-col';
+  column.dataset.columnValue = option.id;
+  column.setAttribute('aria-label', option.name);
+  
+  const header = document.createElement('header');
+  header.className = 'flex items-center justify-between gap-2 px-3 py-2 border-b border-gray-200';
+  
+  const title = document.createElement('h4');
+  title.className = 'flex items-center gap-2 text-sm font-medium text-gray-800 min-w-0 truncate';
+  
+  const dot = document.createElement('span');
+  dot.className = `w-2.5 h-2.5 rounded-full flex-shrink-0 ${option.color}`;
+  dot.setAttribute('aria-hidden', 'true');
+  title.append(dot, `${option.icon} ${option.name}${option.archived ? ' (opción archivada)' : ''}`);
+  
+  const count = document.createElement('span');
+  count.className = 'text-xs text-gray-500';
+  count.textContent = tasks.length;
+  
+  header.append(title, count);
+  
+  const list = document.createElement('ul');
+  list.className = 'board-cards flex-1 p-2 space-y-2 min-h-[5rem]';
+  tasks.forEach(task => list.appendChild(createBoardCard(task)));
+  
+  column.append(header, list);
+  return column;
 }
 
 /**
- * Obtiene el valor del campo de entrada de tareas
- * @returns {string} Valor del campo de entrada
+ * Crea la tarjeta de una tarea en el tablero
+ * @param {Object} task - Tarea
+ * @returns {HTMLLIElement} Tarjeta
  */
-export function getTaskInputValue() {
-  return elements.inputTitle ? elements.inputTitle.value : '';
+function createBoardCard(task) {
+  const isEditable = canEditTask(task);
+  const { boardGroupBy } = getLayout();
+  
+  const card = document.createElement('li');
+  card.className = `board-card bg-white rounded-lg border border-gray-200 p-3 shadow-sm space-y-2 focus:outline-none focus:ring-2 focus:ring-brand-500 ${isEditable ? 'cursor-grab' : ''}`;
+  card.dataset.taskId = task.id;
+  card.tabIndex = 0;
+  card.draggable = isEditable;
+  card.setAttribute('aria-describedby', 'task-board-hint');
+  
+  const title = document.createElement('p');
+  title.className = `text-sm ${task.done ? 'line-through text-gray-400' : 'text-gray-900'}`;
+  title.textContent = task.title;
+  card.appendChild(title);
+  
+  // Metadatos (sin repetir el campo que agrupa las columnas)
+  const metadata = document.createElement('div');
+  metadata.className = 'flex flex-wrap items-center gap-1.5';
+  
+  if (boardGroupBy !== 'category' && task.category && task.category !== 'other') {
+    metadata.appendChild(createConfigBadge(getCategoryById(task.category)));
+  }
+  
+  if (boardGroupBy !== 'priority' && task.priority && task.priority !== 'medium') {
+    metadata.appendChild(createConfigBadge(getPriorityById(task.priority)));
+  }
+  
+  if (boardGroupBy !== 'status' && task.status && task.status !== 'pending') {
+    metadata.appendChild(createConfigBadge(getStatusById(task.status)));
+  }
+  
+  if (task.dueDate) {
+    metadata.appendChild(createDueDateBadge(task));
+  }
+  
+  (task.tags || []).forEach(tag => metadata.appendChild(createTagBadge(tag)));
+  
+  const progress = getSubtaskProgress(task);
+  if (progress.total > 0) {
+    const subtasks = document.createElement('span');
+    subtasks.className = `text-xs px-2 py-1 rounded-full ${progress.done === progress.total ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'}`;
+    subtasks.textContent = `☑️ ${progress.done}/${progress.total}`;
+    subtasks.title = 'Subtareas completadas';
+    metadata.appendChild(subtasks);
+  }
+  
+  if (metadata.children.length > 0) {
+    card.appendChild(metadata);
+  }
+  
+  return card;
 }
 
 /**
- * Establece el valor del campo de entrada de tareas
- * @param {string} value - Valor a establecer
+ * Indica si una tarea se puede mover a una columna del tablero
+ * (en el tablero por estado solo se ofrecen las transiciones permitidas)
+ * @param {Object} task - Tarea
+ * @param {string} value - Valor de la columna
+ * @returns {boolean} true si se puede mover
  */
-export function setTaskInputValue(value) {
-  if (elements.inputTitle) {
-    elements.inputTitle.value = value;
-  }
+function canMoveToColumn(task, value) {
+  if (!task || !canEditTask(task)) return false;
+  return getLayout().boardGroupBy !== 'status' || canTransitionStatus(task.status, value);
 }
 
 /**
- * Limpia el campo de fecha de vencimiento
+ * Dispara el movimiento de una tarjeta a una columna, entre otras dos tarjetas
+ * @param {string} taskId - ID de la tarea movida
+ * @param {string} value - Valor de la columna de destino
+ * @param {string|undefined} previousId - Tarjeta que queda arriba
+ * @param {string|undefined} nextId - Tarjeta que queda abajo
  */
-export function clearTaskForm() {
-  clearTaskInput();
-  clearTaskDueDate();
+function moveBoardTask(taskId, value, previousId, nextId) {
+  const task = getTaskById(taskId);
+  if (!task) return;
   
-  // Resetear selects a valores por defecto
-  const categorySelect = $('#task-category');
-  const prioritySelect = $('#task-priority');
+  const { field, getById } = BOARD_FIELDS[getLayout().boardGroupBy];
+  const updates = {
+    boardOrder: getBoardOrderBetween(previousId ? getTaskById(previousId) : null, nextId ? getTaskById(nextId) : null)
+  };
   
-  if (categorySelect) categorySelect.value = 'other';
-  if (prioritySelect) prioritySelect.value = 'medium';
-}
-
-/**
- * Limpia el campo de fecha de vencimiento
- */
-export function clearTaskDueDate() {
-  const dueDateInput = $('#task-due-date');
-  if (dueDateInput) {
-    dueDateInput.value = '';
+  if (getById(task[field]).id !== value) {
+    updates[field] = value;
   }
+  
+  window.dispatchEvent(new CustomEvent('board-move', { detail: { taskId, updates } }));
 }
 
 /**
- * Obtiene el valor del campo de fecha de vencimiento
- * @returns {string} Valor de la fecha o string vacío
+ * Anuncia un movimiento hecho con el teclado a los lectores de pantalla
+ * @param {string} message - Texto a anunciar
  */
-export function getTaskDueDate() {
-  const dueDateInput = $('#task-due-date');
-  return dueDateInput ? dueDateInput.value : '';
+function announceBoardMove(message) {
+  const status = $('#task-board-status');
+  if (status) {
+    status.textContent = message;
+  }
 }
 
 /**
- * Obtiene el valor del campo de categoría
- * @returns {string} Valor de la categoría
+ * Ubica la marca de destino dentro de una columna según la posición del puntero
+ * @param {HTMLElement} column - Columna bajo el puntero
+ * @param {number} clientY - Posición vertical del puntero
  */
-export function getTaskCategory() {
-  const categorySelect = $('#task-category');
-  return categorySelect ? categorySelect.value : 'other';
+function placeBoardDropIndicator(column, clientY) {
+  const list = $('.board-cards', column);
+  let indicator = $('.board-drop-indicator');
+  
+  if (!indicator) {
+    indicator = document.createElement('li');
+    indicator.className = 'board-drop-indicator';
+    indicator.setAttribute('aria-hidden', 'true');
+  }
+  
+  const next = $$('.board-card', list).find(card => {
+    const rect = card.getBoundingClientRect();
+    return card.dataset.taskId !== draggedBoardTaskId && clientY < rect.top + rect.height / 2;
+  });
+  
+  if (next) {
+    if (indicator.nextElementSibling !== next) list.insertBefore(indicator, next);
+  } else if (list.lastElementChild !== indicator) {
+    list.appendChild(indicator);
+  }
 }
 
 /**
- * Obtiene el valor del campo de prioridad
- * @returns {string} Valor de la prioridad
+ * Limpia las marcas de un arrastre terminado o cancelado
  */
-export function getTaskPriority() {
-  const prioritySelect = $('#task-priority');
-  return prioritySelect ? prioritySelect.value : 'medium';
+function clearBoardDrag() {
+  draggedBoardTaskId = null;
+  $('.board-drop-indicator')?.remove();
+  $$('.board-card.opacity-50').forEach(card => card.classList.remove('opacity-50'));
+  $$('.board-column-disabled').forEach(column => column.classList.remove('board-column-disabled'));
 }
 
-
-
 /**
- * Muestra un mensaje de error en el campo de entrada
- * @param {string} message - Mensaje de error
+ * Configura el arrastre de tarjetas, los atajos de teclado y la apertura de tareas del tablero
  */
-export function showInputError(message) {
-  if (elements.inputTitle) {
-    elements.inputTitle.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+function setupBoard() {
+  const container = $('#task-board-columns');
+  if (!container) return;
+  
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('button')) return;
     
-    // Remover clases de error después de un tiempo
-    setTimeout(() => {
-      elements.inputTitle.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
-    }, 3000);
-  }
+    const task = getTaskById(e.target.closest('.board-card')?.dataset.taskId);
+    if (task && canEditTask(task)) {
+      openTaskEditor(task);
+    }
+  });
+  
+  container.addEventListener('dragstart', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+    
+    const task = getTaskById(card.dataset.taskId);
+    draggedBoardTaskId = card.dataset.taskId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedBoardTaskId);
+    card.classList.add('opacity-50');
+    
+    // Atenuar las columnas a las que la tarea no puede pasar
+    $$('.board-column', container).forEach(column => {
+      column.classList.toggle('board-column-disabled', !canMoveToColumn(task, column.dataset.columnValue));
+    });
+  });
+  
+  container.addEventListener('dragover', (e) => {
+    const column = e.target.closest('.board-column');
+    if (!draggedBoardTaskId || !column || column.classList.contains('board-column-disabled')) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    placeBoardDropIndicator(column, e.clientY);
+  });
+  
+  container.addEventListener('drop', (e) => {
+    const column = e.target.closest('.board-column');
+    if (!draggedBoardTaskId || !column || column.classList.contains('board-column-disabled')) return;
+    
+    e.preventDefault();
+    
+    // Posición final: las tarjetas de la columna con la marca de destino en lugar de la tarjeta movida
+    const taskId = draggedBoardTaskId;
+    const items = [...$('.board-cards', column).children];
+    const before = items.filter(item => item.classList.contains('board-card')).map(item => item.dataset.taskId);
+    const after = items
+      .filter(item => item.classList.contains('board-drop-indicator') || item.dataset.taskId !== taskId)
+      .map(item => item.classList.contains('board-drop-indicator') ? taskId : item.dataset.taskId);
+    const position = after.indexOf(taskId);
+    
+    clearBoardDrag();
+    
+    // Soltar la tarjeta en el mismo lugar no cambia nada
+    if (position === -1 || before.join() === after.join()) return;
+    moveBoardTask(taskId, column.dataset.columnValue, after[position - 1], after[position + 1]);
+  });
+  
+  container.addEventListener('dragend', clearBoardDrag);
+  
+  container.addEventListener('keydown', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+    
+    const task = getTaskById(card.dataset.taskId);
+    
+    if (e.key === 'Enter') {
+      if (task && canEditTask(task)) openTaskEditor(task);
+      return;
+    }
+    
+    const vertical = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    const horizontal = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (!vertical && !horizontal) return;
+    
+    e.preventDefault();
+    
+    const columns = $$('.board-column', container);
+    const column = card.closest('.board-column');
+    const cards = $$('.board-card', column);
+    const index = cards.indexOf(card);
+    const columnIndex = columns.indexOf(column);
+    
+    // Sin Alt, las flechas recorren las tarjetas
+    if (!e.altKey) {
+      if (vertical) {
+        cards[index + vertical]?.focus();
+      } else {
+        const targetCards = columns[columnIndex + horizontal] ? $$('.board-card', columns[columnIndex + horizontal]) : [];
+        targetCards[Math.min(index, targetCards.length - 1)]?.focus();
+      }
+      return;
+    }
+    
+    if (!task || !canEditTask(task)) return;
+    
+    if (vertical) {
+      // Subir deja la tarjeta entre las dos de arriba; bajar, entre las dos de abajo
+      if (!cards[index + vertical]) return;
+      
+      const ids = cards.map(c => c.dataset.taskId);
+      const previousId = vertical < 0 ? ids[index - 2] : ids[index + 1];
+      const nextId = vertical < 0 ? ids[index - 1] : ids[index + 2];
+      
+      focusedBoardTaskId = task.id;
+      moveBoardTask(task.id, column.dataset.columnValue, previousId, nextId);
+      announceBoardMove(`${task.title}: posición ${index + 1 + vertical} de ${cards.length}`);
+      return;
+    }
+    
+    // A los costados pasa a la columna permitida más cercana, arriba de todo
+    let target = columns[columnIndex + horizontal];
+    while (target && !canMoveToColumn(task, target.dataset.columnValue)) {
+      target = columns[columns.indexOf(target) + horizontal];
+    }
+    if (!target) return;
+    
+    focusedBoardTaskId = task.id;
+    moveBoardTask(task.id, target.dataset.columnValue, undefined, $('.board-card', target)?.dataset.taskId);
+    announceBoardMove(`${task.title}: movida a ${target.getAttribute('aria-label')}`);
+  });
 }
 
 /**
- * Actualiza el estado de carga de la interfaz
- * @param {boolean} isLoading - true si está cargando
+ * Renderiza el calendario del mes o de la semana con las tareas que vencen en cada día
+ * @param {Array} tasks - Tareas filtradas del proyecto actual
  */
-export function setLoadingState(isLoading) {
-  const addButton = $('#btn-add-task');
-  if (addButton) {
-    addButton.disabled = isLoading;
-    addButton.textContent = isLoading ? 'Agregando...' : 'Agregar';
+function renderCalendar(tasks) {
+  const grid = $('#task-calendar-grid');
+  if (!grid) return;
+  
+  const { calendarDate, calendarMode } = getLayout();
+  const days = getCalendarDays(calendarDate, calendarMode);
+  const currentMonth = new Date(calendarDate).getUTCMonth();
+  
+  $('#calendar-title').textContent = getCalendarTitle(calendarDate, calendarMode);
+  
+  // Tareas por día: primero las pendientes y, dentro de cada grupo, de la prioridad más alta a la más baja
+  const tasksByDay = new Map();
+  tasks.filter(task => task.dueDate).forEach(task => {
+    const day = startOfDay(task.dueDate);
+    tasksByDay.set(day, [...(tasksByDay.get(day) || []), task]);
+  });
+  tasksByDay.forEach(list => list.sort((a, b) =>
+    Number(!!a.done) - Number(!!b.done) || getPriorityRank(b.priority) - getPriorityRank(a.priority)
+  ));
+  
+  grid.innerHTML = '';
+  WEEKDAY_NAMES.forEach(name => {
+    const header = document.createElement('div');
+    header.className = 'px-2 py-1 border-r border-b border-gray-200 bg-gray-50 text-xs font-medium text-gray-500 text-center';
+    header.textContent = name;
+    grid.appendChild(header);
+  });
+  
+  days.forEach(day => {
+    const isOutside = calendarMode === 'month' && new Date(day).getUTCMonth() !== currentMonth;
+    grid.appendChild(createCalendarDay(day, tasksByDay.get(day) || [], { isOutside, isWeek: calendarMode === 'week' }));
+  });
+  
+  // Las tareas sin fecha no tienen lugar en el calendario
+  const undatedCount = tasks.filter(task => !task.dueDate).length;
+  const undated = $('#task-calendar-undated');
+  if (undated) {
+    undated.textContent = undatedCount === 1
+      ? '1 tarea sin fecha de vencimiento no aparece en el calendario.'
+      : `${undatedCount} tareas sin fecha de vencimiento no aparecen en el calendario.`;
+    undated.classList.toggle('hidden', undatedCount === 0);
   }
   
-  if (elements.inputTitle) {
-    elements.inputTitle.disabled = isLoading;
+  // Si el calendario cambió de período antes de mover la tarea, el foco espera al siguiente renderizado
+  const focusedItem = focusedCalendarTaskId && $$('.calendar-task', grid).find(item => item.dataset.taskId === focusedCalendarTaskId);
+  if (focusedItem) {
+    focusedItem.focus();
+    focusedCalendarTaskId = null;
   }
 }
 
 /**
- * Actualiza el título de la página
- * @param {string} title - Nuevo título
+ * Crea la celda de un día del calendario
+ * @param {number} day - Timestamp del día
+ * @param {Array} tasks - Tareas que vencen ese día, ya ordenadas
+ * @param {Object} options - { isOutside: día de otro mes, isWeek: vista semanal }
+ * @returns {HTMLElement} Celda del día
  */
-export function updatePageTitle(title) {
-  if (title) {
-    document.title = `${title} - Agenda Base`;
-  } else {
-    document.title = 'Agenda Base';
-  }
+function createCalendarDay(day, tasks, { isOutside, isWeek }) {
+  const isToday = day === todayTimestamp();
+  const label = formatCalendarDay(day, { weekday: 'long', day: 'numeric', month: 'long' });
+  
+  const cell = document.createElement('div');
+  cell.className = `calendar-day flex flex-col gap-1 p-1.5 border-r border-b border-gray-200 cursor-pointer transition-colors hover:bg-gray-50 ${isWeek ? 'min-h-[16rem]' : 'min-h-[6rem]'} ${isOutside ? 'bg-gray-50/60' : 'bg-white'}`;
+  cell.dataset.day = day;
+  
+  // Botón del número del día: agrega una tarea que vence ese día
+  const add = document.createElement('button');
+  add.className = `calendar-day-add self-end w-6 h-6 rounded-full text-xs focus:outline-none focus:ring-2 focus:ring-brand-500 ${
+    isToday ? 'bg-brand-600 text-white font-semibold' : isOutside ? 'text-gray-400 hover:bg-gray-100' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+  add.textContent = new Date(day).getUTCDate();
+  add.title = `Agregar tarea para el ${label}`;
+  add.setAttribute('aria-label', `${label}${tasks.length ? `, ${tasks.length} ${tasks.length === 1 ? 'tarea' : 'tareas'}` : ''}. Agregar tarea para este día`);
+  cell.appendChild(add);
+  
+  const list = document.createElement('ul');
+  list.className = 'space-y-1 min-w-0';
+  list.setAttribute('aria-label', `Tareas del ${label}`);
+  tasks.forEach(task => list.appendChild(createCalendarTask(task)));
+  cell.appendChild(list);
+  
+  return cell;
 }
 
 /**
- * Renderiza un mensaje de bienvenida personalizado
- * @param {HTMLElement} container - Contenedor donde mostrar el mensaje
+ * Crea una tarea dentro de un día del calendario (color según prioridad y vencimiento)
+ * @param {Object} task - Tarea con dueDate
+ * @returns {HTMLLIElement} Elemento de la tarea
  */
-export function renderWelcomeMessage(container) {
-  if (!container) return;
-  
-  const user = getCurrentUser();
-  if (!user) return;
-  
-  const timeOfDay = new Date().getHours();
-  let greeting = '¡Hola';
+function createCalendarTask(task) {
+  const isEditable = canEditTask(task);
+  const priority = getPriorityById(task.priority);
+  const status = getStatusById(task.status);
+  
+  const item = document.createElement('li');
+  item.className = `calendar-task flex items-center gap-1.5 px-1.5 py-0.5 rounded text-xs focus:outline-none focus:ring-2 focus:ring-brand-500 ${
+    task.done ? 'bg-gray-100 text-gray-400 line-through' : getDueDateColor(task)
+  } ${isEditable ? 'cursor-grab' : ''}`;
+  item.dataset.taskId = task.id;
+  item.tabIndex = 0;
+  item.draggable = isEditable;
+  item.title = `${task.title} · ${priority.name} · ${status.name}`;
+  item.setAttribute('aria-describedby', 'task-calendar-hint');
+  
+  const dot = document.createElement('span');
+  dot.className = `w-2 h-2 rounded-full flex-shrink-0 ${priority.color}`;
+  dot.setAttribute('aria-hidden', 'true');
   
-  if (timeOfDay < 12) {
-    greeting += ' buenos días';
-  } else if (timeOfDay < 18) {
-    greeting += ' buenas tardes';
-  } else {
-    greeting += ' buenas noches';
-  }
+  const title = document.createElement('span');
+  title.className = 'truncate';
+  title.textContent = task.title;
   
-  container.innerHTML = `
-    <div class="text-center py-4">
-      <h2 class="text-xl font-semibold text-gray-800">${greeting}, ${user.displayName}!</h2>
-      <p class="text-gray-600">¿Qué tareas tenés para hoy?</p>
-    </div>
-  `;
+  item.append(dot, title);
+  return item;
 }
 
 /**
- * Renderiza la lista de usuarios del sistema
- * @param {Array} users - Lista de usuarios a renderizar
+ * Prepara el formulario de nueva tarea con una fecha de vencimiento
+ * @param {number} day - Timestamp del día elegido en el calendario
  */
-export function renderUsers(users) {
-  const usersList = $('#users-list');
-  const usersEmptyState = $('#users-empty-state');
-  const userCount = $('#user-count');
+function quickAddTaskOn(day) {
+  const dueDateInput = $('#task-due-date');
+  const titleInput = $('#task-title');
+  if (!dueDateInput || !titleInput) return;
   
-  if (!usersList || !usersEmptyState || !userCount) return;
+  dueDateInput.value = toDateInputValue(day);
+  titleInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  titleInput.focus({ preventScroll: true });
+  toast(`Nueva tarea para el ${formatCalendarDay(day, { day: 'numeric', month: 'long' })}`);
+}
+
+/**
+ * Dispara el cambio de vencimiento de una tarea movida en el calendario
+ * @param {Object} task - Tarea movida
+ * @param {number} day - Timestamp del día de destino
+ */
+function moveCalendarTask(task, day) {
+  if (startOfDay(task.dueDate) === day) return;
+  window.dispatchEvent(new CustomEvent('calendar-move', { detail: { taskId: task.id, dueDate: day } }));
+}
+
+/**
+ * Configura el arrastre de tareas entre días, los atajos de teclado y el alta rápida del calendario
+ */
+function setupCalendar() {
+  const grid = $('#task-calendar-grid');
+  if (!grid) return;
+  
+  grid.addEventListener('click', (e) => {
+    const item = e.target.closest('.calendar-task');
+    if (item) {
+      const task = getTaskById(item.dataset.taskId);
+      if (task && canEditTask(task)) openTaskEditor(task);
+      return;
+    }
+    
+    const cell = e.target.closest('.calendar-day');
+    if (cell) {
+      quickAddTaskOn(Number(cell.dataset.day));
+    }
+  });
   
-  // Actualizar contador
-  userCount.textContent = `(${users.length})`;
+  grid.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.calendar-task');
+    if (!item) return;
+    
+    draggedCalendarTaskId = item.dataset.taskId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedCalendarTaskId);
+    item.classList.add('opacity-50');
+  });
   
-  // Limpiar lista actual
-  usersList.innerHTML = '';
+  grid.addEventListener('dragover', (e) => {
+    const cell = e.target.closest('.calendar-day');
+    if (!draggedCalendarTaskId || !cell) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    $$('.calendar-day.ring-2', grid).forEach(other => other !== cell && other.classList.remove('ring-2', 'ring-inset', 'ring-brand-500'));
+    cell.classList.add('ring-2', 'ring-inset', 'ring-brand-500');
+  });
   
-  // Mostrar estado vacío si no hay usuarios
-  if (!users || users.length === 0) {
-    usersEmptyState.classList.remove('hidden');
-    return;
-  }
+  grid.addEventListener('drop', (e) => {
+    const cell = e.target.closest('.calendar-day');
+    const task = getTaskById(draggedCalendarTaskId);
+    if (!task || !cell) return;
+    
+    e.preventDefault();
+    clearCalendarDrag();
+    moveCalendarTask(task, Number(cell.dataset.day));
+  });
   
-  // Ocultar estado vacío
-  usersEmptyState.classList.add('hidden');
+  grid.addEventListener('dragend', clearCalendarDrag);
   
-  // Renderizar cada usuario
-  users.forEach(user => {
-    const userElement = createUserElement(user);
-    usersList.appendChild(userElement);
+  grid.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.calendar-task');
+    if (!item) return;
+    
+    const task = getTaskById(item.dataset.taskId);
+    if (!task || !canEditTask(task)) return;
+    
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      openTaskEditor(task);
+      return;
+    }
+    
+    // Alt + flechas: un día a los costados, una semana arriba o abajo
+    const offset = e.altKey && { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+    if (!offset) return;
+    
+    e.preventDefault();
+    
+    const day = addDays(startOfDay(task.dueDate), offset);
+    focusedCalendarTaskId = task.id;
+    
+    // Si la tarea sale del período visible, el calendario la acompaña
+    if (!$$('.calendar-day', grid).some(cell => Number(cell.dataset.day) === day)) {
+      dispatchLayoutAction({ calendarDate: day });
+    }
+    
+    moveCalendarTask(task, day);
+    
+    const status = $('#task-calendar-status');
+    if (status) {
+      status.textContent = `${task.title}: vence el ${formatCalendarDay(day, { weekday: 'long', day: 'numeric', month: 'long' })}`;
+    }
   });
 }
 
 /**
- * Renderiza las tareas prioritarias (vencidas + de hoy)
- * @param {Array} tasks - Lista de tareas
+ * Limpia las marcas de un arrastre del calendario terminado o cancelado
  */
-export function renderPriorityTasks(tasks) {
-  const priorityList = $('#priority-tasks-list');
-  const priorityEmpty = $('#priority-tasks-empty');
+function clearCalendarDrag() {
+  draggedCalendarTaskId = null;
+  $$('.calendar-task.opacity-50').forEach(item => item.classList.remove('opacity-50'));
+  $$('.calendar-day.ring-2').forEach(cell => cell.classList.remove('ring-2', 'ring-inset', 'ring-brand-500'));
+}
+
+/**
+ * Dispara una acción sobre los filtros de la lista de tareas
+ * @param {Object} detail - { action: 'set'|'toggle'|'reset', updates, field, value }
+ */
+function dispatchFilterAction(detail) {
+  window.dispatchEvent(new CustomEvent('filter-action', { detail }));
+}
+
+/**
+ * Configura la barra de filtros y orden de la lista de tareas
+ */
+function setupFilterToolbar() {
+  const sortSelect = $('#task-sort');
+  if (sortSelect) {
+    SORT_OPTIONS.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.id;
+      element.textContent = `Orden: ${option.name}`;
+      sortSelect.appendChild(element);
+    });
+    
+    sortSelect.addEventListener('change', () => {
+      dispatchFilterAction({ action: 'set', updates: { sortBy: sortSelect.value } });
+    });
+  }
   
-  if (!priorityList || !priorityEmpty) return;
+  $('#task-filter-search')?.addEventListener('input', (e) => {
+    dispatchFilterAction({ action: 'set', updates: { search: e.target.value } });
+  });
   
-  // Filtrar tareas prioritarias
-  const now = Date.now();
-  const today = new Date().toDateString();
+  $$('.filter-done-option').forEach(button => {
+    button.addEventListener('click', () => {
+      const value = button.dataset.value;
+      dispatchFilterAction({ action: 'set', updates: { done: value === '' ? null : value === 'true' } });
+    });
+  });
   
-  const priorityTasks = tasks.filter(task => {
-    if (task.done) return false; // No mostrar tareas completadas
-    
-    if (task.dueDate) {
-      const dueDate = new Date(task.dueDate);
-      const isOverdue = dueDate.getTime() < now;
-      const isDueToday = dueDate.toDateString() === today;
-      return isOverdue || isDueToday;
-    }
-    
-    return false;
+  ['#btn-clear-filters', '#btn-clear-filters-empty'].forEach(selector => {
+    $(selector)?.addEventListener('click', () => dispatchFilterAction({ action: 'reset' }));
   });
   
-  // Limpiar lista actual
-  priorityList.innerHTML = '';
+  renderFilterToolbar(getFilters());
+}
+
+/**
+ * Renderiza un grupo de chips de selección múltiple
+ * @param {HTMLElement} container - Contenedor de los chips
+ * @param {string} field - 'categories', 'priorities', 'statuses' o 'tags'
+ * @param {Array} options - Opciones ({ id, name, icon, color })
+ * @param {Array<string>} selected - IDs elegidos
+ */
+function renderFilterChips(container, field, options, selected) {
+  if (!container) return;
   
-  // Mostrar estado vacío si no hay tareas prioritarias
-  if (priorityTasks.length === 0) {
-    priorityEmpty.classList.remove('hidden');
-    return;
+  container.innerHTML = '';
+  
+  options.forEach(option => {
+    const isSelected = selected.includes(option.id);
+    const chip = document.createElement('button');
+    chip.className = `text-xs px-2 py-1 rounded-full border transition-colors ${
+      isSelected ? `${option.color} text-white border-transparent` : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+    }`;
+    chip.textContent = `${option.icon} ${option.name}`;
+    chip.setAttribute('aria-pressed', String(isSelected));
+    chip.addEventListener('click', () => dispatchFilterAction({ action: 'toggle', field, value: option.id }));
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Refleja el estado de los filtros en la barra de filtros
+ * @param {Object} filters - Estado de los filtros (ver taskFilters.js)
+ */
+export function renderFilterToolbar(filters) {
+  // Opciones activas (y las archivadas que siguen elegidas)
+  renderFilterChips($('#task-filter-categories'), 'categories', getCategories({ include: filters.categories }), filters.categories);
+  renderFilterChips($('#task-filter-priorities'), 'priorities', getPriorities({ include: filters.priorities }), filters.priorities);
+  renderFilterChips($('#task-filter-statuses'), 'statuses', getStatuses({ include: filters.statuses }), filters.statuses);
+  
+  // Etiquetas en uso (y las elegidas aunque ya no las use ninguna tarea)
+  const tagNames = [...new Set([...getAllTags().map(tag => tag.name), ...filters.tags])];
+  const tagOptions = tagNames.map(name => ({ id: name, name, icon: '🏷️', color: getTagColor(name).solid }));
+  renderFilterChips($('#task-filter-tags'), 'tags', tagOptions, filters.tags);
+  $('#task-filter-tags')?.classList.toggle('hidden', tagOptions.length === 0);
+  
+  // No pisar lo que se está escribiendo en la búsqueda
+  const searchInput = $('#task-filter-search');
+  if (searchInput && document.activeElement !== searchInput) {
+    searchInput.value = filters.search;
   }
   
-  // Ocultar estado vacío
-  priorityEmpty.classList.add('hidden');
+  const sortSelect = $('#task-sort');
+  if (sortSelect) {
+    sortSelect.value = filters.sortBy;
+  }
   
-  // Ordenar: primero vencidas, luego las de hoy
-  priorityTasks.sort((a, b) => {
-    if (!a.dueDate && !b.dueDate) return 0;
-    if (!a.dueDate) return 1;
-    if (!b.dueDate) return -1;
-    
-    const aIsOverdue = a.dueDate < now;
-    const bIsOverdue = b.dueDate < now;
-    
-    if (aIsOverdue && !bIsOverdue) return -1;
-    if (!aIsOverdue && bIsOverdue) return 1;
-    
-    return a.dueDate - b.dueDate;
+  const doneValue = filters.done === null ? '' : String(filters.done);
+  $$('.filter-done-option').forEach(button => {
+    const isSelected = button.dataset.value === doneValue;
+    button.classList.toggle('bg-brand-600', isSelected);
+    button.classList.toggle('text-white', isSelected);
+    button.classList.toggle('text-gray-600', !isSelected);
+    button.setAttribute('aria-pressed', String(isSelected));
   });
   
-  // Renderizar cada tarea prioritaria
-  priorityTasks.forEach(task => {
-    const taskElement = createPriorityTaskElement(task);
-    priorityList.appendChild(taskElement);
-  });
+  $('#btn-clear-filters')?.classList.toggle('hidden', !hasActiveFilters());
 }
 
 /**
- * Crea un elemento DOM para una tarea prioritaria
+ * Crea un elemento DOM para una tarea individual
  * @param {Object} task - Objeto tarea
- * @returns {HTMLElement} Elemento DOM de la tarea prioritaria
+ * @returns {HTMLLIElement} Elemento DOM de la tarea
  */
-function createPriorityTaskElement(task) {
-  const div = document.createElement('div');
-  div.className = 'flex items-center justify-between gap-4 p-4 hover:bg-orange-50 transition-colors';
+function createTaskElement(task) {
+  if (task.deletedAt) {
+    return createTrashedTaskElement(task);
+  }
   
-  // Contenedor izquierdo (checkbox + título + fecha)
+  const li = document.createElement('li');
+  li.className = 'flex items-center justify-between gap-3 py-3 fade-in';
+  li.dataset.taskId = task.id;
+  
+  // Los lectores de una lista compartida solo pueden ver la tarea
+  const isEditable = canEditTask(task);
+  
+  // Contenedor izquierdo (checkbox + título)
   const left = document.createElement('div');
   left.className = 'flex items-center gap-3 flex-1';
   
@@ -536,164 +1065,2288 @@ function createPriorityTaskElement(task) {
   const checkbox = document.createElement('input');
   checkbox.type = 'checkbox';
   checkbox.checked = !!task.done;
-  checkbox.className = 'h-5 w-5 rounded border-gray-300 text-brand-600 focus:ring-brand-500 cursor-pointer';
+  checkbox.disabled = !isEditable;
+  checkbox.className = 'h-5 w-5 rounded border-gray-300 text-brand-600 focus:ring-brand-500 cursor-pointer disabled:cursor-not-allowed disabled:opacity-50';
+  if (isEditable) disableBlockedToggle(checkbox, task);
   checkbox.addEventListener('change', () => {
     window.dispatchEvent(new CustomEvent('task-toggle', { detail: { taskId: task.id } }));
   });
   
-  // Título de la tarea
+  // Título de la tarea (abre el diálogo de edición)
   const title = document.createElement('span');
-  title.className = `text-sm flex-1 ${task.done ? 'line-through text-gray-400' : 'font-medium'}`;
+  title.className = `text-sm flex-1 ${isEditable ? 'cursor-pointer hover:text-brand-600' : ''} ${task.done ? 'line-through text-gray-400' : ''}`;
   title.textContent = task.title;
   
-  // Fecha de vencimiento con indicador de urgencia
-  if (task.dueDate) {
-    const dueDate = document.createElement('span');
-    const now = Date.now();
-    const isOverdue = !task.done && task.dueDate < now;
-    
-    dueDate.className = `text-xs px-2 py-1 rounded-full font-medium ${
-      isOverdue ? 'bg-red-100 text-red-700 border border-red-200' : 'bg-orange-100 text-orange-700 border border-orange-200'
-    }`;
-    
-    dueDate.textContent = isOverdue 
-      ? `🚨 Vencida ${new Date(task.dueDate).toLocaleDateString('es-AR', { month: 'short', day: 'numeric' })}`
-      : `⏰ Hoy ${new Date(task.dueDate).toLocaleDateString('es-AR', { month: 'short', day: 'numeric' })}`;
-    
-    left.append(checkbox, title, dueDate);
-  } else {
-    left.append(checkbox, title);
+  if (isEditable) {
+    title.title = 'Editar tarea';
+    title.addEventListener('click', () => openTaskEditor(task));
+    li.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('input, button')) {
+        openTaskEditor(task);
+      }
+    });
   }
   
-  // Botón eliminar
-  const deleteBtn = document.createElement('button');
-  deleteBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-red-600 border-red-200 hover:bg-red-50 transition-colors';
-  deleteBtn.textContent = 'Eliminar';
-  deleteBtn.addEventListener('click', () => {
-    if (confirm('¿Estás seguro de que querés eliminar esta tarea?')) {
-      window.dispatchEvent(new CustomEvent('task-delete', { detail: { taskId: task.id } }));
-    }
-  });
+  // Contenedor para metadatos de la tarea
+  const metadata = document.createElement('div');
+  metadata.className = 'flex items-center gap-2 mt-1';
   
-  div.append(left, deleteBtn);
+  // Categoría
+  if (task.category && task.category !== 'other') {
+    metadata.appendChild(createConfigBadge(getCategoryById(task.category)));
+  }
+  
+  // Prioridad
+  if (task.priority && task.priority !== 'medium') {
+    metadata.appendChild(createConfigBadge(getPriorityById(task.priority)));
+  }
+  
+  // Estado
+  if (task.status && task.status !== 'pending') {
+    metadata.appendChild(createConfigBadge(getStatusById(task.status)));
+  }
+  
+  // Fecha de vencimiento (si existe)
+  if (task.dueDate) {
+    metadata.appendChild(createDueDateBadge(task));
+  }
+  
+  // Etiquetas (un clic filtra la lista por esa etiqueta)
+  (task.tags || []).forEach(tag => metadata.appendChild(createTagBadge(tag)));
+  
+  // Casillas de la descripción
+  const checklist = countMarkdownCheckboxes(task.description);
+  if (checklist.total > 0) {
+    const descriptionChecklist = document.createElement('span');
+    descriptionChecklist.className = 'text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-700';
+    descriptionChecklist.textContent = `📋 ${checklist.done}/${checklist.total}`;
+    descriptionChecklist.title = 'Casillas marcadas en la descripción';
+    metadata.appendChild(descriptionChecklist);
+  }
+  
+  // Avance de subtareas
+  const progress = getSubtaskProgress(task);
+  if (progress.total > 0) {
+    const subtasks = document.createElement('span');
+    const isComplete = progress.done === progress.total;
+    subtasks.className = `text-xs px-2 py-1 rounded-full ${isComplete ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'}`;
+    subtasks.textContent = `☑️ ${progress.done}/${progress.total}`;
+    subtasks.title = 'Subtareas completadas';
+    metadata.appendChild(subtasks);
+  }
+  
+  // Repetición
+  if (task.recurrence) {
+    const recurrence = document.createElement('span');
+    recurrence.className = 'text-xs px-2 py-1 rounded-full bg-indigo-100 text-indigo-700';
+    recurrence.textContent = `🔁 ${describeRecurrence(task.recurrence)}`;
+    metadata.appendChild(recurrence);
+  }
+  
+  // Comentarios
+  if (task.commentCount > 0) {
+    const commentCount = document.createElement('span');
+    commentCount.className = 'text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-700';
+    commentCount.textContent = `💬 ${task.commentCount}`;
+    commentCount.title = task.commentCount === 1 ? '1 comentario' : `${task.commentCount} comentarios`;
+    metadata.appendChild(commentCount);
+  }
+  
+  // Responsables
+  const assignees = (task.assigneeIds || []).map(getUserById).filter(Boolean);
+  if (assignees.length > 0) {
+    const avatars = document.createElement('span');
+    avatars.className = 'flex -space-x-2';
+    avatars.title = `Asignada a: ${assignees.map(user => user.displayName).join(', ')}`;
+    assignees.forEach(user => avatars.appendChild(createAvatar(user, 'h-6 w-6')));
+    metadata.appendChild(avatars);
+  }
+  
+  // Cambios sin sincronizar con Firestore
+  if (isTaskPendingSync(task.id)) {
+    const pending = document.createElement('span');
+    pending.className = 'text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-600 border border-dashed border-gray-300';
+    pending.textContent = '🔄 Sin sincronizar';
+    pending.title = 'Los cambios se sincronizarán cuando vuelva la conexión';
+    metadata.appendChild(pending);
+  }
+  
+  // Título y vista previa de la descripción (Markdown sanitizado)
+  const content = document.createElement('div');
+  content.className = 'flex-1 min-w-0';
+  content.appendChild(title);
+  
+  if (task.description) {
+    const description = document.createElement('div');
+    description.className = 'markdown-body markdown-preview mt-0.5 text-xs text-gray-500';
+    description.innerHTML = renderMarkdownPreview(task.description);
+    content.appendChild(description);
+  }
+  
+  // Agregar metadatos al contenedor izquierdo
+  left.append(checkbox, content);
+  if (metadata.children.length > 0) {
+    left.appendChild(metadata);
+  }
+  
+  // Botón eliminar
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-red-600 border-red-200 hover:bg-red-50 transition-colors';
+  deleteBtn.textContent = 'Eliminar';
+  deleteBtn.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('task-delete', { detail: { taskId: task.id } }));
+  });
+  
+  // Botón editar
+  const editBtn = document.createElement('button');
+  editBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-gray-600 border-gray-200 hover:bg-gray-50 transition-colors';
+  editBtn.textContent = 'Editar';
+  editBtn.addEventListener('click', () => openTaskEditor(task));
+  
+  // Contenedor de acciones
+  const actions = document.createElement('div');
+  actions.className = 'flex items-center gap-2';
+  
+  if (isEditable) {
+    actions.appendChild(editBtn);
+  }
+  
+  // Eliminar requiere permisos de gestión (creador o editor de la lista compartida)
+  if (canManageTask(task)) {
+    actions.appendChild(deleteBtn);
+  }
+  
+  li.append(left, actions);
+  return li;
+}
+
+/**
+ * Crea la etiqueta de una categoría, prioridad o estado
+ * @param {Object} option - Opción de la configuración ({ name, icon, color })
+ * @returns {HTMLSpanElement} Etiqueta
+ */
+function createConfigBadge(option) {
+  const badge = document.createElement('span');
+  badge.className = `text-xs px-2 py-1 rounded-full ${option.color} text-white`;
+  badge.textContent = `${option.icon} ${option.name}`;
+  return badge;
+}
+
+/**
+ * Obtiene los colores de la fecha de vencimiento de una tarea
+ * (rojo si está vencida, naranja si vence hoy, azul en otro caso)
+ * @param {Object} task - Tarea con dueDate
+ * @returns {string} Clases de Tailwind
+ */
+function getDueDateColor(task) {
+  const isOverdue = !task.done && task.dueDate < Date.now();
+  const isDueToday = !task.done && new Date(task.dueDate).toDateString() === new Date().toDateString();
+  
+  return isOverdue ? 'bg-red-100 text-red-700' :
+    isDueToday ? 'bg-orange-100 text-orange-700' :
+    'bg-blue-100 text-blue-700';
+}
+
+/**
+ * Deshabilita la casilla de completar si el estado actual no permite completar
+ * (o reabrir) la tarea, p. ej. una tarea bloqueada
+ * @param {HTMLInputElement} checkbox - Casilla de la tarea
+ * @param {Object} task - Tarea
+ */
+function disableBlockedToggle(checkbox, task) {
+  const targetStatus = task.done ? REOPENED_STATUS : COMPLETED_STATUS;
+  if (canTransitionStatus(task.status, targetStatus)) return;
+  
+  checkbox.disabled = true;
+  checkbox.title = `Una tarea en estado "${getStatusById(task.status).name}" no se puede ${task.done ? 'reabrir' : 'completar'}: cambiá su estado primero`;
+}
+
+/**
+ * Crea la etiqueta con la fecha de vencimiento de una tarea
+ * @param {Object} task - Tarea con dueDate
+ * @returns {HTMLSpanElement} Etiqueta
+ */
+function createDueDateBadge(task) {
+  const dueDate = document.createElement('span');
+  dueDate.className = `text-xs px-2 py-1 rounded-full ${getDueDateColor(task)}`;
+  dueDate.textContent = new Date(task.dueDate).toLocaleDateString('es-AR', {
+    month: 'short',
+    day: 'numeric'
+  });
+  return dueDate;
+}
+
+/**
+ * Crea un elemento DOM para una tarea de la papelera
+ * @param {Object} task - Tarea eliminada
+ * @returns {HTMLLIElement} Elemento DOM de la tarea
+ */
+function createTrashedTaskElement(task) {
+  const li = document.createElement('li');
+  li.className = 'flex items-center justify-between gap-3 py-3 fade-in';
+  
+  const left = document.createElement('div');
+  left.className = 'flex-1 min-w-0';
+  
+  const title = document.createElement('span');
+  title.className = 'text-sm text-gray-500';
+  title.textContent = task.title;
+  
+  // Fecha de eliminación y días restantes antes de la eliminación definitiva
+  const daysLeft = Math.max(0, Math.ceil(
+    (task.deletedAt + getTrashRetentionDays() * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000)
+  ));
+  
+  const deletedInfo = document.createElement('div');
+  deletedInfo.className = 'mt-1 text-xs text-gray-400';
+  deletedInfo.textContent = `🗑️ Eliminada el ${formatDate(task.deletedAt)} · ` +
+    (daysLeft === 1 ? 'se elimina definitivamente en 1 día' : `se elimina definitivamente en ${daysLeft} días`);
+  
+  left.append(title, deletedInfo);
+  
+  const actions = document.createElement('div');
+  actions.className = 'flex items-center gap-2';
+  
+  // Restaurar o eliminar requiere los mismos permisos que eliminar
+  if (canManageTask(task)) {
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-gray-600 border-gray-200 hover:bg-gray-50 transition-colors';
+    restoreBtn.textContent = 'Restaurar';
+    restoreBtn.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('task-restore', { detail: { taskIds: [task.id] } }));
+    });
+    
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-red-600 border-red-200 hover:bg-red-50 transition-colors';
+    purgeBtn.textContent = 'Eliminar definitivamente';
+    purgeBtn.addEventListener('click', () => {
+      if (confirm('¿Querés eliminar esta tarea definitivamente? Esta acción no se puede deshacer.')) {
+        window.dispatchEvent(new CustomEvent('task-purge', { detail: { taskIds: [task.id] } }));
+      }
+    });
+    
+    actions.append(restoreBtn, purgeBtn);
+  }
+  
+  li.append(left, actions);
+  return li;
+}
+
+/**
+ * Renderiza las estadísticas de las tareas
+ * @param {HTMLElement} container - Contenedor donde mostrar las estadísticas
+ */
+export function renderTaskStats(container) {
+  if (!container) return;
+  
+  const stats = getTasksStats();
+  
+  container.innerHTML = `
+    <div class="grid grid-cols-2 md:grid-cols-6 gap-3 text-center">
+      <div class="bg-blue-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-blue-600">${stats.total}</div>
+        <div class="text-xs text-blue-500">Total</div>
+      </div>
+      <div class="bg-green-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-green-600">${stats.completed}</div>
+        <div class="text-xs text-green-500">Completadas</div>
+      </div>
+      <div class="bg-yellow-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-yellow-600">${stats.pending}</div>
+        <div class="text-xs text-yellow-500">Pendientes</div>
+      </div>
+      <div class="bg-red-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-red-600">${stats.overdue}</div>
+        <div class="text-xs text-red-500">Vencidas</div>
+      </div>
+      <div class="bg-orange-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-orange-600">${stats.dueToday}</div>
+        <div class="text-xs text-orange-500">Vencen hoy</div>
+      </div>
+      <div class="bg-purple-50 p-3 rounded-lg">
+        <div class="text-xl font-bold text-purple-600">${stats.dueSoon}</div>
+        <div class="text-xs text-purple-500">Vencen pronto</div>
+      </div>
+    </div>
+    ${stats.subtasksTotal > 0 ? `
+      <div class="mt-3 text-xs text-gray-500 text-center">
+        Subtareas completadas: ${stats.subtasksCompleted}/${stats.subtasksTotal}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Muestra la vista de carga mientras se restaura la sesión
+ */
+export function showLoading() {
+  $('#view-loading')?.classList.remove('hidden');
+  $('#view-login')?.classList.add('hidden');
+  $('#main-app')?.classList.add('hidden');
+}
+
+/**
+ * Oculta la vista de carga
+ */
+function hideLoading() {
+  $('#view-loading')?.classList.add('hidden');
+}
+
+/**
+ * Muestra la vista de login
+ */
+export function showLogin() {
+  const viewLogin = $('#view-login');
+  const mainApp = $('#main-app');
+  
+  hideLoading();
+  
+  if (viewLogin && mainApp) {
+    viewLogin.classList.remove('hidden');
+    mainApp.classList.add('hidden');
+  }
+}
+
+/**
+ * Muestra la vista principal de la aplicación
+ */
+export function showApp() {
+  const viewLogin = $('#view-login');
+  const mainApp = $('#main-app');
+  const viewApp = $('#view-app');
+  
+  hideLoading();
+  
+  if (viewLogin && mainApp && viewApp) {
+    viewLogin.classList.add('hidden');
+    mainApp.classList.remove('hidden');
+    viewApp.classList.remove('hidden');
+  }
+}
+
+/**
+ * Limpia el campo de entrada de tareas
+ */
+export function clearTaskInput() {
+  if (elements.inputTitle) {
+    elements.inputTitle.value = '';
+    elements.inputTitle.focus();
+  }
+}
+
+/**
+ * Obtiene el valor del campo de entrada de tareas
+ * @returns {string} Valor del campo de entrada
+ */
+export function getTaskInputValue() {
+  return elements.inputTitle ? elements.inputTitle.value : '';
+}
+
+/**
+ * Establece el valor del campo de entrada de tareas
+ * @param {string} value - Valor a establecer
+ */
+export function setTaskInputValue(value) {
+  if (elements.inputTitle) {
+    elements.inputTitle.value = value;
+  }
+}
+
+/**
+ * Obtiene las etiquetas elegidas en el formulario de nuevas tareas
+ * @returns {Array<string>} Etiquetas
+ */
+export function getTaskTags() {
+  return [...(tagPickerValues['task-tag-picker'] || [])];
+}
+
+/**
+ * Obtiene la descripción (Markdown) escrita en el formulario de nuevas tareas
+ * @returns {string} Descripción
+ */
+export function getTaskDescription() {
+  return $('#task-description')?.value || '';
+}
+
+/**
+ * Limpia el campo de fecha de vencimiento
+ */
+export function clearTaskForm() {
+  clearTaskInput();
+  clearTaskDueDate();
+  
+  const descriptionInput = $('#task-description');
+  if (descriptionInput) descriptionInput.value = '';
+  setTagPickerValue('task-tag-picker', []);
+  
+  // Resetear selects a valores por defecto
+  const categorySelect = $('#task-category');
+  const prioritySelect = $('#task-priority');
+  
+  if (categorySelect) fillConfigSelect(categorySelect, getCategories(), CONFIG_KINDS.categories.fallback);
+  if (prioritySelect) fillConfigSelect(prioritySelect, getPriorities(), CONFIG_KINDS.priorities.fallback);
+  
+  clearTaskRecurrence();
+  $$('#task-assignees input[type="checkbox"]').forEach(input => {
+    input.checked = false;
+  });
+}
+
+/**
+ * Limpia el campo de fecha de vencimiento
+ */
+export function clearTaskDueDate() {
+  const dueDateInput = $('#task-due-date');
+  if (dueDateInput) {
+    dueDateInput.value = '';
+  }
+}
+
+/**
+ * Obtiene el valor del campo de fecha de vencimiento
+ * @returns {string} Valor de la fecha o string vacío
+ */
+export function getTaskDueDate() {
+  const dueDateInput = $('#task-due-date');
+  return dueDateInput ? dueDateInput.value : '';
+}
+
+/**
+ * Obtiene el valor del campo de categoría
+ * @returns {string} Valor de la categoría
+ */
+export function getTaskCategory() {
+  const categorySelect = $('#task-category');
+  return categorySelect ? categorySelect.value : 'other';
+}
+
+/**
+ * Obtiene el valor del campo de prioridad
+ * @returns {string} Valor de la prioridad
+ */
+export function getTaskPriority() {
+  const prioritySelect = $('#task-priority');
+  return prioritySelect ? prioritySelect.value : 'medium';
+}
+
+/**
+ * Configura los campos de repetición del formulario de tareas
+ */
+function setupRecurrenceFields() {
+  const freqSelect = $('#task-recurrence-freq');
+  const endSelect = $('#task-recurrence-end');
+  if (!freqSelect || !endSelect) return;
+  
+  freqSelect.addEventListener('change', updateRecurrenceFields);
+  endSelect.addEventListener('change', updateRecurrenceFields);
+  updateRecurrenceFields();
+}
+
+/**
+ * Muestra solo los campos de repetición que aplican a la frecuencia elegida
+ */
+function updateRecurrenceFields() {
+  const freq = $('#task-recurrence-freq')?.value || '';
+  const end = $('#task-recurrence-end')?.value || 'never';
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.id === freq);
+  
+  $$('.recurrence-field').forEach(field => field.classList.toggle('hidden', !frequency));
+  $('#task-recurrence-weekdays')?.classList.toggle('hidden', freq !== 'weekly');
+  $('#task-recurrence-monthday-field')?.classList.toggle('hidden', freq !== 'monthly');
+  $('#task-recurrence-until')?.classList.toggle('hidden', end !== 'until');
+  $('#task-recurrence-count')?.classList.toggle('hidden', end !== 'count');
+  
+  const unit = $('#task-recurrence-unit');
+  if (unit && frequency) unit.textContent = frequency.unit;
+}
+
+/**
+ * Obtiene la regla de repetición del formulario
+ * @returns {Object|null} Regla de repetición o null si la tarea no se repite
+ */
+export function getTaskRecurrence() {
+  const freq = $('#task-recurrence-freq')?.value;
+  if (!freq) return null;
+  
+  const end = $('#task-recurrence-end')?.value;
+  
+  return normalizeRecurrence({
+    freq,
+    interval: $('#task-recurrence-interval')?.value,
+    byWeekday: $$('#task-recurrence-weekdays input:checked').map(input => input.value),
+    byMonthDay: $('#task-recurrence-monthday')?.value,
+    until: end === 'until' ? $('#task-recurrence-until')?.value : null,
+    count: end === 'count' ? $('#task-recurrence-count')?.value : null
+  });
+}
+
+/**
+ * Restablece los campos de repetición del formulario
+ */
+function clearTaskRecurrence() {
+  const freqSelect = $('#task-recurrence-freq');
+  if (!freqSelect) return;
+  
+  freqSelect.value = '';
+  $('#task-recurrence-interval').value = '1';
+  $('#task-recurrence-end').value = 'never';
+  $('#task-recurrence-until').value = '';
+  $('#task-recurrence-count').value = '5';
+  $('#task-recurrence-monthday').value = '';
+  $$('#task-recurrence-weekdays input').forEach(input => { input.checked = false; });
+  updateRecurrenceFields();
+}
+
+/**
+ * Obtiene el valor del campo de proyecto/lista
+ * @returns {string} ID del proyecto
+ */
+export function getTaskProject() {
+  const projectSelect = $('#task-project');
+  return projectSelect && projectSelect.value ? projectSelect.value : 'inbox';
+}
+
+/**
+ * Renderiza las opciones del selector de proyecto del formulario
+ * @param {Object} projects - Mapa de proyectos por ID
+ * @param {string} selectedId - ID del proyecto seleccionado por defecto
+ */
+export function renderProjectOptions(projects, selectedId = 'inbox') {
+  const projectSelect = $('#task-project');
+  if (!projectSelect) return;
+  
+  projectSelect.innerHTML = '';
+  
+  // Solo las listas donde el usuario puede crear tareas
+  Object.values(projects).filter(project => canWriteToProject(project.id)).forEach(project => {
+    const option = document.createElement('option');
+    option.value = project.id;
+    option.textContent = project.name;
+    projectSelect.appendChild(option);
+  });
+  
+  projectSelect.value = projects[selectedId] && canWriteToProject(selectedId) ? selectedId : 'inbox';
+}
+
+
+
+/**
+ * Muestra un mensaje de error en el campo de entrada
+ * @param {string} message - Mensaje de error
+ */
+export function showInputError(message) {
+  if (elements.inputTitle) {
+    elements.inputTitle.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+    
+    // Remover clases de error después de un tiempo
+    setTimeout(() => {
+      elements.inputTitle.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+    }, 3000);
+  }
+}
+
+/**
+ * Actualiza el estado de carga de la interfaz
+ * @param {boolean} isLoading - true si está cargando
+ */
+export function setLoadingState(isLoading) {
+  const addButton = $('#btn-add-task');
+  if (addButton) {
+    addButton.disabled = isLoading;
+    addButton.textContent = isLoading ? 'Agregando...' : 'Agregar';
+  }
+  
+  if (elements.inputTitle) {
+    elements.inputTitle.disabled = isLoading;
+  }
+}
+
+/**
+ * Actualiza el título de la página
+ * @param {string} title - Nuevo título
+ */
+export function updatePageTitle(title) {
+  if (title) {
+    document.title = `${title} - Agenda Base`;
+  } else {
+    document.title = 'Agenda Base';
+  }
+}
+
+/**
+ * Renderiza un mensaje de bienvenida personalizado
+ * @param {HTMLElement} container - Contenedor donde mostrar el mensaje
+ */
+export function renderWelcomeMessage(container) {
+  if (!container) return;
+  
+  const user = getCurrentUser();
+  if (!user) return;
+  
+  const timeOfDay = new Date().getHours();
+  let greeting = '¡Hola';
+  
+  if (timeOfDay < 12) {
+    greeting += ' buenos días';
+  } else if (timeOfDay < 18) {
+    greeting += ' buenas tardes';
+  } else {
+    greeting += ' buenas noches';
+  }
+  
+  container.innerHTML = `
+    <div class="text-center py-4">
+      <h2 class="text-xl font-semibold text-gray-800">${greeting}, ${user.displayName}!</h2>
+      <p class="text-gray-600">¿Qué tareas tenés para hoy?</p>
+    </div>
+  `;
+}
+
+/**
+ * Renderiza la lista de usuarios del sistema
+ * @param {Array} users - Lista de usuarios a renderizar
+ */
+export function renderUsers(users) {
+  const usersList = $('#users-list');
+  const usersEmptyState = $('#users-empty-state');
+  const userCount = $('#user-count');
+  
+  if (!usersList || !usersEmptyState || !userCount) return;
+  
+  // Actualizar contador
+  userCount.textContent = `(${users.length})`;
+  
+  // Limpiar lista actual
+  usersList.innerHTML = '';
+  
+  // Mostrar estado vacío si no hay usuarios
+  if (!users || users.length === 0) {
+    usersEmptyState.classList.remove('hidden');
+    return;
+  }
+  
+  // Ocultar estado vacío
+  usersEmptyState.classList.add('hidden');
+  
+  // Renderizar cada usuario
+  users.forEach(user => {
+    const userElement = createUserElement(user);
+    usersList.appendChild(userElement);
+  });
+}
+
+/**
+ * Renderiza las tareas prioritarias (vencidas + de hoy) del proyecto actual
+ * @param {Array} allTasks - Lista de tareas
+ */
+export function renderPriorityTasks(allTasks) {
+  const priorityList = $('#priority-tasks-list');
+  const priorityEmpty = $('#priority-tasks-empty');
+  
+  if (!priorityList || !priorityEmpty) return;
+  
+  // Filtrar tareas prioritarias
+  const now = Date.now();
+  const today = new Date().toDateString();
+  
+  const priorityTasks = filterTasksByProject(allTasks).filter(task => {
+    if (task.done || task.deletedAt) return false; // No mostrar tareas completadas ni eliminadas
+    
+    if (task.dueDate) {
+      const dueDate = new Date(task.dueDate);
+      const isOverdue = dueDate.getTime() < now;
+      const isDueToday = dueDate.toDateString() === today;
+      return isOverdue || isDueToday;
+    }
+    
+    return false;
+  });
+  
+  // Limpiar lista actual
+  priorityList.innerHTML = '';
+  
+  // Mostrar estado vacío si no hay tareas prioritarias
+  if (priorityTasks.length === 0) {
+    priorityEmpty.classList.remove('hidden');
+    return;
+  }
+  
+  // Ocultar estado vacío
+  priorityEmpty.classList.add('hidden');
+  
+  // Ordenar: primero vencidas, luego las de hoy
+  priorityTasks.sort((a, b) => {
+    if (!a.dueDate && !b.dueDate) return 0;
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    
+    const aIsOverdue = a.dueDate < now;
+    const bIsOverdue = b.dueDate < now;
+    
+    if (aIsOverdue && !bIsOverdue) return -1;
+    if (!aIsOverdue && bIsOverdue) return 1;
+    
+    return a.dueDate - b.dueDate;
+  });
+  
+  // Renderizar cada tarea prioritaria
+  priorityTasks.forEach(task => {
+    const taskElement = createPriorityTaskElement(task);
+    priorityList.appendChild(taskElement);
+  });
+}
+
+/**
+ * Crea un elemento DOM para una tarea prioritaria
+ * @param {Object} task - Objeto tarea
+ * @returns {HTMLElement} Elemento DOM de la tarea prioritaria
+ */
+function createPriorityTaskElement(task) {
+  const div = document.createElement('div');
+  div.className = 'flex items-center justify-between gap-4 p-4 hover:bg-orange-50 transition-colors';
+  
+  // Contenedor izquierdo (checkbox + título + fecha)
+  const left = document.createElement('div');
+  left.className = 'flex items-center gap-3 flex-1';
+  
+  // Checkbox
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = !!task.done;
+  checkbox.className = 'h-5 w-5 rounded border-gray-300 text-brand-600 focus:ring-brand-500 cursor-pointer disabled:cursor-not-allowed disabled:opacity-50';
+  disableBlockedToggle(checkbox, task);
+  checkbox.addEventListener('change', () => {
+    window.dispatchEvent(new CustomEvent('task-toggle', { detail: { taskId: task.id } }));
+  });
+  
+  // Título de la tarea
+  const title = document.createElement('span');
+  title.className = `text-sm flex-1 ${task.done ? 'line-through text-gray-400' : 'font-medium'}`;
+  title.textContent = task.title;
+  
+  // Fecha de vencimiento con indicador de urgencia
+  if (task.dueDate) {
+    const dueDate = document.createElement('span');
+    const now = Date.now();
+    const isOverdue = !task.done && task.dueDate < now;
+    
+    dueDate.className = `text-xs px-2 py-1 rounded-full font-medium ${
+      isOverdue ? 'bg-red-100 text-red-700 border border-red-200' : 'bg-orange-100 text-orange-700 border border-orange-200'
+    }`;
+    
+    dueDate.textContent = isOverdue 
+      ? `🚨 Vencida ${new Date(task.dueDate).toLocaleDateString('es-AR', { month: 'short', day: 'numeric' })}`
+      : `⏰ Hoy ${new Date(task.dueDate).toLocaleDateString('es-AR', { month: 'short', day: 'numeric' })}`;
+    
+    left.append(checkbox, title, dueDate);
+  } else {
+    left.append(checkbox, title);
+  }
+  
+  // Botón eliminar
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'rounded-md border px-2.5 py-1.5 text-sm text-red-600 border-red-200 hover:bg-red-50 transition-colors';
+  deleteBtn.textContent = 'Eliminar';
+  deleteBtn.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('task-delete', { detail: { taskId: task.id } }));
+  });
+  
+  div.append(left, deleteBtn);
+  return div;
+}
+
+/**
+ * Crea el avatar de un usuario (foto o iniciales)
+ * @param {Object} user - Objeto usuario
+ * @param {string} sizeClass - Clases de tamaño de Tailwind
+ * @returns {HTMLElement} Imagen del avatar
+ */
+function createAvatar(user, sizeClass) {
+  const avatar = document.createElement('img');
+  avatar.src = user.photoURL || `https://api.dicebear.com/8.x/initials/svg?seed=${encodeURIComponent(user.displayName)}`;
+  avatar.alt = `Avatar de ${user.displayName}`;
+  avatar.className = `${sizeClass} rounded-full ring-2 ring-white object-cover`;
+  return avatar;
+}
+
+/**
+ * Crea un elemento DOM para un usuario individual
+ * @param {Object} user - Objeto usuario
+ * @returns {HTMLElement} Elemento DOM del usuario
+ */
+function createUserElement(user) {
+  const div = document.createElement('div');
+  div.className = 'flex items-center justify-between gap-4 p-6 hover:bg-gray-50 transition-colors';
+  
+  // Información del usuario
+  const userInfo = document.createElement('div');
+  userInfo.className = 'flex items-center gap-4';
+  
+  // Avatar del usuario
+  const avatar = createAvatar(user, 'h-12 w-12');
+  
+  // Detalles del usuario
+  const details = document.createElement('div');
+  details.className = 'flex-1';
+  
+  const name = document.createElement('h4');
+  name.className = 'font-medium text-gray-900';
+  name.textContent = user.displayName;
+  
+  const email = document.createElement('p');
+  email.className = 'text-sm text-gray-500';
+  email.textContent = user.email;
+  
+  const status = document.createElement('div');
+  status.className = 'flex items-center gap-2 mt-1';
+  
+  const statusDot = document.createElement('div');
+  statusDot.className = `w-2 h-2 rounded-full ${user.isActive ? 'bg-green-500' : 'bg-gray-400'}`;
+  
+  const statusText = document.createElement('span');
+  statusText.className = 'text-xs text-gray-500';
+  statusText.textContent = user.isActive ? 'Activo' : 'Inactivo';
+  
+  status.append(statusDot, statusText);
+  details.append(name, email, status);
+  userInfo.append(avatar, details);
+  
+  // Fecha de registro
+  const registrationDate = document.createElement('div');
+  registrationDate.className = 'text-right text-sm text-gray-500';
+  registrationDate.textContent = new Date(user.createdAt).toLocaleDateString('es-AR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+  
+  div.append(userInfo, registrationDate);
   return div;
 }
 
 /**
- * Crea un elemento DOM para un usuario individual
- * @param {Object} user - Objeto usuario
- * @returns {HTMLElement} Elemento DOM del usuario
+ * Configura la búsqueda de usuarios
+ * @param {Function} onSearch - Función a ejecutar cuando cambie la búsqueda
+ */
+export function setupUserSearch(onSearch) {
+  const searchInput = $('#user-search');
+  if (!searchInput) return;
+  
+  searchInput.addEventListener('input', (e) => {
+    const query = e.target.value.trim();
+    onSearch(query);
+  });
+}
+
+/**
+ * Muestra el modal de configuración
+ */
+export function showSettingsModal() {
+  const modal = $('#settings-modal');
+  const retentionInput = $('#trash-retention-days');
+  
+  if (retentionInput) {
+    retentionInput.value = getTrashRetentionDays();
+  }
+  
+  renderTagSettings();
+  renderTaskConfigSettings();
+  
+  if (modal) {
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+}
+
+/**
+ * Oculta el modal de configuración
+ */
+export function hideSettingsModal() {
+  const modal = $('#settings-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+    document.body.style.overflow = 'auto';
+  }
+}
+
+/**
+ * Configura los event listeners del modal de configuración
+ */
+export function setupSettingsModal() {
+  const settingsBtn = $('#btn-settings');
+  const closeBtn = $('#btn-close-settings');
+  const modal = $('#settings-modal');
+  
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', showSettingsModal);
+  }
+  
+  if (closeBtn) {
+    closeBtn.addEventListener('click', hideSettingsModal);
+  }
+  
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        hideSettingsModal();
+      }
+    });
+  }
+  
+  $('#trash-retention-days')?.addEventListener('change', (e) => {
+    window.dispatchEvent(new CustomEvent('trash-retention-change', { detail: { days: e.target.value } }));
+  });
+  
+  $('#btn-empty-trash')?.addEventListener('click', () => {
+    const taskIds = getTrashedTasks().filter(canManageTask).map(task => task.id);
+    
+    if (taskIds.length === 0) {
+      toast('La papelera está vacía');
+      return;
+    }
+    
+    if (confirm(`¿Querés eliminar definitivamente ${taskIds.length === 1 ? '1 tarea' : `${taskIds.length} tareas`} de la papelera? Esta acción no se puede deshacer.`)) {
+      window.dispatchEvent(new CustomEvent('task-purge', { detail: { taskIds } }));
+    }
+  });
+}
+
+/**
+ * Selects de categoría, prioridad y estado del diálogo de edición
+ */
+const EDITOR_CONFIG_FIELDS = [
+  { field: 'category', kind: 'categories', select: '#edit-task-category' },
+  { field: 'priority', kind: 'priorities', select: '#edit-task-priority' },
+  { field: 'status', kind: 'statuses', select: '#edit-task-status' }
+];
+
+/**
+ * Obtiene la categoría, prioridad o estado que guarda una tarea, sin reemplazar
+ * los IDs que no están en la lista del usuario (p. ej. opciones propias de otro miembro)
+ * @param {Object} task - Tarea
+ * @param {string} field - 'category', 'priority' o 'status'
+ * @param {string} kind - Tipo de opción (ver CONFIG_KINDS)
+ * @returns {string} ID guardado en la tarea (o el valor por defecto si no tiene)
+ */
+function getTaskConfigValue(task, field, kind) {
+  if (task[field]) return task[field];
+  return field === 'status' && task.done ? COMPLETED_STATUS : CONFIG_KINDS[kind].fallback;
+}
+
+/**
+ * Obtiene las opciones de un select del diálogo de edición.
+ * Las opciones archivadas solo se ofrecen si la tarea ya las usa; el estado solo ofrece
+ * las transiciones permitidas desde el actual. Un ID desconocido se agrega tal cual.
+ * @param {Object} task - Tarea
+ * @param {string} field - 'category', 'priority' o 'status'
+ * @param {string} kind - Tipo de opción (ver CONFIG_KINDS)
+ * @returns {Array} Opciones ({ id, name, icon, archived })
+ */
+function getEditorConfigOptions(task, field, kind) {
+  const value = getTaskConfigValue(task, field, kind);
+  const isKnown = getConfigOptions(kind, { includeArchived: true }).some(option => option.id === value);
+  
+  const options = field === 'status'
+    ? (isKnown ? getNextStatuses(value) : getStatuses())
+    : getConfigOptions(kind, { include: [value] });
+  
+  return isKnown ? options : [{ id: value, icon: '❔', name: 'Opción desconocida' }, ...options];
+}
+
+/**
+ * Llena un select con las opciones de una lista de configuración
+ * @param {HTMLSelectElement} select - Elemento select
+ * @param {Array} options - Opciones ({ id, name, icon, archived })
+ * @param {string} value - Opción elegida (si no está, queda la primera)
+ */
+function fillConfigSelect(select, options, value = select?.value) {
+  if (!select) return;
+  
+  select.innerHTML = '';
+  options.forEach(option => {
+    const el = document.createElement('option');
+    el.value = option.id;
+    el.textContent = `${option.icon} ${option.name}${option.archived ? ' (opción archivada)' : ''}`;
+    select.appendChild(el);
+  });
+  
+  if (options.some(option => option.id === value)) {
+    select.value = value;
+  }
+}
+
+/**
+ * Llena los selects de categoría y prioridad del formulario de nueva tarea
+ * con las opciones activas del usuario, conservando lo elegido
+ */
+export function renderTaskConfigSelects() {
+  const categorySelect = $('#task-category');
+  const prioritySelect = $('#task-priority');
+  
+  fillConfigSelect(categorySelect, getCategories(), categorySelect?.value || CONFIG_KINDS.categories.fallback);
+  fillConfigSelect(prioritySelect, getPriorities(), prioritySelect?.value || CONFIG_KINDS.priorities.fallback);
+}
+
+/**
+ * Configura los event listeners del diálogo de edición de tareas
+ */
+export function setupTaskEditor() {
+  const modal = $('#edit-task-modal');
+  if (!modal) return;
+  
+  $('#btn-close-edit-task')?.addEventListener('click', closeTaskEditor);
+  $('#btn-cancel-edit-task')?.addEventListener('click', closeTaskEditor);
+  $('#btn-save-edit-task')?.addEventListener('click', submitTaskEditor);
+  
+  $('#edit-task-title')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      submitTaskEditor();
+    }
+  });
+  
+  $('#btn-add-subtask')?.addEventListener('click', submitNewSubtask);
+  $('#btn-add-comment')?.addEventListener('click', submitNewComment);
+  $('#edit-task-new-comment')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      submitNewComment();
+    }
+  });
+  $('#edit-task-new-subtask')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      submitNewSubtask();
+    }
+  });
+  $('#edit-task-activity-actor')?.addEventListener('change', () => renderTaskActivity(activityEntries));
+  $('#edit-task-description')?.addEventListener('input', renderDescriptionPreview);
+  
+  // Marcar una casilla en la vista previa cambia el Markdown de la descripción
+  $('#edit-task-description-preview')?.addEventListener('change', (e) => {
+    const checkbox = e.target.closest('input[type="checkbox"][data-line]');
+    if (!checkbox) return;
+    
+    const textarea = $('#edit-task-description');
+    textarea.value = toggleMarkdownCheckbox(textarea.value, Number(checkbox.dataset.line));
+    renderDescriptionPreview();
+  });
+  
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeTaskEditor();
+    }
+  });
+  
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      closeTaskEditor();
+    }
+  });
+}
+
+/**
+ * Abre el diálogo de edición con los datos de una tarea
+ * @param {Object} task - Tarea a editar
+ */
+export function openTaskEditor(task) {
+  const modal = $('#edit-task-modal');
+  if (!modal || !task || !canEditTask(task)) return;
+  
+  editingTaskId = task.id;
+  
+  $('#edit-task-title').value = task.title || '';
+  $('#edit-task-description').value = task.description || '';
+  renderDescriptionPreview();
+  setTagPickerValue('edit-task-tag-picker', task.tags || []);
+  $('#edit-task-due-date').value = toDateInputValue(task.dueDate);
+  EDITOR_CONFIG_FIELDS.forEach(({ field, kind, select }) => {
+    fillConfigSelect($(select), getEditorConfigOptions(task, field, kind), getTaskConfigValue(task, field, kind));
+  });
+  $('#edit-task-auto-complete').checked = !!task.autoCompleteSubtasks;
+  $('#edit-task-new-subtask').value = '';
+  renderEditorSubtasks(task);
+  renderAssigneeOptions($('#edit-task-assignees'), getUsers(), task.assigneeIds || [], !canManageTask(task));
+  $('#edit-task-new-comment').value = '';
+  renderTaskComments([]);
+  watchComments(task.id);
+  $('#edit-task-activity-actor').value = '';
+  renderTaskActivity([]);
+  watchActivity(task.id);
+  
+  showTaskEditorError(null);
+  setTaskEditorSaving(false);
+  modal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+  $('#edit-task-title').focus();
+}
+
+/**
+ * Muestra la descripción del diálogo de edición renderizada como Markdown
+ */
+function renderDescriptionPreview() {
+  const preview = $('#edit-task-description-preview');
+  const description = $('#edit-task-description')?.value || '';
+  if (!preview) return;
+  
+  preview.innerHTML = renderMarkdown(description, { interactive: true });
+  preview.classList.toggle('hidden', description.trim() === '');
+}
+
+/**
+ * Cierra el diálogo de edición de tareas
+ */
+export function closeTaskEditor() {
+  const modal = $('#edit-task-modal');
+  if (!modal) return;
+  
+  editingTaskId = null;
+  stopCommentsSync();
+  stopActivitySync();
+  modal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+/**
+ * Activa o desactiva el estado de guardado del diálogo de edición
+ * @param {boolean} isSaving - true si se está guardando
+ */
+export function setTaskEditorSaving(isSaving) {
+  const saveBtn = $('#btn-save-edit-task');
+  if (saveBtn) {
+    saveBtn.disabled = isSaving;
+    saveBtn.textContent = isSaving ? 'Guardando...' : 'Guardar cambios';
+  }
+}
+
+/**
+ * Muestra (u oculta) un mensaje de error en el diálogo de edición
+ * @param {string|null} message - Mensaje de error o null para ocultarlo
+ */
+function showTaskEditorError(message) {
+  const errorElement = $('#edit-task-error');
+  if (!errorElement) return;
+  
+  errorElement.textContent = message || '';
+  errorElement.classList.toggle('hidden', !message);
+}
+
+/**
+ * Valida el formulario de edición y devuelve los campos modificados
+ * @param {Object} task - Tarea original
+ * @returns {{ updates: Object|null, error: string|null }} Campos modificados o error de validación
+ */
+function readTaskEditor(task) {
+  const title = $('#edit-task-title').value.trim();
+  const description = $('#edit-task-description').value.trim();
+  const dueDateValue = $('#edit-task-due-date').value;
+  const autoCompleteSubtasks = $('#edit-task-auto-complete').checked;
+  
+  // Conservar los responsables que no están en el directorio cargado
+  const assigneeIds = [
+    ...$$('#edit-task-assignees input:checked').map(input => input.value),
+    ...(task.assigneeIds || []).filter(id => !getUserById(id))
+  ];
+  
+  if (!title) {
+    return { updates: null, error: 'El título de la tarea no puede estar vacío' };
+  }
+  
+  if (title.length > 200) {
+    return { updates: null, error: 'El título no puede superar los 200 caracteres' };
+  }
+  
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { updates: null, error: `La descripción no puede superar los ${MAX_DESCRIPTION_LENGTH} caracteres` };
+  }
+  
+  const dueDate = dueDateValue ? new Date(dueDateValue).getTime() : null;
+  if (dueDateValue && Number.isNaN(dueDate)) {
+    return { updates: null, error: 'La fecha de vencimiento no es válida' };
+  }
+  
+  const values = { title, description, dueDate };
+  const updates = {};
+  
+  Object.entries(values).forEach(([field, value]) => {
+    if ((task[field] ?? '') !== (value ?? '')) {
+      updates[field] = value;
+    }
+  });
+  
+  // Categoría, prioridad y estado solo se escriben si el usuario los cambió
+  // (así se conservan las opciones de otros miembros que no están en la lista propia)
+  for (const { field, kind, select } of EDITOR_CONFIG_FIELDS) {
+    const value = $(select).value;
+    if (value === getTaskConfigValue(task, field, kind)) continue;
+    
+    if (!getEditorConfigOptions(task, field, kind).some(option => option.id === value)) {
+      return { updates: null, error: 'Seleccioná una categoría, prioridad y estado válidos' };
+    }
+    updates[field] = value;
+  }
+  
+  if (!!task.autoCompleteSubtasks !== autoCompleteSubtasks) {
+    updates.autoCompleteSubtasks = autoCompleteSubtasks;
+  }
+  
+  const tags = tagPickerValues['edit-task-tag-picker'] || [];
+  if ((task.tags || []).join() !== tags.join()) {
+    updates.tags = [...tags];
+  }
+  
+  // Solo quien gestiona la tarea puede cambiar los responsables
+  if (canManageTask(task) && [...(task.assigneeIds || [])].sort().join() !== [...assigneeIds].sort().join()) {
+    updates.assigneeIds = assigneeIds;
+  }
+  
+  return { updates, error: null };
+}
+
+/**
+ * Valida el diálogo de edición y dispara el evento de actualización
+ */
+function submitTaskEditor() {
+  const task = getTaskById(editingTaskId);
+  if (!task) {
+    closeTaskEditor();
+    return;
+  }
+  
+  const { updates, error } = readTaskEditor(task);
+  
+  if (error) {
+    showTaskEditorError(error);
+    return;
+  }
+  
+  showTaskEditorError(null);
+  
+  // Sin cambios: no hace falta guardar
+  if (Object.keys(updates).length === 0) {
+    closeTaskEditor();
+    return;
+  }
+  
+  window.dispatchEvent(new CustomEvent('task-update', { detail: { taskId: task.id, updates } }));
+}
+
+/**
+ * Dispara una acción sobre las subtareas de la tarea en edición
+ * @param {Object} detail - { action: 'add'|'toggle'|'move'|'remove', subtaskId, title, offset }
+ */
+function dispatchSubtaskAction(detail) {
+  if (!editingTaskId) return;
+  window.dispatchEvent(new CustomEvent('subtask-action', { detail: { taskId: editingTaskId, ...detail } }));
+}
+
+/**
+ * Agrega la subtarea escrita en el diálogo de edición
+ */
+function submitNewSubtask() {
+  const input = $('#edit-task-new-subtask');
+  if (!input || input.value.trim().length === 0) return;
+  
+  dispatchSubtaskAction({ action: 'add', title: input.value.trim() });
+  input.value = '';
+  input.focus();
+}
+
+/**
+ * Renderiza la lista de subtareas en el diálogo de edición
+ * @param {Object} task - Tarea en edición
+ */
+function renderEditorSubtasks(task) {
+  const list = $('#edit-task-subtasks');
+  const progressElement = $('#edit-task-subtask-progress');
+  if (!list) return;
+  
+  const subtasks = task.subtasks || [];
+  const progress = getSubtaskProgress(task);
+  
+  list.innerHTML = '';
+  list.classList.toggle('hidden', subtasks.length === 0);
+  if (progressElement) {
+    progressElement.textContent = progress.total > 0 ? `${progress.done}/${progress.total} completadas` : '';
+  }
+  
+  subtasks.forEach((subtask, index) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-2 px-3 py-2';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !!subtask.done;
+    checkbox.className = 'h-4 w-4 rounded border-gray-300 text-brand-600 focus:ring-brand-500 cursor-pointer';
+    checkbox.addEventListener('change', () => dispatchSubtaskAction({ action: 'toggle', subtaskId: subtask.id }));
+    
+    const title = document.createElement('span');
+    title.className = `text-sm flex-1 ${subtask.done ? 'line-through text-gray-400' : ''}`;
+    title.textContent = subtask.title;
+    
+    const upBtn = document.createElement('button');
+    upBtn.className = 'p-1 rounded text-gray-400 hover:text-gray-700 disabled:opacity-30';
+    upBtn.textContent = '↑';
+    upBtn.title = 'Subir';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => dispatchSubtaskAction({ action: 'move', subtaskId: subtask.id, offset: -1 }));
+    
+    const downBtn = document.createElement('button');
+    downBtn.className = 'p-1 rounded text-gray-400 hover:text-gray-700 disabled:opacity-30';
+    downBtn.textContent = '↓';
+    downBtn.title = 'Bajar';
+    downBtn.disabled = index === subtasks.length - 1;
+    downBtn.addEventListener('click', () => dispatchSubtaskAction({ action: 'move', subtaskId: subtask.id, offset: 1 }));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'p-1 rounded text-gray-400 hover:text-red-600';
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Eliminar subtarea';
+    deleteBtn.addEventListener('click', () => dispatchSubtaskAction({ action: 'remove', subtaskId: subtask.id }));
+    
+    li.append(checkbox, title, upBtn, downBtn, deleteBtn);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Actualiza el diálogo de edición abierto con el estado más reciente de la tarea
+ */
+export function refreshTaskEditor() {
+  if (!editingTaskId) return;
+  
+  const task = getTaskById(editingTaskId);
+  if (!task) {
+    closeTaskEditor();
+    return;
+  }
+  
+  renderEditorSubtasks(task);
+}
+
+/**
+ * Renderiza las casillas de responsables dentro de un contenedor
+ * @param {HTMLElement} container - Contenedor del selector
+ * @param {Array} users - Usuarios disponibles
+ * @param {Array<string>} selectedIds - UIDs marcados
+ * @param {boolean} disabled - Si el selector es de solo lectura
+ */
+function renderAssigneeOptions(container, users, selectedIds, disabled = false) {
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  users.forEach(user => {
+    const label = document.createElement('label');
+    label.className = 'inline-flex items-center gap-2 pl-1 pr-3 py-1 rounded-full border border-gray-200 text-sm cursor-pointer hover:bg-gray-50';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = user.uid;
+    checkbox.checked = selectedIds.includes(user.uid);
+    checkbox.disabled = disabled;
+    checkbox.className = 'rounded border-gray-300 text-brand-600 focus:ring-brand-500';
+    
+    const name = document.createElement('span');
+    name.textContent = user.displayName;
+    
+    label.append(checkbox, createAvatar(user, 'h-5 w-5'), name);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Actualiza los selectores de responsables con el directorio de usuarios
+ * (se ocultan si no hay usuarios, por ejemplo en modo invitado)
+ * @param {Array} users - Usuarios del sistema
+ */
+export function renderAssigneePickers(users) {
+  $$('.assignee-field').forEach(field => field.classList.toggle('hidden', users.length === 0));
+  
+  renderAssigneeOptions($('#task-assignees'), users, getTaskAssignees());
+  
+  const editingTask = editingTaskId ? getTaskById(editingTaskId) : null;
+  if (editingTask) {
+    const checkedIds = $$('#edit-task-assignees input:checked').map(input => input.value);
+    renderAssigneeOptions($('#edit-task-assignees'), users, checkedIds, !canManageTask(editingTask));
+  }
+}
+
+/**
+ * Obtiene los responsables marcados en el formulario de nueva tarea
+ * @returns {Array<string>} UIDs de los responsables
+ */
+export function getTaskAssignees() {
+  return $$('#task-assignees input:checked').map(input => input.value);
+}
+
+/**
+ * Dispara una acción sobre los comentarios de la tarea en edición
+ * @param {Object} detail - { action: 'add'|'edit'|'remove', commentId, text }
+ */
+function dispatchCommentAction(detail) {
+  if (!editingTaskId) return;
+  window.dispatchEvent(new CustomEvent('comment-action', { detail: { taskId: editingTaskId, ...detail } }));
+}
+
+/**
+ * Publica el comentario escrito en el diálogo de edición
+ */
+function submitNewComment() {
+  const input = $('#edit-task-new-comment');
+  if (!input || input.value.trim().length === 0) return;
+  
+  dispatchCommentAction({ action: 'add', text: input.value.trim() });
+  input.value = '';
+}
+
+/**
+ * Renderiza los comentarios de la tarea abierta en el diálogo de edición
+ * @param {Array} comments - Comentarios (del más viejo al más nuevo)
+ */
+export function renderTaskComments(comments) {
+  const list = $('#edit-task-comments');
+  const emptyState = $('#edit-task-comments-empty');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  emptyState?.classList.toggle('hidden', comments.length > 0);
+  
+  comments.forEach(comment => {
+    const li = document.createElement('li');
+    li.className = 'flex gap-3';
+    
+    const body = document.createElement('div');
+    body.className = 'flex-1 min-w-0';
+    
+    const header = document.createElement('div');
+    header.className = 'flex items-center gap-2 text-xs text-gray-500';
+    
+    const author = document.createElement('span');
+    author.className = 'font-medium text-gray-900';
+    author.textContent = comment.authorName || 'Usuario';
+    
+    const date = document.createElement('span');
+    date.textContent = formatDate(comment.createdAt);
+    
+    header.append(author, date);
+    
+    if (comment.updatedAt > comment.createdAt) {
+      const edited = document.createElement('span');
+      edited.textContent = '(editado)';
+      edited.title = formatDate(comment.updatedAt);
+      header.appendChild(edited);
+    }
+    
+    if (isOwnComment(comment)) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'ml-auto text-gray-400 hover:text-brand-600';
+      editBtn.textContent = 'Editar';
+      editBtn.addEventListener('click', () => {
+        const text = prompt('Editar comentario', comment.text);
+        if (text !== null && text.trim() && text.trim() !== comment.text) {
+          dispatchCommentAction({ action: 'edit', commentId: comment.id, text: text.trim() });
+        }
+      });
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'text-gray-400 hover:text-red-600';
+      deleteBtn.textContent = 'Eliminar';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm('¿Querés eliminar este comentario?')) {
+          dispatchCommentAction({ action: 'remove', commentId: comment.id });
+        }
+      });
+      
+      header.append(editBtn, deleteBtn);
+    }
+    
+    const text = document.createElement('p');
+    text.className = 'mt-1 text-sm text-gray-700 whitespace-pre-wrap break-words';
+    text.textContent = comment.text;
+    
+    body.append(header, text);
+    li.append(createAvatar({ displayName: comment.authorName || 'Usuario', photoURL: comment.authorPhotoURL }, 'h-8 w-8'), body);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Nombres de los campos que aparecen en el historial
+ */
+const ACTIVITY_FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  tags: 'Etiquetas',
+  dueDate: 'Vencimiento',
+  category: 'Categoría',
+  priority: 'Prioridad',
+  status: 'Estado',
+  done: 'Completada',
+  projectId: 'Lista',
+  subtasks: 'Subtareas',
+  autoCompleteSubtasks: 'Autocompletar',
+  assigneeIds: 'Responsables',
+  recurrence: 'Repetición'
+};
+
+/**
+ * Convierte el valor de un campo del historial en texto legible
+ * @param {string} field - Nombre del campo
+ * @param {*} value - Valor guardado en el historial
+ * @returns {string} Texto a mostrar
+ */
+function formatActivityValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  
+  switch (field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('es-AR', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    case 'category':
+      return getCategoryById(value).name;
+    case 'priority':
+      return getPriorityById(value).name;
+    case 'status':
+      return getStatusById(value).name;
+    case 'done':
+    case 'autoCompleteSubtasks':
+      return value ? 'Sí' : 'No';
+    case 'assigneeIds':
+      return value.length > 0
+        ? value.map(id => getUserById(id)?.displayName || 'Usuario').join(', ')
+        : '—';
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'tags':
+      return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : '—';
+    default:
+      return String(value).length > 60 ? `${String(value).slice(0, 60)}…` : String(value);
+  }
+}
+
+/**
+ * Renderiza el historial de la tarea abierta, filtrado por la persona elegida
+ * @param {Array} entries - Entradas del historial (de la más nueva a la más vieja)
+ */
+export function renderTaskActivity(entries) {
+  const list = $('#edit-task-activity');
+  const emptyState = $('#edit-task-activity-empty');
+  const actorSelect = $('#edit-task-activity-actor');
+  if (!list) return;
+  
+  activityEntries = entries;
+  
+  // Mantener la persona elegida si sigue apareciendo en el historial
+  const actors = getActivityActors(entries);
+  const selectedActor = actors.some(actor => actor.id === actorSelect?.value) ? actorSelect.value : '';
+  
+  if (actorSelect) {
+    actorSelect.innerHTML = '<option value="">Todos</option>';
+    actors.forEach(actor => {
+      const option = document.createElement('option');
+      option.value = actor.id;
+      option.textContent = actor.name;
+      actorSelect.appendChild(option);
+    });
+    actorSelect.value = selectedActor;
+  }
+  
+  const visibleEntries = filterActivityByActor(entries, selectedActor);
+  
+  list.innerHTML = '';
+  emptyState?.classList.toggle('hidden', visibleEntries.length > 0);
+  
+  visibleEntries.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = 'text-sm text-gray-700';
+    
+    const header = document.createElement('div');
+    
+    const actor = document.createElement('span');
+    actor.className = 'font-medium text-gray-900';
+    actor.textContent = entry.actorName || 'Usuario';
+    
+    const action = document.createElement('span');
+    action.textContent = ` ${ACTIVITY_ACTIONS[entry.action] || ACTIVITY_ACTIONS.updated} `;
+    
+    const date = document.createElement('span');
+    date.className = 'text-xs text-gray-500';
+    date.textContent = formatDate(entry.createdAt);
+    
+    header.append(actor, action, date);
+    li.appendChild(header);
+    
+    if (entry.action === 'updated' && entry.changes?.length > 0) {
+      const changes = document.createElement('ul');
+      changes.className = 'mt-1 ml-3 text-xs text-gray-500 space-y-0.5';
+      
+      entry.changes.forEach(change => {
+        const item = document.createElement('li');
+        item.textContent = `${ACTIVITY_FIELD_LABELS[change.field] || change.field}: ` +
+          `${formatActivityValue(change.field, change.from)} → ${formatActivityValue(change.field, change.to)}`;
+        changes.appendChild(item);
+      });
+      
+      li.appendChild(changes);
+    }
+    
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Campos que se muestran debajo del título de un resultado, en orden de preferencia
  */
-function createUserElement(user) {
-  const div = document.createElement('div');
-  div.className = 'flex items-center justify-between gap-4 p-6 hover:bg-gray-50 transition-colors';
+const SEARCH_SNIPPET_FIELDS = [
+  { field: 'tags', icon: '🏷️' },
+  { field: 'description', icon: '📝' },
+  { field: 'comments', icon: '💬' }
+];
+
+/**
+ * Configura el diálogo de búsqueda global
+ */
+function setupGlobalSearch() {
+  const modal = $('#global-search-modal');
+  const input = $('#global-search-input');
+  if (!modal || !input) return;
   
-  // Información del usuario
-  const userInfo = document.createElement('div');
-  userInfo.className = 'flex items-center gap-4';
+  $('#btn-global-search')?.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('global-search-open'));
+  });
   
-  // Avatar del usuario
-  const avatar = document.createElement('img');
-  avatar.src = user.photoURL || `https://api.dicebear.com/8.x/initials/svg?seed=${encodeURIComponent(user.displayName)}`;
-  avatar.alt = `Avatar de ${user.displayName}`;
-  avatar.className = 'h-12 w-12 rounded-full ring-2 ring-white object-cover';
+  input.addEventListener('input', () => {
+    window.dispatchEvent(new CustomEvent('global-search', { detail: { query: input.value } }));
+  });
   
-  // Detalles del usuario
-  const details = document.createElement('div');
-  details.className = 'flex-1';
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (searchResults.length === 0) return;
+      
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSearchResult((activeSearchIndex + step + searchResults.length) % searchResults.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      selectSearchResult(activeSearchIndex);
+    } else if (e.key === 'Escape') {
+      closeGlobalSearch();
+    }
+  });
   
-  const name = document.createElement('h4');
-  name.className = 'font-medium text-gray-900';
-  name.textContent = user.displayName;
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target === modal.firstElementChild) {
+      closeGlobalSearch();
+    }
+  });
+}
+
+/**
+ * Abre el diálogo de búsqueda global con el texto anterior seleccionado
+ */
+export function openGlobalSearch() {
+  const modal = $('#global-search-modal');
+  const input = $('#global-search-input');
+  if (!modal || !input) return;
+  
+  modal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+  input.focus();
+  input.select();
+}
+
+/**
+ * Cierra el diálogo de búsqueda global
+ */
+export function closeGlobalSearch() {
+  const modal = $('#global-search-modal');
+  if (!modal || modal.classList.contains('hidden')) return;
   
-  const email = document.createElement('p');
-  email.className = 'text-sm text-gray-500';
-  email.textContent = user.email;
+  modal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+/**
+ * Indica si el diálogo de búsqueda global está abierto
+ * @returns {boolean} true si está abierto
+ */
+export function isGlobalSearchOpen() {
+  return !$('#global-search-modal')?.classList.contains('hidden');
+}
+
+/**
+ * Obtiene el texto escrito en la búsqueda global
+ * @returns {string} Texto buscado
+ */
+export function getGlobalSearchQuery() {
+  return $('#global-search-input')?.value || '';
+}
+
+/**
+ * Renderiza los resultados de la búsqueda global
+ * @param {Array} results - Resultados de searchTasks() [{ task, matches }]
+ * @param {string} query - Texto buscado
+ */
+export function renderGlobalSearchResults(results, query) {
+  const list = $('#global-search-results');
+  const status = $('#global-search-status');
+  if (!list || !status) return;
+  
+  searchResults = results;
+  activeSearchIndex = 0;
+  list.innerHTML = '';
+  
+  results.forEach(({ task, matches }, index) => {
+    const li = document.createElement('li');
+    li.className = 'search-result px-4 py-3 cursor-pointer hover:bg-gray-50';
+    li.setAttribute('role', 'option');
+    li.dataset.index = index;
+    
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between gap-3';
+    
+    const title = document.createElement('span');
+    title.className = `text-sm font-medium ${task.done ? 'line-through text-gray-400' : 'text-gray-900'}`;
+    title.innerHTML = highlightRanges(task.title, matches.title?.ranges);
+    
+    const location = document.createElement('span');
+    location.className = 'text-xs text-gray-500 whitespace-nowrap';
+    location.textContent = `${getStatusById(task.status).icon} ${getTaskLocation(task).name}`;
+    
+    header.append(title, location);
+    li.appendChild(header);
+    
+    const snippetField = SEARCH_SNIPPET_FIELDS.find(({ field }) => matches[field]);
+    if (snippetField) {
+      const snippet = getSnippet(matches[snippetField.field].text, matches[snippetField.field].ranges);
+      const detail = document.createElement('p');
+      detail.className = 'mt-1 text-xs text-gray-500 truncate';
+      detail.innerHTML = `${snippetField.icon} ${highlightRanges(snippet.text, snippet.ranges)}`;
+      li.appendChild(detail);
+    }
+    
+    li.addEventListener('mousemove', () => setActiveSearchResult(index));
+    li.addEventListener('click', () => selectSearchResult(index));
+    
+    list.appendChild(li);
+  });
   
-  const status = document.createElement('div');
-  status.className = 'flex items-center gap-2 mt-1';
+  if (!query.trim()) {
+    status.textContent = 'Escribí para buscar en todas tus listas';
+  } else if (results.length === 0) {
+    status.textContent = `No se encontraron tareas para "${query.trim()}"`;
+  }
+  status.classList.toggle('hidden', results.length > 0);
   
-  const statusDot = document.createElement('div');
-  statusDot.className = `w-2 h-2 rounded-full ${user.isActive ? 'bg-green-500' : 'bg-gray-400'}`;
+  setActiveSearchResult(0);
+}
+
+/**
+ * Marca un resultado de la búsqueda global como seleccionado
+ * @param {number} index - Posición del resultado
+ */
+function setActiveSearchResult(index) {
+  activeSearchIndex = index;
+  
+  $$('#global-search-results .search-result').forEach(item => {
+    const isActive = Number(item.dataset.index) === index;
+    item.classList.toggle('active', isActive);
+    item.setAttribute('aria-selected', String(isActive));
+    if (isActive) item.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+/**
+ * Elige un resultado de la búsqueda global
+ * @param {number} index - Posición del resultado
+ */
+function selectSearchResult(index) {
+  const result = searchResults[index];
+  if (!result) return;
   
-  const statusText = document.createElement('span');
-  statusText.className = 'text-xs text-gray-500';
-  statusText.textContent = user.isActive ? 'Activo' : 'Inactivo';
+  window.dispatchEvent(new CustomEvent('global-search-select', { detail: { taskId: result.task.id } }));
+}
+
+/**
+ * Resalta la fila de una tarea en la lista y la desplaza a la vista
+ * @param {string} taskId - ID de la tarea
+ * @returns {boolean} false si la tarea no se está mostrando (por ejemplo, por los filtros)
+ */
+export function revealTask(taskId) {
+  const row = [...(elements.taskList?.children || [])].find(item => item.dataset.taskId === taskId);
+  if (!row) return false;
+  
+  row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  row.classList.remove('task-flash');
+  void row.offsetWidth; // Reiniciar la animación si ya estaba resaltada
+  row.classList.add('task-flash');
+  return true;
+}
+
+/**
+ * Crea la etiqueta de una tarea; un clic filtra la lista por esa etiqueta
+ * @param {string} tag - Nombre de la etiqueta
+ * @returns {HTMLElement} Botón de la etiqueta
+ */
+function createTagBadge(tag) {
+  const badge = document.createElement('button');
+  badge.className = `text-xs px-2 py-1 rounded-full ${getTagColor(tag).soft} hover:opacity-80 transition-opacity`;
+  badge.textContent = `#${tag}`;
+  badge.title = `Filtrar por #${tag}`;
+  badge.addEventListener('click', () => dispatchFilterAction({ action: 'toggle', field: 'tags', value: tag }));
+  return badge;
+}
+
+/**
+ * Configura un selector de etiquetas: se escriben en el campo y se agregan
+ * con Enter, coma o espacio; Retroceso con el campo vacío quita la última
+ * @param {string} pickerId - ID del contenedor del selector
+ */
+function setupTagPicker(pickerId) {
+  const picker = $(`#${pickerId}`);
+  const input = picker?.querySelector('input');
+  if (!picker || !input) return;
   
-  status.append(statusDot, statusText);
-  details.append(name, email, status);
-  userInfo.append(avatar, details);
+  tagPickerValues[pickerId] = [];
   
-  // Fecha de registro
-  const registrationDate = document.createElement('div');
-  registrationDate.className = 'text-right text-sm text-gray-500';
-  registrationDate.textContent = new Date(user.createdAt).toLocaleDateString('es-AR', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric'
+  const commitInput = () => {
+    const tag = normalizeTag(input.value);
+    input.value = '';
+    if (!tag || tagPickerValues[pickerId].includes(tag)) return;
+    
+    if (tagPickerValues[pickerId].length >= MAX_TAGS_PER_TASK) {
+      toast(`Una tarea puede tener hasta ${MAX_TAGS_PER_TASK} etiquetas`);
+      return;
+    }
+    
+    setTagPickerValue(pickerId, [...tagPickerValues[pickerId], tag]);
+  };
+  
+  input.addEventListener('focus', () => renderTagSuggestions(tagPickerValues[pickerId]));
+  input.addEventListener('blur', commitInput);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',' || (e.key === ' ' && input.value.trim())) {
+      e.preventDefault();
+      commitInput();
+    } else if (e.key === 'Backspace' && input.value === '' && tagPickerValues[pickerId].length > 0) {
+      setTagPickerValue(pickerId, tagPickerValues[pickerId].slice(0, -1));
+    }
   });
   
-  div.append(userInfo, registrationDate);
-  return div;
+  picker.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-remove-tag]');
+    if (removeBtn) {
+      setTagPickerValue(pickerId, tagPickerValues[pickerId].filter(tag => tag !== removeBtn.dataset.removeTag));
+    }
+    input.focus();
+  });
 }
 
 /**
- * Configura la búsqueda de usuarios
- * @param {Function} onSearch - Función a ejecutar cuando cambie la búsqueda
+ * Cambia las etiquetas elegidas en un selector de etiquetas
+ * @param {string} pickerId - ID del contenedor del selector
+ * @param {Array<string>} tags - Etiquetas
  */
-export function setupUserSearch(onSearch) {
-  const searchInput = $('#user-search');
-  if (!searchInput) return;
-  
-  searchInput.addEventListener('input', (e) => {
-    const query = e.target.value.trim();
-    onSearch(query);
+function setTagPickerValue(pickerId, tags) {
+  const picker = $(`#${pickerId}`);
+  if (!picker) return;
+  
+  tagPickerValues[pickerId] = [...tags];
+  picker.querySelectorAll('.tag-picker-chip').forEach(chip => chip.remove());
+  
+  const input = picker.querySelector('input');
+  tags.forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = `tag-picker-chip inline-flex items-center gap-1 text-xs px-2 py-1 rounded-full ${getTagColor(tag).soft}`;
+    chip.textContent = `#${tag}`;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'leading-none hover:opacity-70';
+    removeBtn.textContent = '×';
+    removeBtn.dataset.removeTag = tag;
+    removeBtn.setAttribute('aria-label', `Quitar #${tag}`);
+    
+    chip.appendChild(removeBtn);
+    picker.insertBefore(chip, input);
   });
+  
+  renderTagSuggestions(tagPickerValues[pickerId]);
 }
 
 /**
- * Muestra el modal de configuración
+ * Llena las sugerencias de autocompletado con las etiquetas existentes
+ * @param {Array<string>} exclude - Etiquetas ya elegidas
  */
-export function showSettingsModal() {
-  const modal = $('#settings-modal');
-  if (modal) {
-    modal.classList.remove('hidden');
-    document.body.style.overflow = 'hidden';
-  }
+function renderTagSuggestions(exclude = []) {
+  const datalist = $('#tag-suggestions');
+  if (!datalist) return;
+  
+  datalist.innerHTML = '';
+  getAllTags()
+    .filter(({ name }) => !exclude.includes(name))
+    .forEach(({ name }) => datalist.appendChild(new Option(`#${name}`, name)));
 }
 
 /**
- * Oculta el modal de configuración
+ * Dispara una acción sobre las etiquetas (renombrar, combinar o cambiar el color)
+ * @param {Object} detail - { action: 'rename'|'merge'|'color', tags, target, color }
  */
-export function hideSettingsModal() {
-  const modal = $('#settings-modal');
-  if (modal) {
-    modal.classList.add('hidden');
-    document.body.style.overflow = 'auto';
-  }
+function dispatchTagAction(detail) {
+  window.dispatchEvent(new CustomEvent('tag-action', { detail }));
 }
 
 /**
- * Configura los event listeners del modal de configuración
+ * Pide un nombre de etiqueta y avisa si ya existe (las etiquetas se combinan)
+ * @param {string} message - Texto del cuadro de diálogo
+ * @param {string} defaultValue - Nombre sugerido
+ * @param {Array<string>} sources - Etiquetas que se van a reemplazar
+ * @returns {string|null} Nombre normalizado o null si se canceló
  */
-export function setupSettingsModal() {
-  const settingsBtn = $('#btn-settings');
-  const closeBtn = $('#btn-close-settings');
-  const modal = $('#settings-modal');
+function askTagName(message, defaultValue, sources) {
+  const value = prompt(message, defaultValue);
+  if (value === null) return null;
+  
+  const target = normalizeTag(value);
+  if (!target) {
+    toast('El nombre de la etiqueta no es válido');
+    return null;
+  }
   
-  if (settingsBtn) {
-    settingsBtn.addEventListener('click', showSettingsModal);
+  const existing = getAllTags().some(({ name }) => name === target) && !sources.includes(target);
+  if (existing && !confirm(`La etiqueta #${target} ya existe. ¿Querés combinarlas?`)) {
+    return null;
   }
   
-  if (closeBtn) {
-    closeBtn.addEventListener('click', hideSettingsModal);
+  return target;
+}
+
+/**
+ * Configura la sección de etiquetas del modal de configuración
+ */
+function setupTagSettings() {
+  const list = $('#tag-settings-list');
+  if (!list) return;
+  
+  list.addEventListener('change', (e) => {
+    const select = e.target.closest('select[data-tag]');
+    if (select) {
+      dispatchTagAction({ action: 'color', tags: [select.dataset.tag], color: select.value });
+    }
+    
+    if (e.target.closest('input[type="checkbox"]')) {
+      updateMergeTagsButton();
+    }
+  });
+  
+  list.addEventListener('click', (e) => {
+    const renameBtn = e.target.closest('button[data-rename-tag]');
+    if (!renameBtn) return;
+    
+    const tag = renameBtn.dataset.renameTag;
+    const target = askTagName(`Nuevo nombre para #${tag}:`, tag, [tag]);
+    if (target && target !== tag) {
+      dispatchTagAction({ action: 'rename', tags: [tag], target });
+    }
+  });
+  
+  $('#btn-merge-tags')?.addEventListener('click', () => {
+    const tags = $$('#tag-settings-list input[type="checkbox"]:checked').map(input => input.value);
+    if (tags.length < 2) return;
+    
+    const target = askTagName(`Combinar ${tags.map(tag => `#${tag}`).join(', ')} en:`, tags[0], tags);
+    if (target) {
+      dispatchTagAction({ action: 'merge', tags, target });
+    }
+  });
+}
+
+/**
+ * Habilita el botón de combinar cuando hay al menos dos etiquetas marcadas
+ */
+function updateMergeTagsButton() {
+  const mergeBtn = $('#btn-merge-tags');
+  if (mergeBtn) {
+    mergeBtn.disabled = $$('#tag-settings-list input[type="checkbox"]:checked').length < 2;
   }
+}
+
+/**
+ * Renderiza la lista de etiquetas del modal de configuración
+ */
+export function renderTagSettings() {
+  const list = $('#tag-settings-list');
+  if (!list) return;
   
-  if (modal) {
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        hideSettingsModal();
-      }
+  const checked = $$('#tag-settings-list input[type="checkbox"]:checked').map(input => input.value);
+  const tags = getAllTags();
+  list.innerHTML = '';
+  
+  tags.forEach(({ name, count }) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between gap-3 py-2';
+    
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-2 min-w-0';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = name;
+    checkbox.checked = checked.includes(name);
+    checkbox.className = 'rounded border-gray-300 text-brand-600 focus:ring-brand-500';
+    
+    const badge = document.createElement('span');
+    badge.className = `text-xs px-2 py-1 rounded-full truncate ${getTagColor(name).soft}`;
+    badge.textContent = `#${name}`;
+    
+    const countLabel = document.createElement('span');
+    countLabel.className = 'text-xs text-gray-500 whitespace-nowrap';
+    countLabel.textContent = count === 1 ? '1 tarea' : `${count} tareas`;
+    
+    label.append(checkbox, badge, countLabel);
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center gap-2';
+    
+    const colorSelect = document.createElement('select');
+    colorSelect.dataset.tag = name;
+    colorSelect.className = 'text-sm rounded-lg border-gray-300 py-1 focus:border-brand-500 focus:ring-brand-500';
+    colorSelect.setAttribute('aria-label', `Color de #${name}`);
+    TAG_COLORS.forEach(color => colorSelect.add(new Option(color.name, color.id)));
+    colorSelect.value = getTagColor(name).id;
+    
+    const renameBtn = document.createElement('button');
+    renameBtn.dataset.renameTag = name;
+    renameBtn.className = 'rounded-md border px-2.5 py-1 text-sm text-gray-600 border-gray-200 hover:bg-gray-50 transition-colors';
+    renameBtn.textContent = 'Renombrar';
+    
+    actions.append(colorSelect, renameBtn);
+    li.append(label, actions);
+    list.appendChild(li);
+  });
+  
+  $('#tag-settings-empty')?.classList.toggle('hidden', tags.length > 0);
+  updateMergeTagsButton();
+}
+
+/**
+ * Dispara una acción sobre las categorías, prioridades o estados del usuario
+ * @param {Object} detail - { action: 'create'|'update'|'move'|'archive', kind, id, changes, offset, archived }
+ */
+function dispatchTaskConfigAction(detail) {
+  window.dispatchEvent(new CustomEvent('task-config-action', { detail }));
+}
+
+/**
+ * Configura la sección de categorías, prioridades y estados del modal de configuración
+ */
+function setupTaskConfigSettings() {
+  const container = $('#task-config-settings');
+  if (!container) return;
+  
+  container.addEventListener('change', (e) => {
+    const row = e.target.closest('[data-config-id]');
+    const field = e.target.dataset.configField;
+    if (!row || !field) return;
+    
+    dispatchTaskConfigAction({
+      action: 'update',
+      kind: row.closest('[data-config-kind]').dataset.configKind,
+      id: row.dataset.configId,
+      changes: { [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }
     });
+  });
+  
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-config-action]');
+    if (!button) return;
+    
+    const group = button.closest('[data-config-kind]');
+    const kind = group.dataset.configKind;
+    const id = button.closest('[data-config-id]')?.dataset.configId;
+    
+    switch (button.dataset.configAction) {
+      case 'up':
+      case 'down':
+        dispatchTaskConfigAction({ action: 'move', kind, id, offset: button.dataset.configAction === 'up' ? -1 : 1 });
+        break;
+      case 'archive':
+      case 'restore':
+        dispatchTaskConfigAction({ action: 'archive', kind, id, archived: button.dataset.configAction === 'archive' });
+        break;
+      case 'create':
+        submitNewConfigOption(group);
+        break;
+    }
+  });
+  
+  container.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.closest('.config-new-option')) {
+      e.preventDefault();
+      submitNewConfigOption(e.target.closest('[data-config-kind]'));
+    }
+  });
+}
+
+/**
+ * Envía la opción nueva escrita al pie de una lista
+ * @param {HTMLElement} group - Contenedor de la lista
+ */
+function submitNewConfigOption(group) {
+  const kind = group.dataset.configKind;
+  const nameInput = $('.config-new-option [data-config-field="name"]', group);
+  const name = nameInput.value.trim();
+  
+  if (!name) {
+    toast(`Escribí un nombre para ${CONFIG_KINDS[kind].singular}`);
+    nameInput.focus();
+    return;
   }
+  
+  const doneCheckbox = $('.config-new-option [data-config-field="done"]', group);
+  
+  dispatchTaskConfigAction({
+    action: 'create',
+    kind,
+    changes: {
+      name,
+      icon: $('.config-new-option [data-config-field="icon"]', group).value,
+      color: $('.config-new-option [data-config-field="color"]', group).value,
+      ...(doneCheckbox ? { done: doneCheckbox.checked } : {})
+    }
+  });
+}
+
+/**
+ * Crea los campos de icono, nombre y color de una opción
+ * @param {Object} option - Opción ({ icon, name, color }) o valores iniciales
+ * @param {string} label - Nombre de la opción para las etiquetas accesibles
+ * @returns {Array<HTMLElement>} Campos
+ */
+function createConfigOptionFields(option, label) {
+  const iconInput = document.createElement('input');
+  iconInput.type = 'text';
+  iconInput.value = option.icon;
+  iconInput.maxLength = 8;
+  iconInput.dataset.configField = 'icon';
+  iconInput.className = 'w-12 text-center text-sm rounded-lg border-gray-300 py-1 focus:border-brand-500 focus:ring-brand-500';
+  iconInput.setAttribute('aria-label', `Icono: ${label}`);
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = option.name;
+  nameInput.maxLength = 30;
+  nameInput.placeholder = label;
+  nameInput.dataset.configField = 'name';
+  nameInput.className = 'flex-1 min-w-0 text-sm rounded-lg border-gray-300 py-1 focus:border-brand-500 focus:ring-brand-500';
+  nameInput.setAttribute('aria-label', `Nombre: ${label}`);
+  
+  const colorSelect = document.createElement('select');
+  colorSelect.dataset.configField = 'color';
+  colorSelect.className = 'text-sm rounded-lg border-gray-300 py-1 focus:border-brand-500 focus:ring-brand-500';
+  colorSelect.setAttribute('aria-label', `Color: ${label}`);
+  CONFIG_COLORS.forEach(color => colorSelect.add(new Option(color.name, color.id)));
+  colorSelect.value = option.color;
+  
+  return [iconInput, nameInput, colorSelect];
+}
+
+/**
+ * Crea la casilla que indica si un estado cierra la tarea
+ * (los estados predefinidos la muestran sin poder cambiarla)
+ * @param {Object} option - Estado ({ id, done }) o valores iniciales
+ * @param {boolean} disabled - true para los estados predefinidos
+ * @returns {HTMLLabelElement} Casilla con su texto
+ */
+function createDoneStatusField(option, disabled) {
+  const label = document.createElement('label');
+  label.className = 'inline-flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap';
+  label.title = disabled
+    ? 'Los estados predefinidos no se pueden cambiar'
+    : 'Las tareas en este estado cuentan como hechas';
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = !!option.done;
+  checkbox.disabled = disabled;
+  checkbox.dataset.configField = 'done';
+  checkbox.className = 'rounded border-gray-300 text-brand-600 focus:ring-brand-500 disabled:opacity-50';
+  
+  label.append(checkbox, 'Cierra');
+  return label;
+}
+
+/**
+ * Crea un botón pequeño de la lista de opciones
+ * @param {string} action - Acción (data-config-action)
+ * @param {string} text - Texto del botón
+ * @param {string} title - Descripción de la acción
+ * @param {boolean} disabled - true para deshabilitarlo
+ * @returns {HTMLButtonElement} Botón
+ */
+function createConfigButton(action, text, title, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.dataset.configAction = action;
+  button.className = 'rounded-md border px-2 py-1 text-sm text-gray-600 border-gray-200 hover:bg-gray-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+  button.textContent = text;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.disabled = disabled;
+  return button;
+}
+
+/**
+ * Renderiza las listas de categorías, prioridades y estados del modal de configuración
+ */
+export function renderTaskConfigSettings() {
+  const container = $('#task-config-settings');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  Object.entries(CONFIG_KINDS).forEach(([kind, { name, newName, fallback }]) => {
+    const group = document.createElement('div');
+    group.dataset.configKind = kind;
+    
+    const title = document.createElement('h5');
+    title.className = 'text-sm font-medium text-gray-700 mb-2';
+    title.textContent = name;
+    
+    const list = document.createElement('ul');
+    list.className = 'divide-y divide-gray-100';
+    
+    const options = getConfigOptions(kind, { includeArchived: true });
+    options.forEach((option, index) => {
+      const li = document.createElement('li');
+      li.dataset.configId = option.id;
+      li.className = `flex items-center gap-2 py-2 ${option.archived ? 'opacity-60' : ''}`;
+      
+      const preview = document.createElement('span');
+      preview.className = `w-3 h-3 rounded-full flex-shrink-0 ${option.color}`;
+      preview.setAttribute('aria-hidden', 'true');
+      
+      const archiveButton = option.archived
+        ? createConfigButton('restore', 'Restaurar', `Restaurar ${option.name}`)
+        : createConfigButton('archive', 'Archivar', `Archivar ${option.name}`, option.id === fallback);
+      
+      li.append(
+        preview,
+        ...createConfigOptionFields(option, option.name),
+        ...(kind === 'statuses' ? [createDoneStatusField(option, isBuiltInOption(kind, option.id))] : []),
+        createConfigButton('up', '↑', `Subir ${option.name}`, index === 0),
+        createConfigButton('down', '↓', `Bajar ${option.name}`, index === options.length - 1),
+        archiveButton
+      );
+      list.appendChild(li);
+    });
+    
+    const newOption = document.createElement('div');
+    newOption.className = 'config-new-option flex items-center gap-2 pt-2';
+    newOption.append(
+      ...createConfigOptionFields({ icon: '📌', name: '', color: 'bg-gray-500' }, newName),
+      ...(kind === 'statuses' ? [createDoneStatusField({ done: false }, false)] : []),
+      createConfigButton('create', 'Agregar', `Agregar ${newName.toLowerCase()}`)
+    );
+    
+    group.append(title, list, newOption);
+    container.appendChild(group);
+  });
 }
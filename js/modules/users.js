@@ -1,6 +1,6 @@
 // Módulo para gestión de usuarios del sistema
 
-import { getFirebase } from './firebase.js';
+import { getFirebase, subscribeFirestoreUsers } from './firebase.js';
 import { toast } from '../utils/helpers.js';
 
 /**
@@ -14,6 +14,11 @@ let currentUserProfile = null;
  */
 const usersChangeCallbacks = [];
 
+/**
+ * Cancelación de la suscripción en tiempo real a Firestore
+ */
+let unsubscribeUsers = null;
+
 /**
  * Registra un callback para cambios en usuarios
  * @param {Function} callback - Función a ejecutar cuando cambien los usuarios
@@ -58,13 +63,36 @@ export function setCurrentUserProfile(profile) {
 }
 
 /**
- * Carga todos los usuarios del sistema
+ * Carga todos los usuarios del sistema y queda suscripto a sus cambios
+ * hasta llamar a stopUsersSync()
  * @returns {Promise<void>}
  */
 export async function loadUsers() {
+  if (unsubscribeUsers) {
+    unsubscribeUsers();
+    unsubscribeUsers = null;
+  }
+  
   try {
-    const firebaseUsers = await fetchFirestoreUsers();
-    users = firebaseUsers;
+    users = await new Promise((resolve, reject) => {
+      let isFirstSnapshot = true;
+      
+      unsubscribeUsers = subscribeFirestoreUsers((list) => {
+        if (isFirstSnapshot) {
+          isFirstSnapshot = false;
+          resolve(list);
+          return;
+        }
+        
+        users = list;
+        notifyUsersChange();
+      }, (error) => {
+        if (isFirstSnapshot) {
+          isFirstSnapshot = false;
+          reject(error);
+        }
+      });
+    });
     notifyUsersChange();
   } catch (error) {
     console.error('Error al cargar usuarios:', error);
@@ -74,6 +102,20 @@ export async function loadUsers() {
   }
 }
 
+/**
+ * Cancela la sincronización en tiempo real y limpia los usuarios en memoria
+ */
+export function stopUsersSync() {
+  if (unsubscribeUsers) {
+    unsubscribeUsers();
+    unsubscribeUsers = null;
+  }
+  
+  users = [];
+  currentUserProfile = null;
+  notifyUsersChange();
+}
+
 /**
  * Crea o actualiza el perfil de un usuario
  * @param {Object} userData - Datos del usuario
@@ -187,34 +229,6 @@ export function getUsersStats() {
 // Funciones de Firebase
 // =========================
 
-/**
- * Obtiene usuarios desde Firestore
- * @returns {Promise<Array>} Lista de usuarios
- */
-async function fetchFirestoreUsers() {
-  const Firebase = getFirebase();
-  
-  if (!Firebase) {
-    throw new Error('Firebase no está inicializado');
-  }
-
-  const { collection, getDocs, orderBy } = Firebase.helpers;
-  
-  try {
-    const querySnapshot = await getDocs(
-      collection(Firebase.db, 'users')
-    );
-    
-    return querySnapshot.docs.map(doc => ({
-      uid: doc.id,
-      ...doc.data()
-    }));
-  } catch (error) {
-    console.error('Error al obtener usuarios de Firestore:', error);
-    throw error;
-  }
-}
-
 /**
  * Guarda un usuario en Firestore
  * @param {Object} userData - Datos del usuario
@@ -0,0 +1,110 @@
+// Utilidades para la vista de calendario (semanas de lunes a domingo, días en UTC como los dueDate)
+
+/**
+ * Modos del calendario
+ */
+export const CALENDAR_MODES = [
+  { id: 'month', name: 'Mes' },
+  { id: 'week', name: 'Semana' }
+];
+
+/**
+ * Encabezados de los días de la semana
+ */
+export const WEEKDAY_NAMES = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Suma días a un día del calendario
+ * @param {number} day - Timestamp del día (00:00 UTC)
+ * @param {number} count - Días a sumar (negativo para restar)
+ * @returns {number} Timestamp del día resultante
+ */
+export function addDays(day, count) {
+  return day + count * DAY_MS;
+}
+
+/**
+ * Obtiene el día (00:00 UTC) de un timestamp cualquiera
+ * @param {number} timestamp - Timestamp
+ * @returns {number} Timestamp del día
+ */
+export function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Obtiene el lunes de la semana de un día
+ * @param {number} day - Timestamp del día
+ * @returns {number} Timestamp del lunes
+ */
+function startOfWeek(day) {
+  return addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+}
+
+/**
+ * Calcula los días que muestra el calendario
+ * (el mes se completa con los días de las semanas vecinas)
+ * @param {number} anchor - Día de referencia
+ * @param {string} mode - 'month' o 'week'
+ * @returns {Array<number>} Días, de a semanas completas
+ */
+export function getCalendarDays(anchor, mode) {
+  const date = new Date(anchor);
+  const first = mode === 'week'
+    ? startOfWeek(anchor)
+    : startOfWeek(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const last = mode === 'week'
+    ? addDays(first, 6)
+    : addDays(startOfWeek(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)), 6);
+
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Avanza o retrocede el calendario un mes o una semana
+ * @param {number} anchor - Día de referencia
+ * @param {string} mode - 'month' o 'week'
+ * @param {number} offset - 1 para avanzar, -1 para retroceder
+ * @returns {number} Nuevo día de referencia
+ */
+export function shiftCalendarDate(anchor, mode, offset) {
+  if (mode === 'week') return addDays(anchor, offset * 7);
+
+  const date = new Date(anchor);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1);
+}
+
+/**
+ * Formatea un día del calendario
+ * @param {number} day - Timestamp del día
+ * @param {Object} options - Opciones de toLocaleDateString
+ * @returns {string} Fecha formateada
+ */
+export function formatCalendarDay(day, options) {
+  return new Date(day).toLocaleDateString('es-AR', { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Obtiene el título del período que muestra el calendario
+ * @param {number} anchor - Día de referencia
+ * @param {string} mode - 'month' o 'week'
+ * @returns {string} "octubre de 2026" o "12 oct – 18 oct 2026"
+ */
+export function getCalendarTitle(anchor, mode) {
+  if (mode !== 'week') {
+    return formatCalendarDay(anchor, { month: 'long', year: 'numeric' });
+  }
+
+  const days = getCalendarDays(anchor, mode);
+  const last = days[days.length - 1];
+  const from = formatCalendarDay(days[0], { day: 'numeric', month: 'short' });
+  const to = formatCalendarDay(last, { day: 'numeric', month: 'short' });
+  return `${from} – ${to} ${new Date(last).getUTCFullYear()}`;
+}
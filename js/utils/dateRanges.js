@@ -0,0 +1,81 @@
+// Utilidades para rangos de fechas de vencimiento (filtros y vistas guardadas)
+
+/**
+ * Rangos de vencimiento predefinidos
+ */
+export const DUE_RANGES = [
+  { id: 'overdue', name: 'Vencidas' },
+  { id: 'today', name: 'Vencen hoy' },
+  { id: 'week', name: 'Vencen esta semana' },
+  { id: 'next7', name: 'Próximos 7 días' },
+  { id: 'month', name: 'Vencen este mes' },
+  { id: 'none', name: 'Sin fecha' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Obtiene el timestamp de hoy a las 00:00 UTC (mismo formato que los dueDate)
+ * @returns {number} Timestamp
+ */
+export function todayTimestamp() {
+  const now = new Date();
+  return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Calcula los límites de un rango de vencimiento predefinido
+ * @param {string} rangeId - ID del rango (ver DUE_RANGES)
+ * @returns {{ from: number|null, to: number|null }|null} Límites (from incluido, to excluido;
+ *   null si no tiene límite) o null si el rango no existe o no usa fechas
+ */
+export function getDueRangeBounds(rangeId) {
+  const today = todayTimestamp();
+  const date = new Date(today);
+  
+  switch (rangeId) {
+    case 'overdue':
+      return { from: null, to: today };
+    case 'today':
+      return { from: today, to: today + DAY_MS };
+    case 'week': {
+      // La semana termina el domingo
+      const daysToSunday = (7 - date.getUTCDay()) % 7;
+      return { from: today, to: today + (daysToSunday + 1) * DAY_MS };
+    }
+    case 'next7':
+      return { from: today, to: today + 7 * DAY_MS };
+    case 'month':
+      return {
+        from: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+        to: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Indica si una fecha de vencimiento está dentro de un rango predefinido
+ * @param {number|null} dueDate - Vencimiento de la tarea
+ * @param {string} rangeId - ID del rango (ver DUE_RANGES)
+ * @returns {boolean} true si la fecha está en el rango
+ */
+export function matchesDueRange(dueDate, rangeId) {
+  if (rangeId === 'none') return !dueDate;
+  
+  const bounds = getDueRangeBounds(rangeId);
+  if (!bounds || !dueDate) return false;
+  
+  return (bounds.from === null || dueDate >= bounds.from) &&
+    (bounds.to === null || dueDate < bounds.to);
+}
+
+/**
+ * Obtiene el nombre de un rango de vencimiento predefinido
+ * @param {string} rangeId - ID del rango
+ * @returns {string} Nombre del rango o string vacío
+ */
+export function getDueRangeName(rangeId) {
+  return DUE_RANGES.find(range => range.id === rangeId)?.name || '';
+}
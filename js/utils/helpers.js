@@ -31,11 +31,26 @@ export const uid = () => {
  * Muestra un mensaje toast temporal
  * @param {string} message - Mensaje a mostrar
  * @param {number} duration - Duración en milisegundos (opcional)
+ * @param {Object|null} action - Botón de acción { label, onClick }, p. ej. "Deshacer" (opcional)
  */
-export const toast = (message, duration = 2200) => {
+export const toast = (message, duration = 2200, action = null) => {
   const toastElement = document.createElement('div');
   toastElement.className = 'fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-900 text-white px-4 py-2 rounded-lg shadow z-50 toast';
   toastElement.textContent = message;
+  
+  if (action) {
+    toastElement.classList.add('flex', 'items-center', 'gap-4');
+    
+    const actionButton = document.createElement('button');
+    actionButton.className = 'font-semibold text-brand-300 hover:text-brand-100 transition-colors';
+    actionButton.textContent = action.label;
+    actionButton.addEventListener('click', () => {
+      toastElement.remove();
+      action.onClick();
+    });
+    toastElement.appendChild(actionButton);
+  }
+  
   document.body.appendChild(toastElement);
   
   setTimeout(() => {
@@ -67,3 +82,27 @@ export const formatDate = (timestamp) => {
     minute: '2-digit'
   });
 };
+
+/**
+ * Convierte un timestamp al formato de un input type="date" (YYYY-MM-DD)
+ * @param {number|null} timestamp - Timestamp a convertir
+ * @returns {string} Fecha formateada o string vacío
+ */
+export const toDateInputValue = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp).toISOString().slice(0, 10);
+};
+
+/**
+ * Escapa un texto para insertarlo de forma segura en HTML
+ * @param {string} str - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+export const escapeHTML = (str) => {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
@@ -0,0 +1,189 @@
+// Renderizado de un subconjunto seguro de Markdown para las descripciones de tareas
+//
+// Admite listas (con viñetas, numeradas y de casillas), enlaces, negrita, cursiva,
+// código en línea y bloques de código. El texto se escapa antes de interpretarlo,
+// así que el HTML resultante solo contiene las etiquetas que genera este módulo.
+
+import { escapeHTML } from './helpers.js';
+
+/**
+ * Cantidad de líneas de la descripción que se muestran en la fila de la tarea
+ */
+const PREVIEW_LINES = 3;
+
+const CHECKBOX_PATTERN = /^(\s*[-*+]\s+)\[( |x|X)\]\s+(.*)$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const FENCE_PATTERN = /^\s*```/;
+
+/**
+ * Indica si una URL es segura para un enlace (http, https o mailto)
+ * @param {string} url - URL ya escapada
+ * @returns {boolean} true si se puede enlazar
+ */
+function isSafeUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url);
+}
+
+/**
+ * Aplica el formato en línea a un texto ya escapado
+ * @param {string} text - Texto escapado
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const tokens = [];
+  const keep = (html) => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+
+  // El código y los enlaces se apartan primero para no interpretar su contenido ni su URL
+  // (el texto de un enlace puede tener código: se restaura antes de apartar el enlace)
+  const html = text
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      isSafeUrl(url)
+        ? keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${restore(renderEmphasis(label))}</a>`)
+        : label
+    );
+
+  return restore(renderEmphasis(html));
+}
+
+/**
+ * Aplica negrita y cursiva a un texto ya escapado
+ * @param {string} text - Texto escapado
+ * @returns {string} HTML
+ */
+function renderEmphasis(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Convierte una descripción en Markdown a HTML seguro
+ * @param {string} text - Texto en Markdown
+ * @param {Object} options - { interactive: true para habilitar las casillas }
+ * @returns {string} HTML sanitizado
+ */
+export function renderMarkdown(text, { interactive = false } = {}) {
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+  let code = null;
+
+  const closeParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const closeList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}${list.isChecklist ? ' class="task-checklist"' : ''}>${list.items.join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  const addListItem = (tag, html, isChecklist = false) => {
+    closeParagraph();
+    if (!list || list.tag !== tag) {
+      closeList();
+      list = { tag, items: [], isChecklist };
+    }
+    list.isChecklist = list.isChecklist || isChecklist;
+    list.items.push(`<li>${html}</li>`);
+  };
+
+  lines.forEach((rawLine, lineIndex) => {
+    if (code) {
+      if (FENCE_PATTERN.test(rawLine)) {
+        blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(escapeHTML(rawLine));
+      }
+      return;
+    }
+
+    if (FENCE_PATTERN.test(rawLine)) {
+      closeParagraph();
+      closeList();
+      code = [];
+      return;
+    }
+
+    const line = escapeHTML(rawLine);
+    const checkbox = rawLine.match(CHECKBOX_PATTERN);
+
+    if (checkbox) {
+      const checked = checkbox[2] !== ' ' ? ' checked' : '';
+      const disabled = interactive ? '' : ' disabled';
+      addListItem('ul', `<label><input type="checkbox" data-line="${lineIndex}"${checked}${disabled}> ${renderInline(escapeHTML(checkbox[3]))}</label>`, true);
+    } else if (BULLET_PATTERN.test(line)) {
+      addListItem('ul', renderInline(line.match(BULLET_PATTERN)[1]));
+    } else if (ORDERED_PATTERN.test(line)) {
+      addListItem('ol', renderInline(line.match(ORDERED_PATTERN)[1]));
+    } else if (line.trim() === '') {
+      closeParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  });
+
+  // Un bloque de código sin cerrar se muestra igual
+  if (code) blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  closeParagraph();
+  closeList();
+
+  return blocks.join('');
+}
+
+/**
+ * Convierte el comienzo de una descripción en HTML seguro para la fila de la tarea
+ * @param {string} text - Texto en Markdown
+ * @returns {string} HTML sanitizado de las primeras líneas con contenido
+ */
+export function renderMarkdownPreview(text) {
+  const lines = String(text ?? '').split(/\r?\n/)
+    .filter(line => line.trim() !== '' && !FENCE_PATTERN.test(line));
+  const preview = lines.slice(0, PREVIEW_LINES).join('\n');
+
+  return renderMarkdown(lines.length > PREVIEW_LINES ? `${preview} …` : preview);
+}
+
+/**
+ * Marca o desmarca la casilla de una línea de la descripción
+ * @param {string} text - Texto en Markdown
+ * @param {number} lineIndex - Índice de la línea con la casilla
+ * @returns {string} Texto con la casilla cambiada (o sin cambios si la línea no tiene casilla)
+ */
+export function toggleMarkdownCheckbox(text, lineIndex) {
+  const lines = String(text ?? '').split('\n');
+  const match = lines[lineIndex]?.replace(/\r$/, '').match(CHECKBOX_PATTERN);
+  if (!match) return text;
+
+  lines[lineIndex] = `${match[1]}[${match[2] === ' ' ? 'x' : ' '}] ${match[3]}`;
+  return lines.join('\n');
+}
+
+/**
+ * Cuenta las casillas de una descripción
+ * @param {string} text - Texto en Markdown
+ * @returns {{ done: number, total: number }} Casillas marcadas y totales
+ */
+export function countMarkdownCheckboxes(text) {
+  const matches = String(text ?? '').split(/\r?\n/)
+    .map(line => line.match(CHECKBOX_PATTERN))
+    .filter(Boolean);
+
+  return { done: matches.filter(match => match[2] !== ' ').length, total: matches.length };
+}
@@ -0,0 +1,142 @@
+// Utilidades para tareas recurrentes (reglas al estilo RRULE)
+
+/**
+ * Frecuencias de repetición disponibles
+ */
+export const RECURRENCE_FREQUENCIES = [
+  { id: 'daily', name: 'Cada día', unit: 'días' },
+  { id: 'weekly', name: 'Cada semana', unit: 'semanas' },
+  { id: 'monthly', name: 'Cada mes', unit: 'meses' }
+];
+
+/**
+ * Nombres cortos de los días de la semana (0 = domingo, como Date#getDay)
+ */
+export const WEEKDAY_NAMES = ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Obtiene el timestamp de hoy a las 00:00 UTC (mismo formato que los dueDate)
+ * @returns {number} Timestamp
+ */
+function todayTimestamp() {
+  const now = new Date();
+  return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Valida y normaliza una regla de repetición
+ * @param {Object|null} rule - Regla ({ freq, interval, byWeekday, byMonthDay, until, count, occurrence })
+ * @param {number|string|null} dueDate - Primer vencimiento; las reglas mensuales sin día fijo
+ *   quedan ancladas a su día del mes (el 31 sigue siendo 31 después de pasar por febrero)
+ * @returns {Object|null} Regla normalizada o null si no es válida
+ */
+export function normalizeRecurrence(rule, dueDate = null) {
+  if (!rule || !RECURRENCE_FREQUENCIES.some(f => f.id === rule.freq)) {
+    return null;
+  }
+
+  const toPositiveInt = (value) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  };
+
+  const byWeekday = rule.freq === 'weekly' && Array.isArray(rule.byWeekday)
+    ? [...new Set(rule.byWeekday.map(Number).filter(day => day >= 0 && day <= 6))].sort()
+    : [];
+
+  const anchorDay = dueDate ? new Date(dueDate).getUTCDate() || null : null;
+  const byMonthDay = rule.freq === 'monthly' ? toPositiveInt(rule.byMonthDay) || anchorDay : null;
+
+  return {
+    freq: rule.freq,
+    interval: toPositiveInt(rule.interval) || 1,
+    byWeekday,
+    byMonthDay: byMonthDay && byMonthDay <= 31 ? byMonthDay : null,
+    until: rule.until ? new Date(rule.until).getTime() || null : null,
+    count: toPositiveInt(rule.count),
+    occurrence: toPositiveInt(rule.occurrence) || 1
+  };
+}
+
+/**
+ * Calcula la fecha de la siguiente repetición
+ * @param {Object} rule - Regla de repetición normalizada
+ * @param {number|null} fromDate - Vencimiento de la repetición actual (por defecto hoy)
+ * @returns {number|null} Timestamp de la siguiente repetición o null si la serie terminó
+ */
+export function getNextOccurrence(rule, fromDate = null) {
+  if (!rule) return null;
+
+  // Límite por cantidad de repeticiones
+  if (rule.count && rule.occurrence >= rule.count) return null;
+
+  const base = new Date(fromDate || todayTimestamp());
+  let next = null;
+
+  if (rule.freq === 'daily') {
+    next = base.getTime() + rule.interval * DAY_MS;
+  } else if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday.length > 0 ? rule.byWeekday : [base.getUTCDay()];
+    const baseWeekStart = base.getTime() - base.getUTCDay() * DAY_MS;
+
+    // Recorrer día por día hasta encontrar un día permitido en una semana válida
+    for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+      const candidate = new Date(base.getTime() + offset * DAY_MS);
+      const weekIndex = Math.round((candidate.getTime() - candidate.getUTCDay() * DAY_MS - baseWeekStart) / (7 * DAY_MS));
+
+      if (weekIndex % rule.interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        next = candidate.getTime();
+        break;
+      }
+    }
+  } else if (rule.freq === 'monthly') {
+    const day = rule.byMonthDay || base.getUTCDate();
+    const year = base.getUTCFullYear();
+    const month = base.getUTCMonth() + rule.interval;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    next = Date.UTC(year, month, Math.min(day, daysInMonth));
+  }
+
+  // Límite por fecha
+  if (next === null || (rule.until && next > rule.until)) return null;
+
+  return next;
+}
+
+/**
+ * Devuelve la regla correspondiente a la siguiente repetición
+ * @param {Object} rule - Regla de repetición normalizada
+ * @returns {Object} Regla con el contador de repeticiones avanzado
+ */
+export function advanceRecurrence(rule) {
+  return { ...rule, occurrence: (rule.occurrence || 1) + 1 };
+}
+
+/**
+ * Describe una regla de repetición en texto legible
+ * @param {Object} rule - Regla de repetición normalizada
+ * @returns {string} Descripción (por ejemplo "Cada 2 semanas: lun, jue")
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.id === rule.freq);
+  let text = rule.interval > 1 ? `Cada ${rule.interval} ${frequency.unit}` : frequency.name;
+
+  if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+    text += `: ${rule.byWeekday.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  } else if (rule.freq === 'monthly' && rule.byMonthDay) {
+    text += ` (día ${rule.byMonthDay})`;
+  }
+
+  if (rule.until) {
+    text += `, hasta el ${new Date(rule.until).toLocaleDateString('es-AR', { day: 'numeric', month: 'short', timeZone: 'UTC' })}`;
+  } else if (rule.count) {
+    text += `, ${rule.occurrence}/${rule.count}`;
+  }
+
+  return text;
+}
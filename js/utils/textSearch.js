@@ -0,0 +1,139 @@
+// Utilidades de búsqueda de texto (sin acentos, por prefijo y con resaltado)
+
+import { escapeHTML } from './helpers.js';
+
+/**
+ * Caracteres de contexto que se muestran a cada lado de una coincidencia
+ */
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Normaliza un carácter para comparar: minúsculas y sin acentos
+ * @param {string} char - Carácter original
+ * @returns {string} Carácter normalizado (puede quedar vacío o tener más de uno)
+ */
+function normalizeChar(char) {
+  return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normaliza un texto para comparar: minúsculas y sin acentos ("Reunión" → "reunion")
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+export function normalizeText(text) {
+  return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Separa una búsqueda en términos normalizados, sin repetidos
+ * @param {string} query - Texto buscado
+ * @returns {Array<string>} Términos
+ */
+export function tokenizeQuery(query) {
+  return [...new Set(normalizeText(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Normaliza un texto conservando la posición original de cada carácter,
+ * para poder resaltar las coincidencias sobre el texto sin normalizar
+ * @param {string} text - Texto original
+ * @returns {{ normalized: string, positions: Array<number> }} Texto normalizado y, por cada
+ *   carácter normalizado, su índice en el original
+ */
+function indexText(text) {
+  let normalized = '';
+  const positions = [];
+
+  [...text].reduce((index, char) => {
+    const normalizedChar = normalizeChar(char);
+    normalized += normalizedChar;
+    for (let i = 0; i < normalizedChar.length; i++) positions.push(index);
+    return index + char.length;
+  }, 0);
+
+  return { normalized, positions };
+}
+
+/**
+ * Busca los términos como prefijo de las palabras de un texto
+ * @param {string} text - Texto donde buscar
+ * @param {Array<string>} terms - Términos normalizados
+ * @returns {{ terms: Set<string>, exactTerms: Set<string>, ranges: Array }} Términos
+ *   encontrados, términos que coinciden con una palabra completa y rangos
+ *   [{ start, end }] sobre el texto original
+ */
+export function matchTerms(text, terms) {
+  const result = { terms: new Set(), exactTerms: new Set(), ranges: [] };
+  if (!text || terms.length === 0) return result;
+
+  const original = String(text);
+  const { normalized, positions } = indexText(original);
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let word;
+
+  while ((word = wordPattern.exec(normalized))) {
+    const term = terms
+      .filter(t => word[0].startsWith(t))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!term) continue;
+
+    result.terms.add(term);
+    if (word[0] === term) result.exactTerms.add(term);
+
+    const lastChar = positions[word.index + term.length - 1];
+    result.ranges.push({
+      start: positions[word.index],
+      end: lastChar + String.fromCodePoint(original.codePointAt(lastChar)).length
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Resalta rangos de un texto con <mark>, escapando el resto
+ * @param {string} text - Texto original
+ * @param {Array} ranges - Rangos [{ start, end }] ordenados
+ * @returns {string} HTML seguro
+ */
+export function highlightRanges(text, ranges = []) {
+  const original = String(text ?? '');
+  let html = '';
+  let cursor = 0;
+
+  ranges.forEach(({ start, end }) => {
+    if (start < cursor) return;
+    html += escapeHTML(original.slice(cursor, start));
+    html += `<mark class="search-highlight">${escapeHTML(original.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+
+  return html + escapeHTML(original.slice(cursor));
+}
+
+/**
+ * Recorta un texto largo alrededor de la primera coincidencia
+ * @param {string} text - Texto original
+ * @param {Array} ranges - Rangos [{ start, end }] ordenados
+ * @returns {{ text: string, ranges: Array }} Fragmento y rangos ajustados al fragmento
+ */
+export function getSnippet(text, ranges = []) {
+  const original = String(text ?? '');
+  if (ranges.length === 0 || original.length <= SNIPPET_CONTEXT * 2) {
+    return { text: original, ranges };
+  }
+
+  const start = Math.max(0, ranges[0].start - SNIPPET_CONTEXT);
+  const end = Math.min(original.length, ranges[0].end + SNIPPET_CONTEXT);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < original.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + original.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start + offset, end: range.end + offset }))
+  };
+}
@@ -0,0 +1,112 @@
+// Pruebas de la importación de datos de invitado contra un Firebase.helpers simulado
+//
+// Ejecutar con: node --test tests/guestImport.test.mjs
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setFirebase } from '../js/modules/firebase.js';
+import { offerGuestImport } from '../js/modules/guestImport.js';
+
+const USER = { id: 'user-1', mode: 'firebase' };
+
+// Entorno mínimo del navegador: LocalStorage en memoria, confirmación aceptada y toasts sin DOM
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.has(key) ? storage.get(key) : null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+globalThis.confirm = () => true;
+globalThis.document = {
+  createElement: () => ({ classList: { add() {} }, appendChild() {}, addEventListener() {}, remove() {} }),
+  body: { appendChild() {} }
+};
+
+/**
+ * Crea un Firestore en memoria con la forma de Firebase.helpers
+ * (las consultas devuelven la colección completa)
+ * @returns {Object} { instance, docs }
+ */
+function createFakeFirestore() {
+  const docs = new Map();
+  let nextId = 1;
+
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    exists: () => docs.has(path),
+    data: () => docs.get(path)
+  });
+
+  const helpers = {
+    doc: (db, ...segments) => ({ path: segments.join('/') }),
+    collection: (db, ...segments) => ({ path: segments.join('/') }),
+    query: (ref) => ref,
+    where: () => null,
+    orderBy: () => null,
+    getDoc: async (ref) => snapshot(ref.path),
+    getDocs: async (ref) => {
+      const prefix = `${ref.path}/`;
+      return { docs: [...docs.keys()].filter(path => path.startsWith(prefix)).map(snapshot) };
+    },
+    addDoc: async (ref, data) => {
+      const path = `${ref.path}/doc-${nextId++}`;
+      docs.set(path, { ...data });
+      return { id: path.split('/').pop() };
+    },
+    updateDoc: async (ref, updates) => {
+      docs.set(ref.path, { ...docs.get(ref.path), ...updates });
+    }
+  };
+
+  return { instance: { db: {}, helpers }, docs };
+}
+
+let firestore;
+
+beforeEach(() => {
+  storage.clear();
+  firestore = createFakeFirestore();
+  setFirebase(firestore.instance);
+});
+
+test('importa las tareas de invitado con sus detalles y su repetición', async () => {
+  const recurrence = { freq: 'weekly', interval: 1, byWeekday: [1] };
+  localStorage.setItem('agenda_base_tasks:guest_local', JSON.stringify([
+    {
+      id: 'g1',
+      title: 'Regar las plantas',
+      dueDate: Date.UTC(2026, 9, 19),
+      category: 'home',
+      priority: 'low',
+      projectId: 'inbox',
+      description: 'Las del balcón',
+      tags: ['casa'],
+      recurrence
+    },
+    { id: 'g2', title: 'En la papelera', deletedAt: 1 }
+  ]));
+
+  assert.equal(await offerGuestImport(USER), 1);
+
+  const imported = [...firestore.docs.values()];
+  assert.equal(imported.length, 1);
+  assert.equal(imported[0].title, 'Regar las plantas');
+  assert.equal(imported[0].description, 'Las del balcón');
+  assert.deepEqual(imported[0].tags, ['casa']);
+  assert.deepEqual(imported[0].recurrence, recurrence);
+  assert.equal(localStorage.getItem('agenda_base_tasks:guest_local'), null);
+});
+
+test('no duplica tareas que ya están en la cuenta', async () => {
+  const dueDate = Date.UTC(2026, 9, 19);
+  firestore.docs.set('tasks/t1', { title: 'Pagar el alquiler', dueDate, ownerId: USER.id });
+  localStorage.setItem('agenda_base_tasks:guest_local', JSON.stringify([
+    { id: 'g1', title: 'Pagar el alquiler ', dueDate }
+  ]));
+
+  assert.equal(await offerGuestImport(USER), 0);
+  assert.equal(firestore.docs.size, 1);
+});
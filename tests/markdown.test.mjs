@@ -0,0 +1,30 @@
+// Pruebas del renderizado de Markdown de las descripciones
+//
+// Ejecutar con: node --test tests/markdown.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderMarkdown } from '../js/utils/markdown.js';
+
+test('escapa el HTML escrito por el usuario', () => {
+  assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+});
+
+test('no enlaza URLs que no son http, https ni mailto', () => {
+  assert.equal(renderMarkdown('[clic](javascript:void)'), '<p>clic</p>');
+});
+
+test('renderiza código en línea dentro del texto de un enlace', () => {
+  assert.equal(
+    renderMarkdown('[`code`](https://e.com)'),
+    '<p><a href="https://e.com" target="_blank" rel="noopener noreferrer"><code>code</code></a></p>'
+  );
+});
+
+test('no aplica énfasis dentro del código de un enlace', () => {
+  assert.equal(
+    renderMarkdown('[**ver** `a*b*c`](https://e.com)'),
+    '<p><a href="https://e.com" target="_blank" rel="noopener noreferrer"><strong>ver</strong> <code>a*b*c</code></a></p>'
+  );
+});
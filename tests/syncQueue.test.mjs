@@ -0,0 +1,195 @@
+// Pruebas de la cola de operaciones pendientes contra un Firebase.helpers simulado
+//
+// Ejecutar con: node --test tests/syncQueue.test.mjs
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setFirebase } from '../js/modules/firebase.js';
+import {
+  enqueueOperation,
+  getPendingOperations,
+  applyPendingOperations,
+  flushPendingOperations,
+  waitForTaskSync
+} from '../js/modules/syncQueue.js';
+
+const USER_ID = 'user-1';
+
+// Entorno mínimo del navegador: LocalStorage en memoria, conexión y toasts sin DOM
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.has(key) ? storage.get(key) : null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+globalThis.document = {
+  createElement: () => ({ classList: { add() {} }, appendChild() {}, addEventListener() {}, remove() {} }),
+  body: { appendChild() {} }
+};
+
+/**
+ * Crea un Firestore en memoria con la forma de Firebase.helpers
+ * @returns {Object} { instance, docs, failNext }
+ */
+function createFakeFirestore() {
+  const docs = new Map();
+  const failures = [];
+
+  const takeFailure = () => {
+    const error = failures.shift();
+    if (error) throw error;
+  };
+
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    ref: { path },
+    exists: () => docs.has(path),
+    data: () => docs.get(path)
+  });
+
+  const helpers = {
+    doc: (db, ...segments) => ({ path: segments.join('/') }),
+    collection: (db, ...segments) => ({ path: segments.join('/') }),
+    getDoc: async (ref) => {
+      takeFailure();
+      return snapshot(ref.path);
+    },
+    getDocs: async (ref) => {
+      takeFailure();
+      const prefix = `${ref.path}/`;
+      const paths = [...docs.keys()].filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'));
+      return { docs: paths.map(snapshot) };
+    },
+    setDoc: async (ref, data) => {
+      takeFailure();
+      docs.set(ref.path, { ...data });
+    },
+    updateDoc: async (ref, updates) => {
+      takeFailure();
+      if (!docs.has(ref.path)) throw Object.assign(new Error('No document to update'), { code: 'not-found' });
+      docs.set(ref.path, { ...docs.get(ref.path), ...updates });
+    },
+    writeBatch: () => {
+      const deletes = [];
+      return {
+        delete: (ref) => deletes.push(ref.path),
+        commit: async () => {
+          takeFailure();
+          deletes.forEach(path => docs.delete(path));
+        }
+      };
+    }
+  };
+
+  return {
+    instance: { db: {}, helpers },
+    docs,
+    failNext: (error) => failures.push(error)
+  };
+}
+
+let firestore;
+
+beforeEach(() => {
+  storage.clear();
+  firestore = createFakeFirestore();
+  setFirebase(firestore.instance);
+});
+
+test('reproduce en orden la creación y las actualizaciones de una tarea', async () => {
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't1', payload: { id: 't1', title: 'Comprar pan', updatedAt: 1 } });
+  enqueueOperation(USER_ID, { type: 'update', taskId: 't1', payload: { title: 'Comprar pan y leche', updatedAt: 2 } });
+
+  await flushPendingOperations(USER_ID);
+
+  assert.deepEqual(firestore.docs.get('tasks/t1'), { title: 'Comprar pan y leche', updatedAt: 2 });
+  assert.equal(getPendingOperations(USER_ID).length, 0);
+});
+
+test('conserva la versión remota si es más reciente que el cambio pendiente', async () => {
+  firestore.docs.set('tasks/t1', { title: 'Editada en otro dispositivo', updatedAt: 5 });
+  enqueueOperation(USER_ID, { type: 'update', taskId: 't1', payload: { title: 'Cambio viejo', updatedAt: 3 } });
+
+  await flushPendingOperations(USER_ID);
+
+  assert.equal(firestore.docs.get('tasks/t1').title, 'Editada en otro dispositivo');
+  assert.equal(getPendingOperations(USER_ID).length, 0);
+});
+
+test('descarta la actualización de una tarea eliminada en otro dispositivo', async () => {
+  enqueueOperation(USER_ID, { type: 'update', taskId: 't1', payload: { title: 'Huérfana', updatedAt: 3 } });
+
+  await flushPendingOperations(USER_ID);
+
+  assert.equal(firestore.docs.has('tasks/t1'), false);
+  assert.equal(getPendingOperations(USER_ID).length, 0);
+});
+
+test('se detiene ante un error de red y reintenta después sin perder operaciones', async () => {
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't1', payload: { id: 't1', title: 'Sin conexión', updatedAt: 1 } });
+  firestore.failNext(Object.assign(new Error('offline'), { code: 'unavailable' }));
+
+  await flushPendingOperations(USER_ID);
+  assert.equal(getPendingOperations(USER_ID).length, 1);
+  assert.equal(firestore.docs.has('tasks/t1'), false);
+
+  await flushPendingOperations(USER_ID);
+  assert.equal(getPendingOperations(USER_ID).length, 0);
+  assert.equal(firestore.docs.get('tasks/t1').title, 'Sin conexión');
+});
+
+test('descarta una operación con error permanente y sigue con el resto', async () => {
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't1', payload: { id: 't1', title: 'Rechazada', updatedAt: 1 } });
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't2', payload: { id: 't2', title: 'Aceptada', updatedAt: 1 } });
+  firestore.failNext(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+
+  await flushPendingOperations(USER_ID);
+
+  assert.equal(firestore.docs.has('tasks/t1'), false);
+  assert.equal(firestore.docs.get('tasks/t2').title, 'Aceptada');
+  assert.equal(getPendingOperations(USER_ID).length, 0);
+});
+
+test('eliminar una tarea borra también sus comentarios y su historial', async () => {
+  firestore.docs.set('tasks/t1', { title: 'A la papelera', updatedAt: 1 });
+  firestore.docs.set('tasks/t1/comments/c1', { text: 'Hola' });
+  firestore.docs.set('tasks/t1/activity/a1', { action: 'created' });
+  enqueueOperation(USER_ID, { type: 'remove', taskId: 't1' });
+
+  await flushPendingOperations(USER_ID);
+
+  assert.deepEqual([...firestore.docs.keys()], []);
+});
+
+test('aplica los cambios pendientes sobre una instantánea del servidor', () => {
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't3', payload: { id: 't3', title: 'Nueva', updatedAt: 4 } });
+  enqueueOperation(USER_ID, { type: 'update', taskId: 't1', payload: { title: 'Local', updatedAt: 4 } });
+  enqueueOperation(USER_ID, { type: 'update', taskId: 't2', payload: { title: 'Local vieja', updatedAt: 2 } });
+  enqueueOperation(USER_ID, { type: 'remove', taskId: 't4' });
+
+  const result = applyPendingOperations(USER_ID, [
+    { id: 't1', title: 'Servidor', updatedAt: 3 },
+    { id: 't2', title: 'Servidor más nuevo', updatedAt: 6 },
+    { id: 't4', title: 'Eliminada', updatedAt: 1 }
+  ]);
+
+  assert.deepEqual(result.map(task => [task.id, task.title]), [
+    ['t3', 'Nueva'],
+    ['t1', 'Local'],
+    ['t2', 'Servidor más nuevo']
+  ]);
+});
+
+test('espera a que la creación de una tarea llegue al servidor', async () => {
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't1', payload: { id: 't1', title: 'Para comentar', updatedAt: 1 } });
+
+  assert.equal(await waitForTaskSync(USER_ID, 't1'), true);
+  assert.equal(firestore.docs.has('tasks/t1'), true);
+
+  enqueueOperation(USER_ID, { type: 'add', taskId: 't2', payload: { id: 't2', title: 'Sin conexión', updatedAt: 1 } });
+  firestore.failNext(Object.assign(new Error('offline'), { code: 'unavailable' }));
+
+  assert.equal(await waitForTaskSync(USER_ID, 't2'), false);
+});
@@ -0,0 +1,29 @@
+// Pruebas de la sintaxis #etiqueta en los títulos de las tareas
+//
+// Ejecutar con: node --test tests/tags.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractHashtags } from '../js/modules/tags.js';
+
+test('separa las etiquetas del título y las normaliza', () => {
+  assert.deepEqual(extractHashtags('Llamar a Ana #Trabajo #urgente #trabajo'), {
+    text: 'Llamar a Ana',
+    tags: ['trabajo', 'urgente']
+  });
+});
+
+test('acepta letras con acento y números después de la primera letra', () => {
+  assert.deepEqual(extractHashtags('Preparar #reunión #q3-2026'), {
+    text: 'Preparar',
+    tags: ['reunión', 'q3-2026']
+  });
+});
+
+test('deja en el título los números precedidos por #', () => {
+  assert.deepEqual(extractHashtags('Revisar el pedido #123 del piso #2'), {
+    text: 'Revisar el pedido #123 del piso #2',
+    tags: []
+  });
+});